@@ -1,8 +1,12 @@
 #!/usr/bin/env node
 
-import { PexipConnection } from './services/pexip/PexipConnection.js';
+import { MediaSourceFactory } from './services/media/MediaSourceFactory.js';
+import { WebRTCHandler } from './services/webrtc/WebRTCHandler.js';
 import { TranscriptionFactory } from './services/transcription/TranscriptionFactory.js';
 import { TranscriptManager } from './utils/TranscriptManager.js';
+import { AudioRecorder } from './utils/AudioRecorder.js';
+import { waitForSessionReady, commitTurn, drainTranscription } from './utils/TranscriptionSession.js';
+import { VoiceGate } from './utils/VoiceGate.js';
 import dotenv from 'dotenv';
 import fs from 'fs';
 import path from 'path';
@@ -11,10 +15,24 @@ dotenv.config();
 
 async function main() {
   const PROVIDER = process.env.TRANSCRIPTION_PROVIDER || 'openai';
+  const MEDIA_SOURCE = (process.env.MEDIA_SOURCE || 'pexip').toLowerCase();  // 'pexip', 'whep' or 'file'
+  const IS_PEXIP = MEDIA_SOURCE === 'pexip';
 
   // Validate config
-  if (!process.env.PEXIP_NODE || !process.env.CONFERENCE_ALIAS) {
-    console.error('Missing PEXIP_NODE or CONFERENCE_ALIAS in .env');
+  if (IS_PEXIP && ((!process.env.PEXIP_NODE && !process.env.PEXIP_NODE_DOMAIN) || !process.env.CONFERENCE_ALIAS)) {
+    console.error('Missing PEXIP_NODE (or PEXIP_NODE_DOMAIN) or CONFERENCE_ALIAS in .env');
+    process.exit(1);
+  }
+  if (MEDIA_SOURCE === 'whep' && !process.env.WHEP_URL) {
+    console.error('Missing WHEP_URL in .env');
+    process.exit(1);
+  }
+  if (MEDIA_SOURCE === 'file' && !process.env.REPLAY_INPUT) {
+    console.error('Missing REPLAY_INPUT in .env (a WAV or raw PCM file, or - for stdin)');
+    process.exit(1);
+  }
+  if (!['pexip', 'whep', 'file'].includes(MEDIA_SOURCE)) {
+    console.error(`MEDIA_SOURCE=${MEDIA_SOURCE} is not available from the CLI. Use pexip, whep or file (sdp ingest is API mode only).`);
     process.exit(1);
   }
 
@@ -29,12 +47,22 @@ async function main() {
   // Create transcript manager for dual output
   const transcriptManager = new TranscriptManager();
 
+  // Optional recording of the conference audio, next to the transcript
+  const RECORD_AUDIO = ['wav', 'ogg'].includes(process.env.RECORD_AUDIO) ? process.env.RECORD_AUDIO : null;
+  const recorder = RECORD_AUDIO ? new AudioRecorder(transcriptManager.recordingBase, {
+    format: RECORD_AUDIO,
+    bitrate: process.env.RECORD_BITRATE,
+    channelMode: process.env.AUDIO_CHANNEL_MODE
+  }) : null;
+
   // Create transcription service
   const VAD_ENABLED = process.env.VAD_ENABLED !== 'false';  // Default true
   const VAD_TYPE = process.env.VAD_TYPE || 'server_vad';  // 'server_vad' or 'semantic_vad'
   const VAD_EAGERNESS = process.env.VAD_EAGERNESS || 'auto'; // For semantic VAD: 'low', 'medium', 'high', 'auto'
   const DEBUG_MODE = process.env.DEBUG_OPENAI === 'true' || process.env.DEBUG_GEMINI === 'true';
   const INCLUDE_LOGPROBS = process.env.INCLUDE_LOGPROBS === 'true';
+  const CHAT_CAPTIONS = ['segment', 'digest'].includes(process.env.CHAT_CAPTIONS) ?
+    process.env.CHAT_CAPTIONS : null;  // Post captions to conference chat
   
   if (DEBUG_MODE) {
     console.log(`Debug mode enabled for ${PROVIDER}`);
@@ -51,7 +79,8 @@ async function main() {
     vadSilenceDurationMs: parseInt(process.env.VAD_SILENCE_DURATION || '500'),
     vadEagerness: VAD_EAGERNESS,
     debug: DEBUG_MODE,
-    includeLogprobs: INCLUDE_LOGPROBS
+    includeLogprobs: INCLUDE_LOGPROBS,
+    channelMode: process.env.AUDIO_CHANNEL_MODE  // downmix (default), left, right or a channel number
   };
   
   const transcriptionService = TranscriptionFactory.create(PROVIDER, transcriptionConfig);
@@ -62,13 +91,21 @@ async function main() {
   });
 
   transcriptionService.on('transcriptionComplete', (transcription) => {
-    console.log('\n[Complete]:', transcription.text);
+    // Attribute the segment to whoever was speaking according to Pexip stage events
+    const speaker = connection.getSpeakerForSegment(transcription);
+    console.log(`\n[Complete]${speaker ? ` ${speaker.displayName}` : ''}:`, transcription.text);
     
     // Add to transcript manager with metadata
     const metadata = {
       itemId: transcription.itemId,
       previousItemId: transcription.previousItemId,
-      contentIndex: transcription.contentIndex
+      contentIndex: transcription.contentIndex,
+      speaker: speaker?.displayName,
+      speakerId: speaker?.uuid,
+      room: connection.getRoomForSegment(transcription),
+      recording: recorder?.getSegmentPosition(transcription) || undefined,  // Where to listen in the recording
+      startTime: transcription.startTime,
+      endTime: transcription.endTime
     };
     
     // Add logprobs if available
@@ -81,29 +118,99 @@ async function main() {
     
     // Save transcription
     transcriptManager.addTranscription(transcription.text, metadata);
+    connection.postCaption(transcription.text, speaker?.displayName);
   });
 
   transcriptionService.on('error', (error) => {
     console.error('[Error]', error.message);
   });
 
-  // Connect to transcription service first
-  console.log(`Connecting to ${PROVIDER}...`);
-  await transcriptionService.connect();
-  console.log(`\n✅ ${PROVIDER} connected\n`);
+  // Optional local VAD: only speech (plus padding) is streamed to the provider
+  const voiceGate = process.env.VOICE_GATE === 'true' ? new VoiceGate({
+    thresholdDb: parseFloat(process.env.VOICE_GATE_THRESHOLD_DB || '-45'),
+    hangoverMs: parseInt(process.env.VOICE_GATE_HANGOVER_MS || '800'),
+    preRollMs: parseInt(process.env.VOICE_GATE_PRE_ROLL_MS || '300'),
+    onSpeechEnd: () => commitTurn(transcriptionService)  // Only commits with VAD_ENABLED=false
+  }) : null;
 
   // Track if we've logged sample rate
   let sampleRateLogged = false;
   
-  // Create Pexip connection
-  const connection = new PexipConnection({
-    nodeAddress: process.env.PEXIP_NODE,
+  // Create the media source - a Pexip conference unless MEDIA_SOURCE says otherwise
+  const connection = MediaSourceFactory.create(MEDIA_SOURCE, {
+    endpoint: process.env.WHEP_URL,  // MEDIA_SOURCE=whep
+    token: process.env.WHEP_TOKEN || null,
+    input: process.env.REPLAY_INPUT,  // MEDIA_SOURCE=file
+    format: process.env.REPLAY_FORMAT || 'auto',
+    sampleRate: parseInt(process.env.REPLAY_SAMPLE_RATE || '48000'),  // Raw PCM only
+    channelCount: parseInt(process.env.REPLAY_CHANNELS || '1'),
+    pacing: process.env.REPLAY_PACING || 'realtime',  // 'realtime' or 'fast'
+    nodeAddress: process.env.PEXIP_NODE,  // Comma-separated for failover
+    nodeDomain: process.env.PEXIP_NODE_DOMAIN || null,
     conferenceAlias: process.env.CONFERENCE_ALIAS,
     displayName: process.env.DISPLAY_NAME || 'Simple Transcriber',
     pin: process.env.PIN || '',
+    role: process.env.PIN_ROLE || null,  // 'host' or 'guest'
+    chosenIdp: process.env.PEXIP_IDP || null,
+    ssoToken: process.env.PEXIP_SSO_TOKEN || null,
+    jwt: process.env.PEXIP_JWT || null,
+    waitingTimeoutSeconds: parseInt(process.env.WAITING_ROOM_TIMEOUT || '600'),
+    chatCaptions: CHAT_CAPTIONS ? {
+      mode: CHAT_CAPTIONS,
+      digestIntervalSeconds: parseInt(process.env.CHAT_CAPTIONS_INTERVAL || '30')
+    } : null,
+    chatCommands: process.env.CHAT_COMMANDS !== 'false',  // Default true
+    dtmf: {
+      enabled: process.env.DTMF_CONTROL !== 'false',  // Default true
+      hostsOnly: process.env.DTMF_ALLOW_GUESTS !== 'true',
+      sequences: {
+        pause: process.env.DTMF_PAUSE,
+        resume: process.env.DTMF_RESUME,
+        stop: process.env.DTMF_STOP,
+        bookmark: process.env.DTMF_BOOKMARK
+      }
+    },
+    autoLeave: {
+      aloneMinutes: parseFloat(process.env.AUTO_LEAVE_ALONE_MINUTES || '0'),
+      silenceMinutes: parseFloat(process.env.AUTO_LEAVE_SILENCE_MINUTES || '0'),
+      maxSessionMinutes: parseFloat(process.env.MAX_SESSION_MINUTES || '0')
+    },
+    audioWatchdog: {
+      enabled: process.env.AUDIO_WATCHDOG !== 'false',  // Default true
+      stallSeconds: parseFloat(process.env.AUDIO_STALL_SECONDS || '10')
+    },
+    ice: {
+      iceServers: WebRTCHandler.parseIceServers(process.env.ICE_SERVERS, process.env.ICE_USERNAME, process.env.ICE_CREDENTIAL),
+      iceTransportPolicy: process.env.ICE_TRANSPORT_POLICY || 'all',  // 'relay' for TURN only
+      publicStun: process.env.ICE_PUBLIC_STUN !== 'false',  // Default true
+      usePexipTurn: process.env.ICE_USE_PEXIP_TURN !== 'false'  // Default true
+    },
+    mediaStats: {
+      intervalMs: parseInt(process.env.MEDIA_STATS_INTERVAL || '5') * 1000,
+      thresholds: {
+        lossPercent: parseFloat(process.env.MEDIA_WARN_LOSS_PERCENT || '5'),
+        jitterMs: parseFloat(process.env.MEDIA_WARN_JITTER_MS || '30'),
+        concealmentPercent: parseFloat(process.env.MEDIA_WARN_CONCEALMENT_PERCENT || '10')
+      }
+    },
+    announcements: {
+      join: process.env.ANNOUNCE_JOIN_WAV,
+      pause: process.env.ANNOUNCE_PAUSE_WAV,
+      resume: process.env.ANNOUNCE_RESUME_WAV,
+      leave: process.env.ANNOUNCE_LEAVE_WAV
+    },
+    getTranscriptionStatus: () => ({
+      transcriptionCount: transcriptManager.getStats().transcriptionCount,
+      language: transcriptionService.language
+    }),
     
     // Stream audio directly to the transcription service
     onAudioData: async (audioData) => {
+      recorder?.write(audioData);
+
+      // The transcription service is only started once we are admitted
+      if (!transcriptionService.isConnected) return;
+
       try {
         // Log the actual sample rate to understand what we're getting
         if (!sampleRateLogged) {
@@ -111,64 +218,90 @@ async function main() {
           console.log(`  Sample Rate: ${audioData.sampleRate} Hz`);
           console.log(`  Channels: ${audioData.channelCount}`);
           console.log(`  Bits per sample: ${audioData.bitsPerSample}`);
-          console.log(`  ✅ Audio pipeline connected: Pexip → Bot → ${PROVIDER}`);
+          console.log(`  ✅ Audio pipeline connected: ${MEDIA_SOURCE} → Bot → ${PROVIDER}`);
           sampleRateLogged = true;
         }
         
         // Pass audio with actual sample rate from Pexip
-        await transcriptionService.processAudioChunk({
-          samples: audioData.samples,
-          sampleRate: audioData.sampleRate, // Use actual rate, likely 48000
-          timestamp: audioData.timestamp
-        });
+        const frames = voiceGate ? voiceGate.process(audioData) : [audioData];
+        for (const frame of frames) {
+          await transcriptionService.processAudioChunk({
+            samples: frame.samples,
+            sampleRate: frame.sampleRate, // Use actual rate, likely 48000
+            channelCount: frame.channelCount,  // Interleaved channels are mixed to mono by the service
+            timestamp: frame.timestamp
+          });
+        }
       } catch (error) {
         console.error('Failed to send audio:', error.message);
       }
     }
   });
 
-  // Connect to Pexip
-  console.log('Connecting to Pexip conference...');
-  await connection.connect();
-  console.log('✅ Pexip connected\n');
-  console.log('Transcription active. Press Ctrl+C to stop.\n');
+  if (IS_PEXIP) {
+    // Media recovery keeps the same transcript session, just report progress
+    connection.on('recovery', (event) => {
+      const strategy = event.strategy ? ` via ${event.strategy}` : '';
+      console.log(`🔄 Call recovery ${event.status}${strategy} (attempt ${event.attempt}, ${event.reason})`);
+    });
 
-  // Only commit audio buffer if VAD is disabled
-  let commitInterval = null;
-  if (!VAD_ENABLED) {
-    console.log('VAD disabled - will manually commit audio every 2 seconds');
-    commitInterval = setInterval(() => {
-      if (transcriptionService.isConnected) {
-        transcriptionService.commitAudioBuffer();
+    // Transfers and breakout rooms keep the same transcript
+    connection.on('roomChange', ({ from, to, reason }) => {
+      console.log(`🚪 Moved from ${from} to ${to} (${reason})`);
+    });
+
+    // Audio stopped mid-call and the watchdog stepped in
+    connection.on('audioIncident', ({ reason, status, recoveredBy }) => {
+      if (status === 'recovering') {
+        console.warn(`🔇 Conference audio stopped (${reason}) - renegotiating`);
+      } else if (status === 'recovered') {
+        console.log(`🔊 Conference audio restored via ${recoveredBy}`);
+      } else {
+        console.error(`🔇 Conference audio could not be restored (${reason})`);
       }
-    }, 2000);  // Commit every 2 seconds
-  } else {
-    if (VAD_TYPE === 'semantic_vad') {
-      console.log(`Semantic VAD enabled (eagerness: ${VAD_EAGERNESS}) - smarter speech detection`);
+    });
+
+    // Language changes requested from the meeting (e.g. "/transcript lang de")
+    connection.on('languageChange', async ({ language }) => {
+      try {
+        await transcriptionService.setLanguage(language);
+        console.log(`🌐 Transcription language set to ${language}`);
+      } catch (error) {
+        console.error('Failed to change language:', error.message);
+      }
+    });
+  }
+
+  // Network quality problems that may explain a poor transcript
+  connection.on('mediaQuality', ({ status, metric, peak, threshold }) => {
+    if (status === 'degraded') {
+      console.warn(`📉 Media quality degraded: ${metric} ${peak} (threshold ${threshold})`);
     } else {
-      console.log(`Server VAD enabled - ${PROVIDER} will auto-detect speech and commit`);
+      console.log(`📈 Media quality recovered: ${metric}`);
     }
-  }
-  
-  // Report stats every 30 seconds
-  const statsInterval = setInterval(() => {
-    const serviceStats = transcriptionService.getStats();
-    const transcriptStats = transcriptManager.getStats();
-    if (serviceStats.isConnected && transcriptStats.transcriptionCount > 0) {
-      console.log(`\n📊 Stats: ${transcriptStats.transcriptionCount} transcriptions | ${transcriptStats.totalWords} words | ${(serviceStats.audioBytesSent/1024).toFixed(0)}KB sent | Runtime: ${serviceStats.runtime.toFixed(0)}s`);
+  });
+
+  // Bookmarks from the keypad (e.g. *3)
+  connection.on('bookmark', ({ label, requestedBy, room }) => {
+    const bookmark = transcriptManager.addBookmark(label, { requestedBy, room });
+    if (bookmark) {
+      console.log(`🔖 ${bookmark.label} added by ${requestedBy?.displayName || 'unknown'}`);
     }
-  }, 30000);
+  });
+
+  let commitInterval = null;
+  let statsInterval = null;
 
   // Handle shutdown
   let isShuttingDown = false;
-  const shutdown = async () => {
+  const shutdown = async (reason = 'signal') => {
     // Prevent multiple shutdown calls
     if (isShuttingDown) {
       return;
     }
     isShuttingDown = true;
     
-    console.log('\n\n🛑 Shutting down gracefully...');
+    console.log(`\n\n🛑 Shutting down gracefully (${reason})...`);
     
     // Clear intervals
     if (commitInterval) {
@@ -178,10 +311,24 @@ async function main() {
       clearInterval(statsInterval);
     }
     
+    // A replay ran out of audio - let the last turn be transcribed
+    if (reason === 'end_of_input') {
+      console.log('Waiting for the last transcriptions...');
+      await drainTranscription(transcriptionService);
+    }
+
+    // Finish the recording first so the transcript can point into it
+    const recording = recorder ? await recorder.close() : null;
+
     // Save all transcript files
     const stats = transcriptManager.getStats();
     if (stats.transcriptionCount > 0) {
-      const files = await transcriptManager.save();
+      const files = await transcriptManager.save({
+        ...connection.getSessionInfo(),
+        recording,
+        voiceGate: voiceGate?.getStats(),
+        endReason: reason
+      });
       console.log(`\n💾 Transcripts saved:`);
       console.log(`  ${stats.transcriptionCount} transcriptions`);
       console.log(`  ${stats.totalWords} words`);
@@ -189,6 +336,10 @@ async function main() {
     } else {
       console.log('\n📝 No transcriptions captured');
     }
+    if (voiceGate) {
+      const gate = voiceGate.getStats();
+      console.log(`🔇 Voice gate held back ${gate.suppressedSeconds}s of ${gate.totalSeconds}s (${gate.suppressedPercent}%)`);
+    }
     
     // Disconnect services in order
     try {
@@ -197,7 +348,7 @@ async function main() {
       console.log(`  ✅ ${PROVIDER} disconnected`);
       
       await connection.disconnect();
-      console.log('  ✅ Pexip disconnected');
+      console.log(`  ✅ ${MEDIA_SOURCE} disconnected`);
     } catch (error) {
       console.error('Error during shutdown:', error.message);
     }
@@ -206,8 +357,83 @@ async function main() {
     process.exit(0);
   };
 
-  process.on('SIGINT', shutdown);
-  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', () => shutdown('signal'));
+  process.on('SIGTERM', () => shutdown('signal'));
+
+  // Leave requested from inside the meeting or by an auto-leave policy
+  connection.on('leaveRequested', ({ reason }) => shutdown(reason));
+
+  // Connect to the media source
+  console.log(IS_PEXIP ? 'Connecting to Pexip conference...' : `Connecting to ${MEDIA_SOURCE} source...`);
+  try {
+    await connection.connect();
+  } catch (error) {
+    if (error.reason) {
+      // PexipAuthError - tell the operator exactly what the conference wants
+      console.error(`❌ Pexip refused to let the bot in (${error.reason}): ${error.message}`);
+      if (error.details?.idps) {
+        error.details.idps.forEach(idp => console.error(`   Identity provider: ${idp.name} (PEXIP_IDP=${idp.uuid})`));
+      }
+      if (error.details?.redirectUrl) {
+        console.error(`   Sign in at ${error.details.redirectUrl} and set PEXIP_SSO_TOKEN`);
+      }
+    } else if (!IS_PEXIP) {
+      console.error(`❌ Could not connect to ${MEDIA_SOURCE}: ${error.message}`);
+    }
+    process.exit(1);
+  }
+  console.log(`✅ ${MEDIA_SOURCE} connected\n`);
+
+  // Locked conference or host not there yet - hold in the lobby
+  if (connection.isWaiting) {
+    console.log('⏳ Waiting for a host to admit the bot...');
+    const admitted = await connection.waitForAdmission();
+    if (!admitted) {
+      await shutdown('not_admitted');
+      return;
+    }
+  }
+
+  // Start transcribing only once we are in the conference proper
+  console.log(`Connecting to ${PROVIDER}...`);
+  await transcriptionService.connect();
+  console.log(`\n✅ ${PROVIDER} connected\n`);
+  console.log('Transcription active. Press Ctrl+C to stop.\n');
+
+  // A replay starts once the session config is applied, so none of it is lost
+  await waitForSessionReady(transcriptionService);
+  connection.start();
+
+  // Only commit audio buffer if VAD is disabled
+  if (!VAD_ENABLED) {
+    console.log('VAD disabled - will manually commit audio every 2 seconds');
+    commitInterval = setInterval(() => {
+      commitTurn(transcriptionService);  // Skipped while there is too little new audio (e.g. gated silence)
+    }, 2000);  // Commit every 2 seconds
+  } else {
+    if (VAD_TYPE === 'semantic_vad') {
+      console.log(`Semantic VAD enabled (eagerness: ${VAD_EAGERNESS}) - smarter speech detection`);
+    } else {
+      console.log(`Server VAD enabled - ${PROVIDER} will auto-detect speech and commit`);
+    }
+  }
+  
+  // Report stats every 30 seconds
+  statsInterval = setInterval(() => {
+    const serviceStats = transcriptionService.getStats();
+    const transcriptStats = transcriptManager.getStats();
+    if (serviceStats.isConnected && transcriptStats.transcriptionCount > 0) {
+      const media = connection.mediaStats ? connection.mediaStats.getSummary() : {};
+      console.log(`\n📊 Stats: ${transcriptStats.transcriptionCount} transcriptions | ${transcriptStats.totalWords} words | ${(serviceStats.audioBytesSent/1024).toFixed(0)}KB sent | Runtime: ${serviceStats.runtime.toFixed(0)}s`);
+      if (media.latest) {
+        console.log(`   Media: ${media.codec} | loss ${media.latest.lossPercent}% | jitter ${media.latest.jitterMs}ms | concealed ${media.latest.concealmentPercent}%`);
+      }
+      if (voiceGate) {
+        const gate = voiceGate.getStats();
+        console.log(`   Voice gate: ${gate.suppressedSeconds}s of ${gate.totalSeconds}s suppressed (${gate.suppressedPercent}%) | ${gate.segments} segments`);
+      }
+    }
+  }, 30000);
 }
 
 main().catch(console.error);
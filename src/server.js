@@ -2,10 +2,17 @@
 
 import express from 'express';
 import cors from 'cors';
-import { PexipConnection } from './services/pexip/PexipConnection.js';
+import { MediaSourceFactory } from './services/media/MediaSourceFactory.js';
+import { PexipAuthError } from './services/pexip/PexipAuthError.js';
+import { WebRTCHandler, ICE_TRANSPORT_POLICIES } from './services/webrtc/WebRTCHandler.js';
 import { TranscriptionFactory } from './services/transcription/TranscriptionFactory.js';
 import { TranscriptManager } from './utils/TranscriptManager.js';
+import { AudioRecorder } from './utils/AudioRecorder.js';
+import { parseChannelMode } from './utils/ChannelMixer.js';
+import { waitForSessionReady, commitTurn, drainTranscription } from './utils/TranscriptionSession.js';
+import { VoiceGate } from './utils/VoiceGate.js';
 import dotenv from 'dotenv';
+import path from 'path';
 
 dotenv.config();
 
@@ -30,6 +37,264 @@ app.get('/health', (req, res) => {
   });
 });
 
+/**
+ * Throws unless an optional request field is an object - JSON null slips past destructuring defaults
+ */
+function checkObjectOption(name, value) {
+  if (value !== undefined && (value === null || typeof value !== 'object' || Array.isArray(value))) {
+    throw new Error(`Invalid ${name}: expected an object`);
+  }
+}
+
+/**
+ * Announcement WAVs for a dial-in, .env paths unless the request names its own
+ * Request paths must resolve inside ANNOUNCE_DIR, or any file on the server could be
+ * played into a meeting; an empty string skips that announcement. Throws with a message for a 400
+ */
+function resolveAnnouncements(announcements) {
+  const files = {};
+  for (const name of ['join', 'pause', 'resume', 'leave']) {
+    const value = announcements[name];
+    if (value === undefined || value === null || value === '') {
+      files[name] = value === '' ? null : process.env[`ANNOUNCE_${name.toUpperCase()}_WAV`];
+      continue;
+    }
+    if (typeof value !== 'string') {
+      throw new Error(`Invalid announcements.${name}: expected a file path relative to ANNOUNCE_DIR`);
+    }
+    if (!process.env.ANNOUNCE_DIR) {
+      throw new Error('Announcements from the request are disabled. Set ANNOUNCE_DIR to the directory holding the files.');
+    }
+
+    const announceDir = path.resolve(process.env.ANNOUNCE_DIR);
+    const file = path.resolve(announceDir, value);
+    if (!file.startsWith(announceDir + path.sep)) {
+      throw new Error(`announcements.${name} must be inside ANNOUNCE_DIR`);
+    }
+    files[name] = file;
+  }
+  return files;
+}
+
+/**
+ * Options every session takes, validated - throws with a message for a 400
+ * ice: { servers, transportPolicy, publicStun, usePexipTurn }, defaults from .env
+ */
+function parseSessionOptions({ transcriptionProvider, record, channelMode, voiceGate = null, ice = {} }) {
+  checkObjectOption('ice', ice);
+  parseChannelMode(channelMode);
+
+  if (record && !['wav', 'ogg'].includes(record)) {
+    throw new Error('Invalid record value. Use "wav" or "ogg".');
+  }
+
+  let iceServers;
+  try {
+    iceServers = ice.servers !== undefined ?
+      WebRTCHandler.parseIceServers(ice.servers) :
+      WebRTCHandler.parseIceServers(process.env.ICE_SERVERS, process.env.ICE_USERNAME, process.env.ICE_CREDENTIAL);
+  } catch (error) {
+    throw new Error(`Invalid ice.servers: ${error.message}`);
+  }
+
+  const iceTransportPolicy = ice.transportPolicy || process.env.ICE_TRANSPORT_POLICY || 'all';
+  if (!ICE_TRANSPORT_POLICIES.includes(iceTransportPolicy)) {
+    throw new Error('Invalid ice.transportPolicy value. Use "all" or "relay".');
+  }
+
+  return {
+    transcriptionProvider,
+    record,
+    channelMode,
+    voiceGate: parseVoiceGate(voiceGate),
+    ice: {
+      iceServers,
+      iceTransportPolicy,
+      publicStun: ice.publicStun ?? process.env.ICE_PUBLIC_STUN !== 'false',
+      usePexipTurn: ice.usePexipTurn ?? process.env.ICE_USE_PEXIP_TURN !== 'false'
+    }
+  };
+}
+
+/**
+ * Voice gate settings from a request (true/false, "true"/"false" or an object
+ * overriding the .env defaults); null when the gate is off
+ */
+function parseVoiceGate(value) {
+  const enabled = value === null || value === undefined ?
+    process.env.VOICE_GATE === 'true' :
+    value !== false && value !== 'false';
+  if (!enabled) {
+    return null;
+  }
+
+  const options = {
+    thresholdDb: parseFloat(process.env.VOICE_GATE_THRESHOLD_DB || '-45'),
+    hangoverMs: parseInt(process.env.VOICE_GATE_HANGOVER_MS || '800'),
+    preRollMs: parseInt(process.env.VOICE_GATE_PRE_ROLL_MS || '300')
+  };
+  if (typeof value === 'object') {
+    for (const key of Object.keys(options)) {
+      if (value[key] === undefined) continue;
+      if (typeof value[key] !== 'number' || !Number.isFinite(value[key])) {
+        throw new Error(`Invalid voiceGate.${key}: expected a number`);
+      }
+      if (key !== 'thresholdDb' && value[key] < 0) {
+        throw new Error(`Invalid voiceGate.${key}: expected a non-negative number`);
+      }
+      options[key] = value[key];
+    }
+  }
+  return options;
+}
+
+/**
+ * Transcript, recording and transcription service for one session -
+ * the pipeline every media source feeds. The source is attached afterwards
+ * and gets session.onAudioData as its onAudioData.
+ */
+function createSession(id, { transcriptionProvider, record, channelMode, voiceGate }, details = {}) {
+  // Validate provider
+  TranscriptionFactory.validateProvider(transcriptionProvider);
+
+  // Create transcript manager
+  const transcriptManager = new TranscriptManager();
+  const recorder = record ? new AudioRecorder(transcriptManager.recordingBase, {
+    format: record,
+    bitrate: process.env.RECORD_BITRATE,
+    channelMode: channelMode || process.env.AUDIO_CHANNEL_MODE
+  }) : null;
+
+  // Create transcription service
+  const transcriptionConfig = {
+    apiKey: transcriptionProvider === 'gemini' ?
+      process.env.GEMINI_API_KEY : process.env.OPENAI_API_KEY,
+    model: transcriptionProvider === 'gemini' ?
+      'gemini-live-2.5-flash-preview' :
+      (process.env.OPENAI_MODEL || 'gpt-4o-transcribe'),
+    language: process.env.TRANSCRIPTION_LANGUAGE || 'en',
+    vadEnabled: process.env.VAD_ENABLED !== 'false',
+    vadType: process.env.VAD_TYPE || 'server_vad',
+    vadThreshold: parseFloat(process.env.VAD_THRESHOLD || '0.5'),
+    vadSilenceDurationMs: parseInt(process.env.VAD_SILENCE_DURATION || '500'),
+    vadEagerness: process.env.VAD_EAGERNESS || 'auto',
+    debug: process.env.DEBUG_OPENAI === 'true' || process.env.DEBUG_GEMINI === 'true',
+    channelMode: channelMode || process.env.AUDIO_CHANNEL_MODE
+  };
+
+  const transcriptionService = TranscriptionFactory.create(
+    transcriptionProvider,
+    transcriptionConfig
+  );
+
+  const session = {
+    id,
+    conferenceAlias: null,
+    displayName: null,
+    ...details,
+    transcriptionProvider,
+    connection: null,  // The media source
+    transcriptionService,
+    transcriptManager,
+    recorder,
+    voiceGate: null,
+    isActive: true,
+    startTime: new Date().toISOString()
+  };
+
+  // Set up transcription handlers
+  transcriptionService.on('transcriptionComplete', (transcription) => {
+    const { connection } = session;
+    const speaker = connection.getSpeakerForSegment(transcription);
+    console.log(`[${id}] Transcription${speaker ? ` (${speaker.displayName})` : ''}:`, transcription.text);
+    transcriptManager.addTranscription(transcription.text, {
+      itemId: transcription.itemId,
+      previousItemId: transcription.previousItemId,
+      speaker: speaker?.displayName,
+      speakerId: speaker?.uuid,
+      room: connection.getRoomForSegment(transcription),
+      recording: recorder?.getSegmentPosition(transcription) || undefined,
+      startTime: transcription.startTime,
+      endTime: transcription.endTime
+    });
+    connection.postCaption(transcription.text, speaker?.displayName);
+  });
+
+  transcriptionService.on('error', (error) => {
+    console.error(`[${id}] Transcription error:`, error.message);
+  });
+
+  session.getTranscriptionStatus = () => ({
+    transcriptionCount: transcriptManager.getStats().transcriptionCount,
+    language: transcriptionService.language
+  });
+
+  // Only speech (plus padding) goes to the provider; the recording keeps everything
+  if (voiceGate) {
+    session.voiceGate = new VoiceGate({
+      ...voiceGate,
+      onSpeechEnd: () => commitTurn(transcriptionService)
+    });
+  }
+
+  session.onAudioData = async (audioData) => {
+    recorder?.write(audioData);
+
+    // Transcription starts once the source is admitted
+    if (!transcriptionService.isConnected) return;
+
+    const frames = session.voiceGate ? session.voiceGate.process(audioData) : [audioData];
+    try {
+      for (const frame of frames) {
+        await transcriptionService.processAudioChunk({
+          samples: frame.samples,
+          sampleRate: frame.sampleRate,
+          channelCount: frame.channelCount,
+          timestamp: frame.timestamp
+        });
+      }
+    } catch (error) {
+      console.error(`[${id}] Audio processing error:`, error.message);
+    }
+  };
+
+  return session;
+}
+
+/**
+ * Wire the events every media source has into the session
+ * Controls from inside the meeting (chat commands, DTMF), the REST API and auto-leave policies
+ */
+function attachSource(session, connection) {
+  const { id, transcriptManager } = session;
+  session.connection = connection;
+
+  connection.on('leaveRequested', async ({ reason }) => {
+    try {
+      await endConnection(session, reason);
+    } catch (error) {
+      console.error(`[${id}] Failed to leave:`, error.message);
+    }
+  });
+
+  connection.on('bookmark', ({ label, requestedBy, room }) => {
+    // The transcript is saved as soon as the session starts ending
+    if (!session.isActive) return;
+    const bookmark = transcriptManager.addBookmark(label, { requestedBy, room });
+    if (bookmark) {
+      console.log(`[${id}] ${bookmark.label} added`);
+    }
+  });
+
+  connection.on('mediaQuality', ({ status, metric, peak, threshold }) => {
+    if (status === 'degraded') {
+      console.warn(`[${id}] Media quality degraded: ${metric} ${peak} (threshold ${threshold})`);
+    } else {
+      console.log(`[${id}] Media quality recovered: ${metric}`);
+    }
+  });
+}
+
 /**
  * Dial-in endpoint - triggers bot to join a conference
  */
@@ -38,8 +303,23 @@ app.post('/api/dial-in', async (req, res) => {
     conferenceAlias,
     displayName = 'Transcription Bot',
     pin = '',
-    pexipNode = process.env.PEXIP_NODE,
-    transcriptionProvider = process.env.TRANSCRIPTION_PROVIDER || 'openai'
+    role = null,  // 'host' or 'guest'
+    idp = null,  // Identity provider uuid for SSO conferences
+    ssoToken = null,  // Token from a completed SSO sign-in
+    jwt = null,  // Pre-issued JWT
+    pexipNode = process.env.PEXIP_NODE,  // One node, a list or a comma-separated string
+    pexipDomain = process.env.PEXIP_NODE_DOMAIN,  // Discover nodes via DNS SRV
+    transcriptionProvider = process.env.TRANSCRIPTION_PROVIDER || 'openai',
+    chatCaptions = null,  // 'segment' or 'digest'
+    chatCaptionsInterval = 30,
+    waitingTimeoutSeconds = parseInt(process.env.WAITING_ROOM_TIMEOUT || '600'),
+    autoLeave = {},  // { aloneMinutes, silenceMinutes, maxSessionMinutes }
+    dtmf = {},  // { enabled, hostsOnly, sequences: { pause, resume, stop, bookmark } }
+    ice = {},  // { servers, transportPolicy, publicStun, usePexipTurn }
+    announcements = {},  // WAV paths under ANNOUNCE_DIR: { join, pause, resume, leave }
+    record = process.env.RECORD_AUDIO || null,  // 'wav' or 'ogg' - record conference audio
+    channelMode = null,  // 'downmix', 'left', 'right' or a channel number
+    voiceGate = null  // true, false or { thresholdDb, hangoverMs, preRollMs } - default VOICE_GATE
   } = req.body;
 
   // Validate required fields
@@ -49,9 +329,40 @@ app.post('/api/dial-in', async (req, res) => {
     });
   }
 
-  if (!pexipNode) {
+  if (role && !['host', 'guest'].includes(role)) {
+    return res.status(400).json({
+      error: 'Invalid role value. Use "host" or "guest".'
+    });
+  }
+
+  if (chatCaptions && !['segment', 'digest'].includes(chatCaptions)) {
     return res.status(400).json({
-      error: 'Missing Pexip node address. Set PEXIP_NODE in .env or provide pexipNode in request.'
+      error: 'Invalid chatCaptions value. Use "segment" or "digest".'
+    });
+  }
+
+  if (!(Number(chatCaptionsInterval) > 0)) {
+    return res.status(400).json({
+      error: 'Invalid chatCaptionsInterval value. Use a positive number of seconds.'
+    });
+  }
+
+  let sessionOptions;
+  let announcementFiles;
+  try {
+    checkObjectOption('autoLeave', autoLeave);
+    checkObjectOption('dtmf', dtmf);
+    checkObjectOption('dtmf.sequences', dtmf.sequences);
+    checkObjectOption('announcements', announcements);
+    announcementFiles = resolveAnnouncements(announcements);
+    sessionOptions = parseSessionOptions({ transcriptionProvider, record, channelMode, voiceGate, ice });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!pexipNode && !pexipDomain) {
+    return res.status(400).json({
+      error: 'Missing Pexip node address. Set PEXIP_NODE or PEXIP_NODE_DOMAIN in .env or provide pexipNode in request.'
     });
   }
 
@@ -72,70 +383,84 @@ app.post('/api/dial-in', async (req, res) => {
   console.log(`Dial-in request received:`);
   console.log(`   Conference: ${conferenceAlias}`);
   console.log(`   Display Name: ${displayName}`);
-  console.log(`   Node: ${pexipNode}`);
+  console.log(`   Node: ${pexipNode || `SRV ${pexipDomain}`}`);
   console.log(`   Provider: ${transcriptionProvider}`);
 
+  let session;
   try {
-    // Validate provider
-    TranscriptionFactory.validateProvider(transcriptionProvider);
-
-    // Create transcript manager
-    const transcriptManager = new TranscriptManager();
-
-    // Create transcription service
-    const transcriptionConfig = {
-      apiKey: transcriptionProvider === 'gemini' ?
-        process.env.GEMINI_API_KEY : process.env.OPENAI_API_KEY,
-      model: transcriptionProvider === 'gemini' ?
-        'gemini-live-2.5-flash-preview' :
-        (process.env.OPENAI_MODEL || 'gpt-4o-transcribe'),
-      language: process.env.TRANSCRIPTION_LANGUAGE || 'en',
-      vadEnabled: process.env.VAD_ENABLED !== 'false',
-      vadType: process.env.VAD_TYPE || 'server_vad',
-      vadThreshold: parseFloat(process.env.VAD_THRESHOLD || '0.5'),
-      vadSilenceDurationMs: parseInt(process.env.VAD_SILENCE_DURATION || '500'),
-      vadEagerness: process.env.VAD_EAGERNESS || 'auto',
-      debug: process.env.DEBUG_OPENAI === 'true' || process.env.DEBUG_GEMINI === 'true'
-    };
-
-    const transcriptionService = TranscriptionFactory.create(
-      transcriptionProvider,
-      transcriptionConfig
-    );
-
-    // Set up transcription handlers
-    transcriptionService.on('transcriptionComplete', (transcription) => {
-      console.log(`[${connectionId}] Transcription:`, transcription.text);
-      transcriptManager.addTranscription(transcription.text, {
-        itemId: transcription.itemId,
-        previousItemId: transcription.previousItemId
-      });
-    });
-
-    transcriptionService.on('error', (error) => {
-      console.error(`[${connectionId}] Transcription error:`, error.message);
-    });
-
-    // Connect to transcription service
-    await transcriptionService.connect();
-    console.log(`${transcriptionProvider} connected`);
+    session = createSession(connectionId, sessionOptions, { conferenceAlias, displayName, pexipNode });
+    const { transcriptionService } = session;
 
     // Create Pexip connection
-    const connection = new PexipConnection({
+    const connection = MediaSourceFactory.create('pexip', {
       nodeAddress: pexipNode,
+      nodeDomain: pexipDomain,
       conferenceAlias,
       displayName,
       pin,
-      onAudioData: async (audioData) => {
-        try {
-          await transcriptionService.processAudioChunk({
-            samples: audioData.samples,
-            sampleRate: audioData.sampleRate,
-            timestamp: audioData.timestamp
-          });
-        } catch (error) {
-          console.error(`[${connectionId}] Audio processing error:`, error.message);
+      role,
+      chosenIdp: idp,
+      ssoToken,
+      jwt,
+      waitingTimeoutSeconds,
+      chatCaptions: chatCaptions ? {
+        mode: chatCaptions,
+        digestIntervalSeconds: Number(chatCaptionsInterval)
+      } : null,
+      autoLeave: {
+        aloneMinutes: autoLeave.aloneMinutes ?? parseFloat(process.env.AUTO_LEAVE_ALONE_MINUTES || '0'),
+        silenceMinutes: autoLeave.silenceMinutes ?? parseFloat(process.env.AUTO_LEAVE_SILENCE_MINUTES || '0'),
+        maxSessionMinutes: autoLeave.maxSessionMinutes ?? parseFloat(process.env.MAX_SESSION_MINUTES || '0')
+      },
+      dtmf: {
+        enabled: dtmf.enabled ?? process.env.DTMF_CONTROL !== 'false',
+        hostsOnly: dtmf.hostsOnly ?? process.env.DTMF_ALLOW_GUESTS !== 'true',
+        sequences: {
+          pause: dtmf.sequences?.pause ?? process.env.DTMF_PAUSE,
+          resume: dtmf.sequences?.resume ?? process.env.DTMF_RESUME,
+          stop: dtmf.sequences?.stop ?? process.env.DTMF_STOP,
+          bookmark: dtmf.sequences?.bookmark ?? process.env.DTMF_BOOKMARK
         }
+      },
+      audioWatchdog: {
+        enabled: process.env.AUDIO_WATCHDOG !== 'false',  // Default true
+        stallSeconds: parseFloat(process.env.AUDIO_STALL_SECONDS || '10')
+      },
+      ice: sessionOptions.ice,
+      mediaStats: {
+        intervalMs: parseInt(process.env.MEDIA_STATS_INTERVAL || '5') * 1000,
+        thresholds: {
+          lossPercent: parseFloat(process.env.MEDIA_WARN_LOSS_PERCENT || '5'),
+          jitterMs: parseFloat(process.env.MEDIA_WARN_JITTER_MS || '30'),
+          concealmentPercent: parseFloat(process.env.MEDIA_WARN_CONCEALMENT_PERCENT || '10')
+        }
+      },
+      announcements: announcementFiles,
+      getTranscriptionStatus: session.getTranscriptionStatus,
+      onAudioData: session.onAudioData
+    });
+    attachSource(session, connection);
+
+    connection.on('recovery', (event) => {
+      const strategy = event.strategy ? ` via ${event.strategy}` : '';
+      console.log(`[${connectionId}] Call recovery ${event.status}${strategy} (attempt ${event.attempt}, ${event.reason})`);
+    });
+
+    connection.on('roomChange', ({ from, to, reason }) => {
+      console.log(`[${connectionId}] Moved from ${from} to ${to} (${reason})`);
+    });
+
+    connection.on('audioIncident', ({ reason, status, recoveredBy }) => {
+      if (status === 'recovering') {
+        console.warn(`[${connectionId}] Conference audio stopped (${reason}) - renegotiating`);
+      } else {
+        console.log(`[${connectionId}] Audio incident ${reason} ${status}${recoveredBy ? ` via ${recoveredBy}` : ''}`);
+      }
+    });
+
+    connection.on('tokenState', (state) => {
+      if (state.status === 'failed') {
+        console.error(`[${connectionId}] Token could not be renewed: ${state.lastError}`);
       }
     });
 
@@ -143,37 +468,83 @@ app.post('/api/dial-in', async (req, res) => {
     await connection.connect();
     console.log(`Connected to conference: ${conferenceAlias}`);
 
-    // Store connection info
-    const connectionInfo = {
-      id: connectionId,
-      conferenceAlias,
+    activeConnections.set(connectionId, session);
+
+    // Language changes come from chat commands
+    connection.on('languageChange', async ({ language }) => {
+      try {
+        await transcriptionService.setLanguage(language);
+        console.log(`[${connectionId}] Transcription language set to ${language}`);
+      } catch (error) {
+        console.error(`[${connectionId}] Failed to change language:`, error.message);
+      }
+    });
+
+    const conference = {
+      alias: conferenceAlias,
       displayName,
-      pexipNode,
-      transcriptionProvider,
-      connection,
-      transcriptionService,
-      transcriptManager,
-      isActive: true,
-      startTime: new Date().toISOString()
+      node: connection.api.nodeAddress,
+      provider: transcriptionProvider
     };
 
-    activeConnections.set(connectionId, connectionInfo);
+    // Locked conference or host not there yet - answer now, transcribe once admitted
+    if (connection.isWaiting) {
+      connection.waitForAdmission().then(async (admitted) => {
+        if (!admitted) {
+          // Already ending if the waiting timeout fired
+          await endConnection(session, 'not_admitted');
+          return;
+        }
+        try {
+          await transcriptionService.connect();
+          console.log(`[${connectionId}] Admitted, ${transcriptionProvider} connected`);
+        } catch (error) {
+          console.error(`[${connectionId}] Failed to start transcription:`, error.message);
+          await endConnection(session, 'transcription_failed');
+        }
+      }).catch((error) => {
+        console.error(`[${connectionId}] Failed to leave:`, error.message);
+      });
+
+      return res.status(202).json({
+        success: true,
+        connectionId,
+        status: 'waiting',
+        message: 'Bot is waiting to be admitted to the conference',
+        conference
+      });
+    }
+
+    try {
+      await transcriptionService.connect();
+      console.log(`${transcriptionProvider} connected`);
+    } catch (error) {
+      await endConnection(session, 'transcription_failed');
+      throw error;
+    }
 
     // Return success
     res.json({
       success: true,
       connectionId,
+      status: 'active',
       message: 'Bot successfully joined conference',
-      conference: {
-        alias: conferenceAlias,
-        displayName,
-        node: pexipNode,
-        provider: transcriptionProvider
-      }
+      conference
     });
 
   } catch (error) {
     console.error('Dial-in failed:', error.message);
+    await discardSession(session);
+
+    if (error instanceof PexipAuthError) {
+      return res.status(error.reason === 'conference_not_found' ? 404 : 401).json({
+        error: 'Authentication failed',
+        reason: error.reason,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     res.status(500).json({
       error: 'Failed to join conference',
       message: error.message
@@ -181,6 +552,335 @@ app.post('/api/dial-in', async (req, res) => {
   }
 });
 
+/**
+ * Close what createSession opened for a session that failed to start
+ * (a started one is closed by endConnection): the recording, and the transcript file if it is empty
+ */
+async function discardSession(session) {
+  if (!session || activeConnections.has(session.id)) return;
+  session.isActive = false;
+  await session.recorder?.close();
+  await session.transcriptManager.discard();
+}
+
+/**
+ * Connect a non-Pexip source, then transcription, and register the session
+ */
+async function startSession(session, connection) {
+  const result = await connection.connect();
+  activeConnections.set(session.id, session);
+
+  try {
+    await session.transcriptionService.connect();
+    console.log(`[${session.id}] ${session.transcriptionProvider} connected`);
+  } catch (error) {
+    await endConnection(session, 'transcription_failed');
+    throw error;
+  }
+
+  // Replayed sources hold their audio until the session config is applied
+  await waitForSessionReady(session.transcriptionService);
+  connection.start();
+  return result;
+}
+
+/**
+ * WHEP endpoint - bot pulls audio from a WebRTC egress endpoint
+ */
+app.post('/api/whep', async (req, res) => {
+  const {
+    endpoint,
+    token = null,  // Bearer token for the WHEP endpoint
+    transcriptionProvider = process.env.TRANSCRIPTION_PROVIDER || 'openai',
+    ice = {},  // { servers, transportPolicy, publicStun }
+    record = process.env.RECORD_AUDIO || null,
+    channelMode = null,
+    voiceGate = null
+  } = req.body;
+
+  if (!endpoint) {
+    return res.status(400).json({
+      error: 'Missing required field: endpoint'
+    });
+  }
+
+  let sessionOptions;
+  try {
+    new URL(endpoint);
+    sessionOptions = parseSessionOptions({ transcriptionProvider, record, channelMode, voiceGate, ice });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const connectionId = `whep_${Date.now()}`;
+  console.log(`WHEP request received: ${endpoint} (${transcriptionProvider})`);
+
+  let session;
+  try {
+    session = createSession(connectionId, sessionOptions);
+    const connection = MediaSourceFactory.create('whep', {
+      endpoint,
+      token,
+      ice: sessionOptions.ice,
+      onAudioData: session.onAudioData
+    });
+    attachSource(session, connection);
+
+    await startSession(session, connection);
+
+    res.json({
+      success: true,
+      connectionId,
+      status: 'active',
+      message: 'Bot is receiving audio from the WHEP endpoint',
+      source: { type: 'whep', endpoint, provider: transcriptionProvider }
+    });
+  } catch (error) {
+    console.error('WHEP connect failed:', error.message);
+    await discardSession(session);
+    res.status(502).json({
+      error: 'Failed to connect to WHEP endpoint',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * SDP ingest endpoint - a browser (or any WebRTC sender) posts its offer
+ * WHIP style: application/sdp in, 201 with the answer and a Location to DELETE;
+ * options go in the query string. A JSON body { sdp, ...options } works too.
+ */
+app.post('/api/ingest', express.text({ type: 'application/sdp' }), async (req, res) => {
+  const isSdp = req.is('application/sdp');
+  const options = (isSdp ? req.query : req.body) || {};
+  const offer = isSdp ? req.body : options.sdp;
+  const {
+    transcriptionProvider = process.env.TRANSCRIPTION_PROVIDER || 'openai',
+    ice = {},  // JSON body only: { servers, transportPolicy, publicStun }
+    record = process.env.RECORD_AUDIO || null,
+    channelMode = null,
+    voiceGate = null  // "true" in the query string
+  } = options;
+
+  if (!offer || typeof offer !== 'string') {
+    return res.status(400).json({
+      error: 'Missing SDP offer. Send application/sdp or JSON { "sdp": "..." }.'
+    });
+  }
+
+  let sessionOptions;
+  try {
+    sessionOptions = parseSessionOptions({ transcriptionProvider, record, channelMode, voiceGate, ice });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const connectionId = `ingest_${Date.now()}`;
+  console.log(`SDP ingest request received (${transcriptionProvider})`);
+
+  let session;
+  try {
+    session = createSession(connectionId, sessionOptions);
+    const connection = MediaSourceFactory.create('sdp', {
+      offer,
+      ice: sessionOptions.ice,
+      onAudioData: session.onAudioData
+    });
+    attachSource(session, connection);
+
+    const answer = await startSession(session, connection);
+    const resource = `/api/ingest/${connectionId}`;
+
+    res.status(201).location(resource);
+    if (isSdp) {
+      return res.type('application/sdp').send(answer);
+    }
+    res.json({
+      success: true,
+      connectionId,
+      status: 'active',
+      resource,
+      sdp: answer
+    });
+  } catch (error) {
+    console.error('SDP ingest failed:', error.message);
+    await discardSession(session);
+    res.status(400).json({
+      error: 'Failed to accept SDP offer',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * End an SDP ingest session (the Location returned by /api/ingest)
+ */
+app.delete('/api/ingest/:connectionId', async (req, res) => {
+  const connection = activeConnections.get(req.params.connectionId);
+
+  if (!connection || connection.connection.type !== 'sdp') {
+    return res.status(404).json({ error: 'Connection not found' });
+  }
+
+  try {
+    await endConnection(connection, 'hang_up');
+    res.status(200).json({ success: true, connectionId: connection.id });
+  } catch (error) {
+    console.error('Ingest hang-up failed:', error.message);
+    res.status(500).json({
+      error: 'Failed to disconnect',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Replay endpoint - transcribe a WAV or raw PCM file on the server
+ * For reproducing a transcript from a capture; the session ends with the file.
+ * Only files under REPLAY_DIR can be replayed, and only when it is set.
+ */
+app.post('/api/replay', async (req, res) => {
+  const {
+    input,  // Path on the server
+    format = 'auto',  // 'auto', 'wav' or 'pcm'
+    sampleRate = null,  // Raw PCM only
+    channelCount = null,  // Raw PCM only
+    pacing = 'realtime',  // 'realtime' or 'fast'
+    transcriptionProvider = process.env.TRANSCRIPTION_PROVIDER || 'openai',
+    record = process.env.RECORD_AUDIO || null,
+    channelMode = null,
+    voiceGate = null
+  } = req.body;
+
+  if (!process.env.REPLAY_DIR) {
+    return res.status(403).json({
+      error: 'Replay is disabled. Set REPLAY_DIR to the directory holding the files.'
+    });
+  }
+  if (!input || typeof input !== 'string') {
+    return res.status(400).json({
+      error: 'Missing required field: input (a file path relative to REPLAY_DIR)'
+    });
+  }
+
+  for (const [name, value] of Object.entries({ sampleRate, channelCount })) {
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      return res.status(400).json({ error: `Invalid ${name}: expected a positive whole number` });
+    }
+  }
+
+  const replayDir = path.resolve(process.env.REPLAY_DIR);
+  const inputPath = path.resolve(replayDir, input);
+  if (!inputPath.startsWith(replayDir + path.sep)) {
+    return res.status(400).json({ error: 'input must be inside REPLAY_DIR' });
+  }
+
+  let sessionOptions;
+  try {
+    sessionOptions = parseSessionOptions({ transcriptionProvider, record, channelMode, voiceGate });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const connectionId = `replay_${Date.now()}`;
+  console.log(`Replay request received: ${input} (${transcriptionProvider}, ${pacing})`);
+
+  let connection;
+  let session;
+  try {
+    session = createSession(connectionId, sessionOptions);
+    connection = MediaSourceFactory.create('file', {
+      input: inputPath,
+      format,
+      sampleRate,
+      channelCount,
+      pacing,
+      onAudioData: session.onAudioData
+    });
+  } catch (error) {
+    await discardSession(session);
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    attachSource(session, connection);
+    await startSession(session, connection);
+
+    res.json({
+      success: true,
+      connectionId,
+      status: 'active',
+      message: 'Bot is replaying the file',
+      source: { type: 'file', input, pacing, provider: transcriptionProvider }
+    });
+  } catch (error) {
+    console.error('Replay failed:', error.message);
+    await discardSession(session);
+    res.status(400).json({
+      error: 'Failed to replay file',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * waiting (in the lobby), active or ending
+ */
+function getConnectionStatus(conn) {
+  if (!conn.isActive) return 'ending';
+  return conn.connection.isWaiting ? 'waiting' : 'active';
+}
+
+/**
+ * Save transcripts, disconnect and forget a connection
+ * Shared by the hang-up endpoint and in-meeting leave requests
+ */
+async function endConnection(targetConnection, reason) {
+  if (!targetConnection.isActive) {
+    return null;
+  }
+  targetConnection.isActive = false;
+
+  // A replay ran out of audio - let the last turn be transcribed
+  if (reason === 'end_of_input') {
+    await drainTranscription(targetConnection.transcriptionService);
+  }
+
+  // Finish the recording first so the transcript can point into it
+  const recording = targetConnection.recorder ? await targetConnection.recorder.close() : null;
+
+  // Save transcripts
+  const stats = targetConnection.transcriptManager.getStats();
+  if (stats.transcriptionCount > 0) {
+    const files = await targetConnection.transcriptManager.save({
+      ...targetConnection.connection.getSessionInfo(),
+      recording,
+      voiceGate: targetConnection.voiceGate?.getStats(),
+      endReason: reason
+    });
+    console.log(`Saved ${stats.transcriptionCount} transcriptions`);
+  } else {
+    targetConnection.transcriptManager.close();
+  }
+
+  // Disconnect services
+  await targetConnection.connection.disconnect();
+  await targetConnection.transcriptionService.disconnect();
+
+  // Mark as inactive
+  targetConnection.endTime = new Date().toISOString();
+  targetConnection.endReason = reason;
+
+  // Remove from active connections
+  activeConnections.delete(targetConnection.id);
+  console.log(`Connection ${targetConnection.id} ended (${reason})`);
+
+  return {
+    transcriptions: stats.transcriptionCount,
+    duration: new Date(targetConnection.endTime) - new Date(targetConnection.startTime)
+  };
+}
+
 /**
  * Hang-up endpoint - disconnects bot from a conference
  */
@@ -203,33 +903,22 @@ app.post('/api/hang-up', async (req, res) => {
     });
   }
 
-  console.log(`Hang-up request for: ${targetConnection.conferenceAlias}`);
+  console.log(`Hang-up request for: ${targetConnection.conferenceAlias || targetConnection.id}`);
 
   try {
-    // Save transcripts
-    const stats = targetConnection.transcriptManager.getStats();
-    if (stats.transcriptionCount > 0) {
-      const files = await targetConnection.transcriptManager.save();
-      console.log(`Saved ${stats.transcriptionCount} transcriptions`);
+    const result = await endConnection(targetConnection, 'hang_up');
+    if (!result) {
+      return res.status(409).json({
+        error: 'Connection is already ending'
+      });
     }
 
-    // Disconnect services
-    await targetConnection.connection.disconnect();
-    await targetConnection.transcriptionService.disconnect();
-
-    // Mark as inactive
-    targetConnection.isActive = false;
-    targetConnection.endTime = new Date().toISOString();
-
-    // Remove from active connections
-    activeConnections.delete(targetConnection.id);
-
     res.json({
       success: true,
       message: 'Bot disconnected from conference',
       connectionId: targetConnection.id,
-      transcriptions: stats.transcriptionCount,
-      duration: new Date(targetConnection.endTime) - new Date(targetConnection.startTime)
+      transcriptions: result.transcriptions,
+      duration: result.duration
     });
 
   } catch (error) {
@@ -249,9 +938,11 @@ app.get('/api/connections', (req, res) => {
     id: conn.id,
     conferenceAlias: conn.conferenceAlias,
     displayName: conn.displayName,
+    source: conn.connection.type,
     provider: conn.transcriptionProvider,
     startTime: conn.startTime,
     isActive: conn.isActive,
+    status: getConnectionStatus(conn),
     transcriptionCount: conn.transcriptManager.getStats().transcriptionCount
   }));
 
@@ -273,22 +964,132 @@ app.get('/api/connections/:connectionId', (req, res) => {
 
   const stats = connection.transcriptManager.getStats();
 
+  const source = connection.connection;
+
   res.json({
     id: connection.id,
     conferenceAlias: connection.conferenceAlias,
     displayName: connection.displayName,
-    pexipNode: connection.pexipNode,
+    source: source.type,
     provider: connection.transcriptionProvider,
     startTime: connection.startTime,
     isActive: connection.isActive,
+    status: getConnectionStatus(connection),
+    isPaused: source.isPaused,
     transcriptions: {
       count: stats.transcriptionCount,
+      bookmarks: stats.bookmarkCount,
       words: stats.totalWords,
       duration: stats.duration
-    }
+    },
+    ice: source.webrtc ? source.webrtc.getIceInfo() : null,
+    mediaQuality: source.mediaStats ? source.mediaStats.getSummary() : null,
+    recording: connection.recorder ? {
+      file: connection.recorder.file,
+      format: connection.recorder.format,
+      durationSeconds: connection.recorder.samplesWritten / (connection.recorder.sampleRate || 48000)
+    } : null,
+    voiceGate: connection.voiceGate ? connection.voiceGate.getStats() : null,
+    ...source.getState()  // Pexip: pexipNode, room, nodes, waiting, role, tokenState, autoLeave, audioWatchdog, recovery
   });
 });
 
+/**
+ * Get the participant roster for a connection
+ */
+app.get('/api/connections/:connectionId/participants', (req, res) => {
+  const connection = activeConnections.get(req.params.connectionId);
+
+  if (!connection) {
+    return res.status(404).json({ error: 'Connection not found' });
+  }
+
+  if (!connection.connection.roster) {
+    return res.status(404).json({ error: 'No participant roster for this media source' });
+  }
+
+  const participants = connection.connection.roster.toJSON();
+
+  res.json({
+    count: participants.length,
+    present: participants.filter(p => p.isPresent).length,
+    participants
+  });
+});
+
+/**
+ * Inbound audio statistics time series for a connection
+ */
+app.get('/api/connections/:connectionId/stats', (req, res) => {
+  const connection = activeConnections.get(req.params.connectionId);
+
+  if (!connection) {
+    return res.status(404).json({ error: 'Connection not found' });
+  }
+
+  const { mediaStats } = connection.connection;
+  if (!mediaStats) {
+    return res.status(404).json({ error: 'No media statistics for this media source' });
+  }
+
+  res.json({
+    summary: mediaStats.getSummary(),
+    ...mediaStats.toJSON()
+  });
+});
+
+/**
+ * Pause transcription - same path as the chat command and DTMF
+ */
+app.post('/api/connections/:connectionId/pause', (req, res) => {
+  const connection = activeConnections.get(req.params.connectionId);
+
+  if (!connection) {
+    return res.status(404).json({ error: 'Connection not found' });
+  }
+  if (!connection.isActive) {
+    return res.status(409).json({ error: 'Connection is ending' });
+  }
+
+  const changed = connection.connection.pauseTranscription({ via: 'api' });
+  res.json({ success: true, changed, isPaused: connection.connection.isPaused });
+});
+
+/**
+ * Resume transcription
+ */
+app.post('/api/connections/:connectionId/resume', (req, res) => {
+  const connection = activeConnections.get(req.params.connectionId);
+
+  if (!connection) {
+    return res.status(404).json({ error: 'Connection not found' });
+  }
+  if (!connection.isActive) {
+    return res.status(409).json({ error: 'Connection is ending' });
+  }
+
+  const changed = connection.connection.resumeTranscription({ via: 'api' });
+  res.json({ success: true, changed, isPaused: connection.connection.isPaused });
+});
+
+/**
+ * Mark the current point in the transcript
+ */
+app.post('/api/connections/:connectionId/bookmark', (req, res) => {
+  const connection = activeConnections.get(req.params.connectionId);
+
+  if (!connection) {
+    return res.status(404).json({ error: 'Connection not found' });
+  }
+  if (!connection.isActive) {
+    return res.status(409).json({ error: 'Connection is ending' });
+  }
+
+  connection.connection.addBookmark(req.body?.label || null, { via: 'api' });
+  const { bookmarks } = connection.transcriptManager;
+  res.json({ success: true, bookmark: bookmarks[bookmarks.length - 1] });
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log('PEXIP TRANSCRIPTION BOT - API SERVER');
@@ -297,21 +1098,29 @@ app.listen(PORT, () => {
   console.log(`  GET  /health              - Health check`);
   console.log(`  POST /api/dial-in         - Join a conference`);
   console.log(`  POST /api/hang-up         - Leave a conference`);
+  console.log(`  POST /api/whep            - Transcribe a WHEP endpoint`);
+  console.log(`  POST /api/ingest          - Transcribe a posted SDP offer (WHIP style)`);
+  console.log(`  DELETE /api/ingest/:id    - End an ingest session`);
+  console.log(`  POST /api/replay          - Transcribe a file under REPLAY_DIR`);
   console.log(`  GET  /api/connections     - List active connections`);
   console.log(`  GET  /api/connections/:id - Get connection details`);
+  console.log(`  GET  /api/connections/:id/participants - Get participant roster`);
+  console.log(`  GET  /api/connections/:id/stats    - Get media quality statistics`);
+  console.log(`  POST /api/connections/:id/pause    - Pause transcription`);
+  console.log(`  POST /api/connections/:id/resume   - Resume transcription`);
+  console.log(`  POST /api/connections/:id/bookmark - Bookmark the transcript`);
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n\nShutting down server...');
 
-  // Disconnect all active connections
+  // End every session properly, so recordings get their WAV sizes and transcripts are saved
   for (const [id, connection] of activeConnections) {
     if (connection.isActive) {
-      console.log(`Disconnecting ${connection.conferenceAlias}...`);
+      console.log(`Disconnecting ${connection.conferenceAlias || id}...`);
       try {
-        await connection.connection.disconnect();
-        await connection.transcriptionService.disconnect();
+        await endConnection(connection, 'server_shutdown');
       } catch (error) {
         console.error(`Error disconnecting ${id}:`, error.message);
       }
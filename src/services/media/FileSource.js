@@ -0,0 +1,287 @@
+import fs from 'fs';
+import { MediaSource } from './MediaSource.js';
+import { sleep } from '../../utils/Backoff.js';
+
+export const REPLAY_PACING = ['realtime', 'fast'];
+export const REPLAY_FORMATS = ['auto', 'wav', 'pcm'];
+
+const FAST_YIELD_FRAMES = 50;  // Let sockets and timers run between bursts in fast mode
+
+/**
+ * Replays a WAV or raw PCM (s16le, interleaved) file - or stdin - through the
+ * same onAudioData contract as WebRTCHandler, for reproducing a transcript
+ * from a capture and for regression runs without a conference.
+ *
+ * connect() opens the input and reads its header; playback begins on start(),
+ * once the transcription service is ready, so no audio is lost before it.
+ * pacing 'realtime' sends 10ms frames on the wall clock, 'fast' as quickly as
+ * the pipeline takes them. Either way, frame timestamps advance with the audio
+ * from the start time, so segment times and recording offsets match the file.
+ * A little silence is appended so server-side VAD closes the last turn, then
+ * the source asks to leave with reason 'end_of_input'.
+ */
+export class FileSource extends MediaSource {
+  constructor(config = {}) {
+    super('file');
+
+    this.config = {
+      input: config.input,  // File path, '-' for stdin, or a readable stream
+      format: config.format || 'auto',  // auto detects a RIFF header
+      sampleRate: config.sampleRate || 48000,  // Raw PCM only - WAV has its own
+      channelCount: config.channelCount || 1,  // Raw PCM only
+      pacing: config.pacing || 'realtime',
+      frameMs: config.frameMs || 10,
+      tailSilenceMs: config.tailSilenceMs ?? 1000,
+      startTime: config.startTime || null,  // Timestamp of the first sample (default: connect time)
+      onAudioData: config.onAudioData || null
+    };
+
+    if (!this.config.input) {
+      throw new Error('Replay input is required (a file path or - for stdin)');
+    }
+    if (!REPLAY_PACING.includes(this.config.pacing)) {
+      throw new Error(`Invalid pacing "${this.config.pacing}". Use "realtime" or "fast".`);
+    }
+    if (!REPLAY_FORMATS.includes(this.config.format)) {
+      throw new Error(`Invalid format "${this.config.format}". Use "auto", "wav" or "pcm".`);
+    }
+    for (const key of ['sampleRate', 'channelCount', 'frameMs']) {
+      if (!Number.isInteger(this.config[key]) || this.config[key] < 1) {
+        throw new Error(`Invalid ${key} "${this.config[key]}". Use a positive whole number.`);
+      }
+    }
+
+    this.stream = null;
+    this.reader = null;
+    this.pending = Buffer.alloc(0);  // Bytes read but not yet sent
+    this.format = null;
+    this.sampleRate = null;
+    this.channelCount = null;
+    this.startTime = null;  // Timestamp of the first frame
+    this.playbackStartedAt = null;
+    this.framesSent = 0;
+    this.samplesSent = 0;  // Per channel
+    this.isFinished = false;
+    this.playback = null;
+  }
+
+  describeInput() {
+    const { input } = this.config;
+    if (input === '-') return 'stdin';
+    return typeof input === 'string' ? input : 'stream';
+  }
+
+  /**
+   * Open the input and read its header
+   */
+  async connect() {
+    const { input } = this.config;
+    if (input === '-') {
+      this.stream = process.stdin;
+    } else if (typeof input === 'string') {
+      if (!fs.existsSync(input)) {
+        throw new Error(`Replay input not found: ${input}`);
+      }
+      this.stream = fs.createReadStream(input);
+    } else {
+      this.stream = input;
+    }
+    this.reader = this.stream[Symbol.asyncIterator]();
+
+    try {
+      await this.readHeader();
+    } catch (error) {
+      // Not running yet, so disconnect() would leave the input open
+      if (this.stream !== process.stdin) {
+        this.stream.destroy?.();
+      }
+      throw error;
+    }
+
+    this.isRunning = true;
+    this.connectedAt = Date.now();
+    console.log(`Opened ${this.describeInput()} (${this.format}, ${this.sampleRate} Hz, ${this.channelCount} ch)`);
+  }
+
+  /**
+   * Play the input in the background
+   */
+  start() {
+    if (!this.isRunning || this.playback) return;
+
+    this.playbackStartedAt = Date.now();
+    this.startTime = this.config.startTime || this.playbackStartedAt;
+    console.log(`Replaying ${this.describeInput()} (${this.config.pacing})`);
+
+    this.playback = this.play().catch((error) => {
+      console.error('Replay failed:', error.message);
+      if (this.isRunning) {
+        this.requestLeave('input_error');
+      }
+    });
+  }
+
+  /**
+   * Pull the next chunk into this.pending; false at end of input
+   */
+  async readMore() {
+    const { value, done } = await this.reader.next();
+    if (done) return false;
+    const chunk = Buffer.isBuffer(value) ? value : Buffer.from(value);
+    this.pending = this.pending.length ? Buffer.concat([this.pending, chunk]) : chunk;
+    return true;
+  }
+
+  async readHeader() {
+    // Enough to recognize a RIFF header
+    while (this.pending.length < 12 && await this.readMore());
+
+    const isWav = this.pending.length >= 12 &&
+      this.pending.toString('ascii', 0, 4) === 'RIFF' &&
+      this.pending.toString('ascii', 8, 12) === 'WAVE';
+
+    if (this.config.format === 'wav' || (this.config.format === 'auto' && isWav)) {
+      if (!isWav) {
+        throw new Error('Replay input is not a WAV file');
+      }
+      await this.readWavHeader();
+    } else {
+      this.format = 'pcm';
+      this.sampleRate = this.config.sampleRate;
+      this.channelCount = this.config.channelCount;
+    }
+  }
+
+  /**
+   * Walk the RIFF chunks up to 'data', taking the format from 'fmt '
+   * Leaves this.pending at the first PCM byte
+   */
+  async readWavHeader() {
+    let offset = 12;
+    let fmt = null;
+
+    for (;;) {
+      while (this.pending.length < offset + 8) {
+        if (!await this.readMore()) throw new Error('WAV file ends before its data chunk');
+      }
+      const id = this.pending.toString('ascii', offset, offset + 4);
+      const size = this.pending.readUInt32LE(offset + 4);
+
+      if (id === 'data') {
+        this.pending = this.pending.subarray(offset + 8);
+        break;
+      }
+
+      // Chunks are word aligned
+      const next = offset + 8 + size + (size % 2);
+      while (this.pending.length < next) {
+        if (!await this.readMore()) throw new Error('WAV file ends before its data chunk');
+      }
+      if (id === 'fmt ') {
+        fmt = {
+          audioFormat: this.pending.readUInt16LE(offset + 8),
+          channels: this.pending.readUInt16LE(offset + 10),
+          sampleRate: this.pending.readUInt32LE(offset + 12),
+          bitsPerSample: this.pending.readUInt16LE(offset + 22)
+        };
+      }
+      offset = next;
+    }
+
+    // 1 = PCM, 0xFFFE = WAVE_FORMAT_EXTENSIBLE (PCM in practice)
+    if (!fmt || ![1, 0xFFFE].includes(fmt.audioFormat) || fmt.bitsPerSample !== 16 ||
+        fmt.channels < 1 || fmt.sampleRate < 1) {
+      const details = fmt ? ` (${fmt.bitsPerSample}-bit, format ${fmt.audioFormat}, ${fmt.channels} ch, ${fmt.sampleRate} Hz)` : '';
+      throw new Error(`Unsupported WAV format${details} - 16-bit PCM only`);
+    }
+    this.format = 'wav';
+    this.sampleRate = fmt.sampleRate;
+    this.channelCount = fmt.channels;
+  }
+
+  async play() {
+    const frameBytes = Math.round(this.sampleRate * this.config.frameMs / 1000) * this.channelCount * 2;
+
+    let hasMore = true;
+    while (this.isRunning) {
+      while (hasMore && this.pending.length < frameBytes) {
+        hasMore = await this.readMore();
+      }
+      if (this.pending.length === 0 || (!hasMore && this.pending.length < this.channelCount * 2)) break;
+
+      // The last frame may be short; never split a sample frame
+      const length = Math.min(frameBytes, this.pending.length - (this.pending.length % (this.channelCount * 2)));
+      const bytes = Buffer.from(this.pending.subarray(0, length));  // Copy - aligned for Int16Array
+      this.pending = this.pending.subarray(length);
+      await this.sendFrame(new Int16Array(bytes.buffer, bytes.byteOffset, length / 2));
+    }
+
+    // Silence so server-side VAD sees the end of the last turn
+    const tailFrames = Math.ceil(this.config.tailSilenceMs / this.config.frameMs);
+    for (let i = 0; i < tailFrames && this.isRunning; i++) {
+      await this.sendFrame(new Int16Array(frameBytes / 2));
+    }
+
+    if (!this.isRunning) return;
+    this.isFinished = true;
+    console.log(`Replay finished: ${(this.samplesSent / this.sampleRate).toFixed(1)}s of audio`);
+    this.requestLeave('end_of_input');
+  }
+
+  async sendFrame(samples) {
+    const offsetMs = this.samplesSent / this.sampleRate * 1000;
+
+    if (this.config.pacing === 'realtime') {
+      const delay = this.playbackStartedAt + offsetMs - Date.now();
+      if (delay > 0) {
+        await sleep(delay);
+      }
+    } else if (this.framesSent % FAST_YIELD_FRAMES === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    if (!this.isRunning) return;
+
+    this.framesSent++;
+    this.samplesSent += samples.length / this.channelCount;
+    await this.handleAudioData({
+      samples,
+      sampleRate: this.sampleRate,
+      bitsPerSample: 16,
+      channelCount: this.channelCount,
+      timestamp: Math.round(this.startTime + offsetMs)
+    });
+  }
+
+  async disconnect() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+
+    if (this.stream === process.stdin) {
+      this.stream.pause();
+    } else {
+      this.stream?.destroy?.();
+    }
+    console.log('Replay stopped');
+  }
+
+  getSessionInfo() {
+    return {
+      ...super.getSessionInfo(),
+      input: this.describeInput(),
+      format: this.format,
+      sampleRate: this.sampleRate,
+      channels: this.channelCount,
+      pacing: this.config.pacing,
+      durationSeconds: this.sampleRate ? this.samplesSent / this.sampleRate : 0
+    };
+  }
+
+  getState() {
+    return {
+      input: this.describeInput(),
+      pacing: this.config.pacing,
+      positionSeconds: this.sampleRate ? this.samplesSent / this.sampleRate : 0,
+      isFinished: this.isFinished
+    };
+  }
+}
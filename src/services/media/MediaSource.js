@@ -0,0 +1,157 @@
+// Events every source can emit; subclasses add their own
+const SOURCE_EVENTS = ['paused', 'resumed', 'leaveRequested', 'bookmark', 'mediaQuality'];
+
+/**
+ * Base class for everything that feeds audio into the transcription pipeline
+ * (a Pexip conference, a WHEP endpoint, a browser posting an SDP offer, ...)
+ *
+ * Subclasses set this.config (with onAudioData), implement connect() and
+ * disconnect() (and start() if they should hold media back), and pass frames to handleAudioData() in the WebRTCHandler
+ * format: { samples, sampleRate, channelCount, bitsPerSample, timestamp }.
+ * The Pexip-only hooks (speakers, rooms, chat captions, waiting room) have
+ * neutral defaults here so the pipeline can call them on any source.
+ */
+export class MediaSource {
+  constructor(type, events = []) {
+    this.type = type;
+    this.config = {};
+    this.isRunning = false;
+    this.isPaused = false;
+    this.isWaiting = false;
+    this.connectedAt = null;
+
+    this.listeners = {};
+    for (const event of [...SOURCE_EVENTS, ...events]) {
+      this.listeners[event] = [];
+    }
+  }
+
+  // Subscribe to a source event
+  on(event, callback) {
+    if (this.listeners[event]) {
+      this.listeners[event].push(callback);
+    } else {
+      throw new Error(`Unknown event: ${event}`);
+    }
+  }
+
+  // Unsubscribe from a source event
+  off(event, callback) {
+    if (this.listeners[event]) {
+      const index = this.listeners[event].indexOf(callback);
+      if (index > -1) {
+        this.listeners[event].splice(index, 1);
+      }
+    }
+  }
+
+  // Emit an event to all registered listeners
+  emit(event, data) {
+    if (this.listeners[event]) {
+      this.listeners[event].forEach(callback => {
+        try {
+          callback(data);
+        } catch (error) {
+          console.error(`Error in ${event} listener:`, error);
+        }
+      });
+    }
+  }
+
+  async connect() {
+    throw new Error(`${this.constructor.name} does not implement connect()`);
+  }
+
+  /**
+   * Begin delivering media once the pipeline can take it
+   * Live sources deliver from connect(); replayed ones wait for this
+   */
+  start() {}
+
+  async disconnect() {
+    this.isRunning = false;
+  }
+
+  isConnected() {
+    return this.isRunning;
+  }
+
+  /**
+   * Forward a frame to the pipeline unless transcription is paused
+   */
+  handleAudioData(audioData) {
+    if (this.isPaused || !this.config.onAudioData) return;
+    return this.config.onAudioData(audioData);
+  }
+
+  /**
+   * Stop forwarding audio to the transcription pipeline
+   * Returns false if already paused
+   */
+  pauseTranscription(requestedBy = null) {
+    if (this.isPaused) return false;
+    this.isPaused = true;
+    console.log('Transcription paused');
+    this.emit('paused', { requestedBy });
+    return true;
+  }
+
+  /**
+   * Resume forwarding audio
+   * Returns false if not paused
+   */
+  resumeTranscription(requestedBy = null) {
+    if (!this.isPaused) return false;
+    this.isPaused = false;
+    console.log('Transcription resumed');
+    this.emit('resumed', { requestedBy });
+    return true;
+  }
+
+  /**
+   * Ask the app to mark the current point in the transcript
+   */
+  addBookmark(label = null, requestedBy = null) {
+    console.log(`Bookmark requested${label ? ` (${label})` : ''}`);
+    this.emit('bookmark', { label, requestedBy, room: this.room?.label || null });
+  }
+
+  /**
+   * Ask the app to end the session through its normal save-and-disconnect path
+   */
+  requestLeave(reason, requestedBy = null) {
+    console.log(`Leave requested (${reason})`);
+    this.emit('leaveRequested', { reason, requestedBy });
+  }
+
+  /**
+   * Resolves true once audio may be transcribed (sources without a lobby are admitted at once)
+   */
+  waitForAdmission() {
+    return Promise.resolve(true);
+  }
+
+  getSpeakerForSegment() {
+    return null;
+  }
+
+  getRoomForSegment() {
+    return null;
+  }
+
+  postCaption() {}
+
+  /**
+   * Session details to write into the transcript header
+   */
+  getSessionInfo() {
+    return { source: this.type };
+  }
+
+  /**
+   * Source-specific state for the REST API
+   */
+  getState() {
+    return {};
+  }
+}
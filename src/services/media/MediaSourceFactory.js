@@ -0,0 +1,32 @@
+import { PexipConnection } from '../pexip/PexipConnection.js';
+import { WhepSource } from './WhepSource.js';
+import { SdpOfferSource } from './SdpOfferSource.js';
+import { FileSource } from './FileSource.js';
+
+/**
+ * Factory for creating media sources
+ */
+export class MediaSourceFactory {
+  static create(type = 'pexip', config = {}) {
+    const sourceType = (type || 'pexip').toLowerCase();
+
+    console.log(`Creating media source: ${sourceType}`);
+
+    switch (sourceType) {
+      case 'pexip':
+        return new PexipConnection(config);
+
+      case 'whep':
+        return new WhepSource(config);
+
+      case 'sdp':
+        return new SdpOfferSource(config);
+
+      case 'file':
+        return new FileSource(config);
+
+      default:
+        throw new Error(`Unknown media source: ${sourceType}. Supported: pexip, whep, sdp, file`);
+    }
+  }
+}
@@ -0,0 +1,48 @@
+import { WebRTCMediaSource } from './WebRTCMediaSource.js';
+
+/**
+ * Receives audio from a peer that sends us its SDP offer, e.g. a browser
+ * posting to /api/ingest (WHIP style). connect() resolves with the answer
+ * as soon as it is ready - the offerer needs it before media can connect -
+ * and the session ends if media never connects.
+ * The offer should carry its candidates; trickle ICE is not supported.
+ */
+export class SdpOfferSource extends WebRTCMediaSource {
+  constructor(config = {}) {
+    super('sdp', config);
+
+    if (!config.offer) {
+      throw new Error('SDP offer is required');
+    }
+    this.offer = config.offer;
+    this.answer = null;
+  }
+
+  async connect() {
+    this.createPeerConnection({ offerAudio: false });
+
+    try {
+      await this.webrtc.handleRemoteOffer(this.offer);
+    } catch (error) {
+      this.webrtc.disconnect();
+      throw new Error(`Invalid SDP offer: ${error.message}`);
+    }
+
+    const answer = await this.webrtc.waitForIceGathering();
+    this.answer = answer.sdp;
+    this.isRunning = true;
+
+    this.waitForMedia().catch((error) => {
+      if (!this.isRunning) return;
+      console.error('SDP ingest:', error.message);
+      this.requestLeave('media_failed');
+    });
+    return this.answer;
+  }
+
+  getState() {
+    return {
+      mediaConnected: this.webrtc.isConnected()
+    };
+  }
+}
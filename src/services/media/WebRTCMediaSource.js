@@ -0,0 +1,96 @@
+import { MediaSource } from './MediaSource.js';
+import { WebRTCHandler } from '../webrtc/WebRTCHandler.js';
+import { StatsCollector } from '../webrtc/StatsCollector.js';
+
+/**
+ * Shared part of the plain WebRTC sources (WHEP, SDP offer ingest):
+ * a receive-only WebRTCHandler, media statistics and ending the session
+ * when the remote side goes away. Subclasses only do the signaling.
+ */
+export class WebRTCMediaSource extends MediaSource {
+  constructor(type, config = {}) {
+    super(type);
+
+    this.config = {
+      onAudioData: config.onAudioData || null,
+      ice: config.ice || {},  // { iceServers, iceTransportPolicy, publicStun }
+      mediaStats: config.mediaStats || {},
+      connectTimeoutSeconds: config.connectTimeoutSeconds || 20,
+      disconnectGraceSeconds: config.disconnectGraceSeconds || 10
+    };
+
+    // There is no Pexip TURN list to merge here
+    this.webrtc = new WebRTCHandler((audioData) => this.handleAudioData(audioData), {
+      ice: { ...this.config.ice, usePexipTurn: false }
+    });
+    this.mediaStats = new StatsCollector(this.webrtc, (change) => this.emit('mediaQuality', change),
+      this.config.mediaStats);
+    this.disconnectTimer = null;
+  }
+
+  createPeerConnection(options = {}) {
+    this.webrtc.createPeerConnection(null, options);
+    this.webrtc.setIceStateHandler((state) => this.handleIceState(state));
+  }
+
+  /**
+   * The remote peer is gone for good once ICE fails or stays disconnected
+   */
+  handleIceState(state) {
+    if (!this.isRunning) return;
+
+    if (state === 'connected' || state === 'completed') {
+      this.clearDisconnectTimer();
+    } else if (state === 'failed' || state === 'closed') {
+      this.clearDisconnectTimer();
+      this.requestLeave('media_ended');
+    } else if (state === 'disconnected' && !this.disconnectTimer) {
+      this.disconnectTimer = setTimeout(() => {
+        this.disconnectTimer = null;
+        if (this.isRunning && !this.webrtc.isConnected()) {
+          this.requestLeave('media_ended');
+        }
+      }, this.config.disconnectGraceSeconds * 1000);
+    }
+  }
+
+  clearDisconnectTimer() {
+    if (this.disconnectTimer) {
+      clearTimeout(this.disconnectTimer);
+      this.disconnectTimer = null;
+    }
+  }
+
+  /**
+   * Resolves once ICE connects; throws if it does not within connectTimeoutSeconds
+   */
+  async waitForMedia() {
+    const connected = await this.webrtc.waitForConnection(this.config.connectTimeoutSeconds * 1000);
+    if (!connected) {
+      throw new Error(`No media connection after ${this.config.connectTimeoutSeconds}s`);
+    }
+    this.connectedAt = Date.now();
+    this.mediaStats.start();
+  }
+
+  async disconnect() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+
+    this.clearDisconnectTimer();
+    this.mediaStats.stop();
+    this.webrtc.disconnect();
+  }
+
+  isConnected() {
+    return this.isRunning && this.webrtc.isConnected();
+  }
+
+  getSessionInfo() {
+    return {
+      ...super.getSessionInfo(),
+      ice: this.webrtc.getIceInfo(),
+      mediaStats: this.mediaStats.toJSON()
+    };
+  }
+}
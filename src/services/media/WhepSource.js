@@ -0,0 +1,93 @@
+import axios from 'axios';
+import { WebRTCMediaSource } from './WebRTCMediaSource.js';
+
+/**
+ * Pulls audio from a WHEP (WebRTC-HTTP Egress Protocol) endpoint:
+ * POST our offer as application/sdp, get the answer back with 201 Created
+ * and a Location for the session, DELETE that resource to stop.
+ * Candidates are gathered up front, so the endpoint need not support trickle ICE.
+ */
+export class WhepSource extends WebRTCMediaSource {
+  constructor(config = {}) {
+    super('whep', config);
+
+    if (!config.endpoint) {
+      throw new Error('WHEP endpoint URL is required');
+    }
+    this.endpoint = config.endpoint;
+    this.token = config.token || null;  // Sent as Authorization: Bearer
+    this.resourceUrl = null;
+    this.requestTimeoutMs = 10000;
+  }
+
+  async connect() {
+    console.log(`Connecting to WHEP endpoint ${this.endpoint}...`);
+    this.createPeerConnection();
+    await this.webrtc.createOffer();
+    const offer = await this.webrtc.waitForIceGathering();
+
+    const headers = { 'Content-Type': 'application/sdp' };
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    let response;
+    try {
+      response = await axios.post(this.endpoint, offer.sdp, {
+        headers,
+        timeout: this.requestTimeoutMs,
+        responseType: 'text',
+        transformResponse: data => data  // Keep the SDP as text
+      });
+    } catch (error) {
+      this.webrtc.disconnect();
+      const status = error.response ? ` (HTTP ${error.response.status})` : '';
+      throw new Error(`WHEP endpoint refused the offer${status}: ${error.message}`);
+    }
+
+    // Location may be relative to the endpoint
+    const location = response.headers.location;
+    this.resourceUrl = location ? new URL(location, this.endpoint).toString() : null;
+
+    this.isRunning = true;
+    try {
+      await this.webrtc.setRemoteAnswer(response.data);
+      await this.waitForMedia();
+    } catch (error) {
+      await this.disconnect();
+      throw error;
+    }
+    console.log('Connected to WHEP endpoint');
+  }
+
+  async disconnect() {
+    if (!this.isRunning) return;
+    await super.disconnect();
+
+    if (this.resourceUrl) {
+      try {
+        await axios.delete(this.resourceUrl, {
+          headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+          timeout: this.requestTimeoutMs
+        });
+      } catch (error) {
+        console.warn('WHEP: Could not delete session:', error.message);
+      }
+    }
+    console.log('Disconnected from WHEP endpoint');
+  }
+
+  getSessionInfo() {
+    return {
+      ...super.getSessionInfo(),
+      endpoint: this.endpoint
+    };
+  }
+
+  getState() {
+    return {
+      endpoint: this.endpoint,
+      resourceUrl: this.resourceUrl
+    };
+  }
+}
@@ -0,0 +1,183 @@
+const CHECK_INTERVAL_MS = 2000;
+const DEFAULT_STALL_SECONDS = 10;
+
+/**
+ * Notices when conference audio stops reaching us mid-call while ICE still
+ * reports connected, e.g. after a renegotiation that went wrong:
+ * - audio_stopped: RTCAudioSink.ondata has not fired for stallSeconds
+ * - rtp_stalled:   ondata still fires, but no RTP packets have arrived for
+ *                  stallSeconds (the sink is playing out concealment)
+ * Each incident is handed to CallRecovery and kept for reporting.
+ */
+export class AudioFlowWatchdog {
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.enabled = options.enabled !== false;
+    this.stallMs = (options.stallSeconds || DEFAULT_STALL_SECONDS) * 1000;
+
+    this.checkTimer = null;
+    this.isChecking = false;
+    this.lastFrameAt = null;
+    this.frameCount = 0;
+    this.lastPacketAt = null;
+    this.lastPacketsReceived = null;
+    this.incidents = [];
+  }
+
+  start() {
+    if (!this.enabled || this.checkTimer) return;
+
+    this.resetBaseline();
+    this.checkTimer = setInterval(() => {
+      this.check().catch(error => console.error('Audio watchdog check failed:', error.message));
+    }, CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+  }
+
+  /**
+   * Start the clocks again, e.g. after a new peer connection
+   */
+  resetBaseline() {
+    this.lastFrameAt = Date.now();
+    this.lastPacketAt = Date.now();
+    this.lastPacketsReceived = null;
+  }
+
+  /**
+   * Called for every audio frame from the sink
+   */
+  recordFrame() {
+    this.lastFrameAt = Date.now();
+    this.frameCount++;
+  }
+
+  async check() {
+    const { webrtc, recovery } = this.connection;
+    if (this.isChecking || !this.connection.isRunning) return;
+
+    // Until ICE is up (and while any recovery runs), CallRecovery is in charge
+    if (recovery.isRecovering || !webrtc.isConnected()) {
+      this.resetBaseline();
+      return;
+    }
+
+    this.isChecking = true;
+    try {
+      const now = Date.now();
+      await this.updatePacketClock(now);
+
+      if (now - this.lastFrameAt >= this.stallMs) {
+        await this.handleStall('audio_stopped', now - this.lastFrameAt);
+      } else if (now - this.lastPacketAt >= this.stallMs) {
+        await this.handleStall('rtp_stalled', now - this.lastPacketAt);
+      }
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Move lastPacketAt forward whenever inbound packetsReceived grows
+   */
+  async updatePacketClock(now) {
+    const packetsReceived = await this.getPacketsReceived();
+    if (packetsReceived === null) return;
+
+    // A smaller count means a new peer connection started from zero
+    if (this.lastPacketsReceived === null || packetsReceived !== this.lastPacketsReceived) {
+      if (this.lastPacketsReceived !== null) {
+        this.lastPacketAt = now;
+      }
+      this.lastPacketsReceived = packetsReceived;
+    }
+  }
+
+  /**
+   * Inbound audio packetsReceived from pc.getStats(), or null before media
+   */
+  async getPacketsReceived() {
+    const report = await this.connection.webrtc.getStats();
+    let packetsReceived = null;
+    report?.forEach(stat => {
+      if (stat.type === 'inbound-rtp' && (stat.kind || stat.mediaType) === 'audio') {
+        packetsReceived = stat.packetsReceived || 0;
+      }
+    });
+    return packetsReceived;
+  }
+
+  async handleStall(reason, stalledMs) {
+    const incident = {
+      reason,
+      stalledMs,
+      detectedAt: new Date().toISOString(),
+      resolvedAt: null,
+      status: 'recovering'
+    };
+    this.incidents.push(incident);
+
+    console.warn(`Audio watchdog: ${reason} - no audio for ${(stalledMs / 1000).toFixed(1)}s, renegotiating`);
+    this.connection.emit('audioIncident', { ...incident });
+
+    const recovered = await this.connection.recovery.recover(reason);
+
+    incident.status = recovered ? 'recovered' : 'failed';
+    incident.resolvedAt = new Date().toISOString();
+    incident.recoveredBy = recovered ? this.connection.recovery.lastSuccessfulStrategy : null;
+    this.resetBaseline();
+
+    if (recovered) {
+      console.log(`Audio watchdog: audio flowing again (${incident.recoveredBy})`);
+    } else {
+      console.error(`Audio watchdog: could not restore audio after ${reason}`);
+    }
+    this.connection.emit('audioIncident', { ...incident });
+  }
+
+  /**
+   * Resolves true once frames and new RTP packets arrive after this call
+   * Used by CallRecovery to confirm audio (not just ICE) is back
+   */
+  waitForAudio(timeoutMs = 10000) {
+    const startTime = Date.now();
+    const startFrames = this.frameCount;
+    let firstPackets = null;
+
+    return new Promise((resolve) => {
+      const check = async () => {
+        const packets = await this.getPacketsReceived().catch(() => null);
+        if (firstPackets === null) {
+          firstPackets = packets;
+        }
+
+        if (this.frameCount > startFrames && packets !== null && packets !== firstPackets) {
+          resolve(true);
+        } else if (!this.connection.isRunning || Date.now() - startTime >= timeoutMs) {
+          resolve(false);
+        } else {
+          setTimeout(check, 250);
+        }
+      };
+      check();
+    });
+  }
+
+  /**
+   * Watchdog state and incident history for the REST API
+   */
+  getState() {
+    return {
+      enabled: this.enabled,
+      stallSeconds: this.stallMs / 1000,
+      lastFrameAt: this.lastFrameAt ? new Date(this.lastFrameAt).toISOString() : null,
+      lastPacketAt: this.lastPacketAt ? new Date(this.lastPacketAt).toISOString() : null,
+      incidents: this.incidents
+    };
+  }
+}
@@ -0,0 +1,103 @@
+const CHECK_INTERVAL_MS = 5000;
+const SILENCE_AMPLITUDE = 100; // Same threshold WebRTCHandler uses to report silence
+
+/**
+ * Decides when the bot should leave on its own:
+ * - alone in the conference for aloneMinutes
+ * - continuous silence for silenceMinutes
+ * - session longer than maxSessionMinutes
+ * A policy set to 0 (or left out) is disabled.
+ */
+export class AutoLeaveMonitor {
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.aloneMs = (options.aloneMinutes || 0) * 60000;
+    this.silenceMs = (options.silenceMinutes || 0) * 60000;
+    this.maxSessionMs = (options.maxSessionMinutes || 0) * 60000;
+
+    this.checkTimer = null;
+    this.startedAt = null;
+    this.aloneSince = null;
+    this.lastSoundAt = null;
+    this.triggered = false;
+  }
+
+  isEnabled() {
+    return this.aloneMs > 0 || this.silenceMs > 0 || this.maxSessionMs > 0;
+  }
+
+  start() {
+    if (!this.isEnabled() || this.checkTimer) return;
+
+    this.startedAt = Date.now();
+    this.lastSoundAt = this.startedAt;
+    this.triggered = false;
+    this.checkTimer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.checkTimer) {
+      clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+  }
+
+  /**
+   * Called for every audio frame from the sink
+   */
+  recordAudio(samples) {
+    if (!this.silenceMs || !samples) return;
+
+    for (let i = 0; i < samples.length; i++) {
+      if (samples[i] > SILENCE_AMPLITUDE || samples[i] < -SILENCE_AMPLITUDE) {
+        this.lastSoundAt = Date.now();
+        return;
+      }
+    }
+  }
+
+  check() {
+    if (this.triggered || !this.connection.isRunning) return;
+
+    const now = Date.now();
+
+    if (this.aloneMs) {
+      const others = this.connection.roster.getPresent({ includeSelf: false }).length;
+      if (others > 0) {
+        this.aloneSince = null;
+      } else if (!this.aloneSince) {
+        this.aloneSince = now;
+      } else if (now - this.aloneSince >= this.aloneMs) {
+        return this.trigger('alone');
+      }
+    }
+
+    if (this.silenceMs && now - this.lastSoundAt >= this.silenceMs) {
+      return this.trigger('silence');
+    }
+
+    if (this.maxSessionMs && now - this.startedAt >= this.maxSessionMs) {
+      return this.trigger('max_session_length');
+    }
+  }
+
+  trigger(reason) {
+    this.triggered = true;
+    this.stop();
+    console.log(`Auto-leave policy triggered: ${reason}`);
+    this.connection.requestLeave(reason);
+  }
+
+  /**
+   * Current policy state for the REST API
+   */
+  getState() {
+    return {
+      aloneMinutes: this.aloneMs / 60000,
+      silenceMinutes: this.silenceMs / 60000,
+      maxSessionMinutes: this.maxSessionMs / 60000,
+      aloneSince: this.aloneSince ? new Date(this.aloneSince).toISOString() : null,
+      lastSoundAt: this.lastSoundAt ? new Date(this.lastSoundAt).toISOString() : null
+    };
+  }
+}
@@ -0,0 +1,181 @@
+import { getBackoffDelay, sleep } from '../../utils/Backoff.js';
+
+// ICE is fine but audio is not - renegotiate the call instead of restarting ICE
+const AUDIO_REASONS = ['audio_stopped', 'rtp_stalled', 'renegotiation_failed'];
+
+/**
+ * Recovers the media call after ICE failure or a lost connection.
+ * First tries an ICE restart on the existing call, then falls back to a
+ * full re-join. When ICE is up but audio stopped (see AudioFlowWatchdog)
+ * the first step is a plain renegotiation instead, and an attempt only
+ * counts once audio is flowing again. The Pexip participant (and therefore the transcript
+ * session) is kept throughout - unless re-joining keeps failing and
+ * another Conferencing Node is available, in which case we fail over
+ * to it as a new participant.
+ */
+export class CallRecovery {
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.maxAttempts = options.maxAttempts || 4;
+    this.disconnectGraceMs = options.disconnectGraceMs || 5000;  // 'disconnected' often heals itself
+    this.connectTimeoutMs = options.connectTimeoutMs || 10000;
+
+    this.isRecovering = false;
+    this.disconnectTimer = null;
+    this.attempts = [];  // History of every attempt for reporting
+    this.lastSuccessfulStrategy = null;
+  }
+
+  /**
+   * React to ICE connection state changes from WebRTCHandler
+   */
+  handleIceState(state) {
+    if (!this.connection.isRunning) return;
+
+    if (state === 'connected' || state === 'completed') {
+      this.clearDisconnectTimer();
+    } else if (state === 'failed') {
+      this.clearDisconnectTimer();
+      this.recover('ice_failed');
+    } else if (state === 'disconnected' && !this.disconnectTimer) {
+      this.disconnectTimer = setTimeout(() => {
+        this.disconnectTimer = null;
+        if (!this.connection.webrtc.isConnected()) {
+          this.recover('ice_disconnected');
+        }
+      }, this.disconnectGraceMs);
+    }
+  }
+
+  /**
+   * Run the recovery sequence: ICE restart first, then re-join
+   */
+  async recover(reason) {
+    if (this.isRecovering || !this.connection.isRunning) return false;
+    this.isRecovering = true;
+
+    console.warn(`Call recovery started (${reason})`);
+
+    try {
+      for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+        if (!this.connection.isRunning) return false;
+
+        const strategy = this.getStrategy(attempt, reason);
+        this.report({ attempt, strategy, reason, status: 'started' });
+
+        try {
+          const recovered = strategy === 'ice_restart' ? await this.restartIce()
+            : strategy === 'renegotiate' ? await this.renegotiate()
+            : strategy === 'failover' ? await this.failover()
+            : await this.rejoin();
+
+          // For audio problems a connected call is not enough - the audio has to come back
+          const error = !recovered ? 'Media did not reconnect'
+            : AUDIO_REASONS.includes(reason) &&
+              !await this.connection.audioWatchdog.waitForAudio(this.connectTimeoutMs) ? 'Audio did not resume'
+            : null;
+
+          if (!error) {
+            this.lastSuccessfulStrategy = strategy;
+            this.report({ attempt, strategy, reason, status: 'succeeded' });
+            console.log(`Call recovered via ${strategy} (attempt ${attempt})`);
+            return true;
+          }
+
+          this.report({ attempt, strategy, reason, status: 'failed', error });
+        } catch (error) {
+          console.error(`Recovery attempt ${attempt} (${strategy}) failed:`, error.message);
+          this.report({ attempt, strategy, reason, status: 'failed', error: error.message });
+        }
+
+        if (attempt < this.maxAttempts) {
+          await sleep(getBackoffDelay(attempt - 1));
+        }
+      }
+
+      console.error('Call recovery gave up after', this.maxAttempts, 'attempts');
+      this.report({ attempt: this.maxAttempts, reason, status: 'exhausted' });
+      return false;
+    } finally {
+      this.isRecovering = false;
+    }
+  }
+
+  /**
+   * ice_restart (renegotiate for audio problems), then rejoin on the same node,
+   * then failover once that has failed
+   */
+  getStrategy(attempt, reason = null) {
+    if (attempt === 1) return AUDIO_REASONS.includes(reason) ? 'renegotiate' : 'ice_restart';
+    if (attempt > 2 && this.connection.nodes.hasAlternative(this.connection.api.nodeAddress)) {
+      return 'failover';
+    }
+    return 'rejoin';
+  }
+
+  /**
+   * Send a fresh offer with new ICE credentials on the existing call
+   */
+  async restartIce() {
+    const { api, webrtc } = this.connection;
+    if (!webrtc.pc || !this.connection.callUuid) {
+      return false;
+    }
+
+    const offer = await webrtc.createOffer({ iceRestart: true });
+    const { sdp } = await api.updateCall(this.connection.callUuid, offer.sdp);
+    await webrtc.setRemoteAnswer(sdp);
+
+    return webrtc.waitForConnection(this.connectTimeoutMs);
+  }
+
+  /**
+   * Send a fresh offer on the existing call, keeping the ICE session
+   * Re-applies the media description after a broken renegotiation
+   */
+  async renegotiate() {
+    const { api, webrtc } = this.connection;
+    if (!webrtc.pc || !this.connection.callUuid) {
+      return false;
+    }
+
+    const offer = await webrtc.createOffer();
+    const { sdp } = await api.updateCall(this.connection.callUuid, offer.sdp);
+    await webrtc.setRemoteAnswer(sdp);
+
+    return webrtc.waitForConnection(this.connectTimeoutMs);
+  }
+
+  /**
+   * Tear down the media call and join again with a new peer connection
+   */
+  async rejoin() {
+    await this.connection.rejoin();
+    return this.connection.webrtc.waitForConnection(this.connectTimeoutMs);
+  }
+
+  /**
+   * Join again as a new participant on a different node
+   */
+  async failover() {
+    await this.connection.failover();
+    return this.connection.webrtc.waitForConnection(this.connectTimeoutMs);
+  }
+
+  report(details) {
+    const entry = { ...details, timestamp: new Date().toISOString() };
+    this.attempts.push(entry);
+    this.connection.emit('recovery', entry);
+  }
+
+  clearDisconnectTimer() {
+    if (this.disconnectTimer) {
+      clearTimeout(this.disconnectTimer);
+      this.disconnectTimer = null;
+    }
+  }
+
+  stop() {
+    this.clearDisconnectTimer();
+  }
+}
@@ -0,0 +1,150 @@
+import { sleep } from '../../utils/Backoff.js';
+
+const DEFAULT_DIGEST_INTERVAL_SECONDS = 30;
+const DEFAULT_MIN_INTERVAL_MS = 2000;   // Never post more than one message per 2s
+const DEFAULT_MIN_WORDS = 2;            // Skip "um", "yes" and similar fragments
+const MAX_MESSAGE_LENGTH = 1000;        // Keep well inside Pexip's chat payload limit
+
+/**
+ * Posts completed transcriptions into the conference chat, either one
+ * message per segment or as a digest every N seconds. Rate-limits itself
+ * and merges queued captions rather than flooding the chat.
+ */
+export class ChatCaptionPublisher {
+  constructor(api, options = {}) {
+    this.api = api;
+    this.mode = options.mode === 'digest' ? 'digest' : 'segment';
+    this.minIntervalMs = options.minIntervalMs || DEFAULT_MIN_INTERVAL_MS;
+    const digestIntervalSeconds = options.digestIntervalSeconds > 0 ?
+      options.digestIntervalSeconds : DEFAULT_DIGEST_INTERVAL_SECONDS;
+    this.digestIntervalMs = Math.max(digestIntervalSeconds * 1000, this.minIntervalMs);
+    this.minWords = options.minWords || DEFAULT_MIN_WORDS;
+
+    this.queue = [];
+    this.lastSentAt = 0;
+    this.flushTimer = null;
+    this.digestTimer = null;
+    this.isSending = false;
+    this.sending = null;  // The running flush, so stop() can wait for it
+    this.isRunning = false;
+
+    this.stats = {
+      messagesSent: 0,
+      captionsSkipped: 0,
+      errors: 0
+    };
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    if (this.mode === 'digest') {
+      this.digestTimer = setInterval(() => this.flush(), this.digestIntervalMs);
+    }
+    console.log(`Chat captions enabled (${this.mode} mode)`);
+  }
+
+  /**
+   * Post all remaining captions (still rate-limited) and stop timers
+   */
+  async stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+
+    if (this.digestTimer) {
+      clearInterval(this.digestTimer);
+      this.digestTimer = null;
+    }
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    await this.flush();
+  }
+
+  /**
+   * Queue a completed transcription for the chat
+   */
+  addCaption(text, speaker = null) {
+    if (!this.isRunning) return;
+
+    const trimmed = (text || '').trim();
+    if (trimmed.split(/\s+/).filter(Boolean).length < this.minWords) {
+      this.stats.captionsSkipped++;
+      return;
+    }
+
+    this.queue.push(speaker ? `${speaker}: ${trimmed}` : trimmed);
+
+    if (this.mode === 'segment') {
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * Send as soon as the rate limit allows
+   */
+  scheduleFlush() {
+    if (this.flushTimer || this.isSending) return;
+
+    const waitMs = Math.max(0, this.lastSentAt + this.minIntervalMs - Date.now());
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, waitMs);
+  }
+
+  /**
+   * Send the whole queue, one message per minIntervalMs, so a busy meeting
+   * does not fall behind. Captions that arrive meanwhile go out in the same run.
+   */
+  async flush() {
+    if (this.isSending) return this.sending;
+    if (this.queue.length === 0) return;
+
+    this.isSending = true;
+    this.sending = (async () => {
+      try {
+        while (this.queue.length > 0) {
+          const waitMs = this.lastSentAt + this.minIntervalMs - Date.now();
+          if (waitMs > 0) {
+            await sleep(waitMs);
+          }
+          await this.send(this.takeMessage());
+        }
+      } finally {
+        this.isSending = false;
+        this.sending = null;
+      }
+    })();
+    return this.sending;
+  }
+
+  /**
+   * Merge as many queued captions as fit in one chat message
+   */
+  takeMessage() {
+    let message = this.queue.shift();
+    while (this.queue.length > 0 && message.length + 1 + this.queue[0].length <= MAX_MESSAGE_LENGTH) {
+      message += '\n' + this.queue.shift();
+    }
+
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      message = message.slice(0, MAX_MESSAGE_LENGTH - 1) + '…';
+    }
+    return message;
+  }
+
+  async send(message) {
+    try {
+      await this.api.sendMessage(message);
+      this.stats.messagesSent++;
+    } catch (error) {
+      this.stats.errors++;
+      console.error('Failed to post caption to chat:', error.message);
+    }
+    this.lastSentAt = Date.now();
+  }
+}
@@ -0,0 +1,109 @@
+const DEFAULT_PREFIX = '/transcript';
+
+const HELP_TEXT = 'Commands: /transcript pause | resume | status | leave | lang <code>';
+
+/**
+ * Parses `/transcript ...` chat commands from the conference and runs them
+ * on the connection. Only participants with the host role may use them.
+ */
+export class ChatCommandHandler {
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    this.prefix = options.prefix || DEFAULT_PREFIX;
+  }
+
+  /**
+   * Parse a chat payload into { command, args }, or null if it isn't for us
+   */
+  parse(text) {
+    const words = (text || '').trim().split(/\s+/);
+    if (words[0]?.toLowerCase() !== this.prefix) {
+      return null;
+    }
+
+    return {
+      command: (words[1] || 'help').toLowerCase(),
+      args: words.slice(2)
+    };
+  }
+
+  /**
+   * Handle a message_received event
+   */
+  async handleMessage(event) {
+    const { roster } = this.connection;
+
+    // Ignore our own messages (e.g. captions echoed back)
+    if (event.uuid && event.uuid === roster.selfUuid) return;
+
+    const parsed = this.parse(event.payload);
+    if (!parsed) return;
+
+    const participant = roster.get(event.uuid);
+    const name = participant?.displayName || event.origin || 'Unknown';
+
+    if (!participant || participant.role !== 'host') {
+      console.log(`Chat command "${parsed.command}" from ${name} rejected - not a host`);
+      await this.reply(`Sorry ${name}, only hosts can control transcription.`);
+      return;
+    }
+
+    console.log(`Chat command "${parsed.command}" from ${name}`);
+    const requestedBy = { uuid: participant.uuid, displayName: participant.displayName, via: 'chat' };
+
+    switch (parsed.command) {
+      case 'pause':
+        if (this.connection.pauseTranscription(requestedBy)) {
+          await this.reply('Transcription paused.');
+        } else {
+          await this.reply('Transcription is already paused.');
+        }
+        break;
+
+      case 'resume':
+        if (this.connection.resumeTranscription(requestedBy)) {
+          await this.reply('Transcription resumed.');
+        } else {
+          await this.reply('Transcription is not paused.');
+        }
+        break;
+
+      case 'status':
+        await this.reply(this.connection.describeStatus());
+        break;
+
+      case 'leave':
+        await this.reply('Leaving the conference. The transcript will be saved.');
+        this.connection.requestLeave('chat_command', requestedBy);
+        break;
+
+      case 'lang':
+      case 'language': {
+        const language = parsed.args[0];
+        if (!language || !/^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(language)) {
+          await this.reply('Usage: /transcript lang <code>, e.g. /transcript lang de');
+          return;
+        }
+        await this.reply(`Switching transcription language to ${language}.`);
+        this.connection.emit('languageChange', { language, requestedBy });
+        break;
+      }
+
+      case 'help':
+        await this.reply(HELP_TEXT);
+        break;
+
+      default:
+        await this.reply(`Unknown command "${parsed.command}". ${HELP_TEXT}`);
+        break;
+    }
+  }
+
+  async reply(text) {
+    try {
+      await this.connection.api.sendMessage(text);
+    } catch (error) {
+      console.error('Failed to reply in chat:', error.message);
+    }
+  }
+}
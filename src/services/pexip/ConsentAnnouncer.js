@@ -0,0 +1,78 @@
+import fs from 'fs';
+import wavefile from 'wavefile';
+import { AudioSender } from '../webrtc/AudioSender.js';
+
+const { WaveFile } = wavefile;
+
+const ANNOUNCEMENTS = ['join', 'pause', 'resume', 'leave'];
+
+/**
+ * Plays spoken announcements into the conference so participants know
+ * they are being transcribed. Each announcement is an optional WAV file:
+ * { join, pause, resume, leave }
+ */
+export class ConsentAnnouncer {
+  constructor(webrtc, files = {}) {
+    this.webrtc = webrtc;
+    this.clips = new Map(); // announcement -> 48kHz mono samples
+
+    for (const name of ANNOUNCEMENTS) {
+      if (!files[name]) continue;
+
+      try {
+        this.clips.set(name, this.loadWav(files[name]));
+        console.log(`Announcement "${name}" loaded from ${files[name]}`);
+      } catch (error) {
+        console.error(`Failed to load "${name}" announcement ${files[name]}:`, error.message);
+      }
+    }
+  }
+
+  isEnabled() {
+    return this.clips.size > 0;
+  }
+
+  has(name) {
+    return this.clips.has(name);
+  }
+
+  /**
+   * Play an announcement, resolves when it has finished
+   * Never throws - a failed announcement must not take the session down
+   */
+  async announce(name) {
+    const samples = this.clips.get(name);
+    if (!samples) return;
+
+    try {
+      console.log(`Playing "${name}" announcement`);
+      await this.webrtc.playAudio(samples);
+    } catch (error) {
+      console.error(`Failed to play "${name}" announcement:`, error.message);
+    }
+  }
+
+  /**
+   * Read a WAV file as 16-bit mono at the send rate
+   */
+  loadWav(path) {
+    const wav = new WaveFile(fs.readFileSync(path));
+    wav.toBitDepth('16');
+    wav.toSampleRate(AudioSender.SAMPLE_RATE);
+
+    let samples = wav.getSamples(false, Int16Array);
+    if (Array.isArray(samples)) {
+      // Average the channels down to mono
+      const mono = new Int16Array(samples[0].length);
+      for (let i = 0; i < mono.length; i++) {
+        let sum = 0;
+        for (const channel of samples) {
+          sum += channel[i];
+        }
+        mono[i] = Math.round(sum / samples.length);
+      }
+      samples = mono;
+    }
+    return samples;
+  }
+}
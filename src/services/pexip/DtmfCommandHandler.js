@@ -0,0 +1,116 @@
+const DEFAULT_SEQUENCES = {
+  pause: '*1',
+  resume: '*2',
+  bookmark: '*3',
+  stop: '*9'
+};
+
+const INTER_DIGIT_TIMEOUT_MS = 3000;
+
+/**
+ * Lets phone and SIP participants control the bot with keypad digits.
+ * Digits from each participant are collected until they end with one of
+ * the configured sequences; a pause between digits starts over.
+ * Actions run through the same connection methods as chat and the REST API.
+ */
+export class DtmfCommandHandler {
+  constructor(connection, options = {}) {
+    this.connection = connection;
+    // A sequence set to null (or '') disables that action, undefined keeps the default
+    this.sequences = { ...DEFAULT_SEQUENCES };
+    for (const [action, sequence] of Object.entries(options.sequences || {})) {
+      if (sequence !== undefined) {
+        this.sequences[action] = sequence || null;
+      }
+    }
+    this.hostsOnly = options.hostsOnly !== false;  // Default true, like chat commands
+    this.interDigitTimeoutMs = options.interDigitTimeoutMs || INTER_DIGIT_TIMEOUT_MS;
+
+    this.buffers = new Map();  // participant uuid -> { digits, lastDigitAt }
+  }
+
+  /**
+   * Handle a dtmf event: { uuid | participant_uuid, digits }
+   */
+  async handleDtmf(event) {
+    const uuid = event.participant_uuid || event.uuid;
+    const digits = String(event.digits ?? event.dtmf ?? '');
+    if (!uuid || !digits || uuid === this.connection.roster.selfUuid) return;
+
+    const now = Date.now();
+    const buffer = this.buffers.get(uuid);
+    let collected = buffer && now - buffer.lastDigitAt < this.interDigitTimeoutMs ? buffer.digits : '';
+    collected += digits;
+
+    const action = this.match(collected);
+    if (!action) {
+      // Keep only as many digits as the longest sequence needs
+      const maxLength = Math.max(...Object.values(this.sequences).filter(Boolean).map(seq => seq.length), 1);
+      this.buffers.set(uuid, { digits: collected.slice(-maxLength), lastDigitAt: now });
+      return;
+    }
+
+    this.buffers.delete(uuid);
+    await this.run(action, uuid);
+  }
+
+  /**
+   * Action whose sequence the digits end with, or null
+   */
+  match(digits) {
+    for (const [action, sequence] of Object.entries(this.sequences)) {
+      if (sequence && digits.endsWith(sequence)) {
+        return action;
+      }
+    }
+    return null;
+  }
+
+  async run(action, uuid) {
+    const participant = this.connection.roster.get(uuid);
+    const name = participant?.displayName || 'Unknown';
+
+    if (this.hostsOnly && participant?.role !== 'host') {
+      console.log(`DTMF ${action} from ${name} rejected - not a host`);
+      return;
+    }
+
+    console.log(`DTMF ${action} from ${name}`);
+    const requestedBy = { uuid, displayName: name, via: 'dtmf' };
+
+    switch (action) {
+      case 'pause':
+        if (this.connection.pauseTranscription(requestedBy)) {
+          await this.notify(`Transcription paused by ${name} (keypad).`);
+        }
+        break;
+
+      case 'resume':
+        if (this.connection.resumeTranscription(requestedBy)) {
+          await this.notify(`Transcription resumed by ${name} (keypad).`);
+        }
+        break;
+
+      case 'bookmark':
+        this.connection.addBookmark(null, requestedBy);
+        await this.notify(`Bookmark added by ${name} (keypad).`);
+        break;
+
+      case 'stop':
+        await this.notify(`Transcription stopped by ${name} (keypad). The transcript will be saved.`);
+        this.connection.requestLeave('dtmf', requestedBy);
+        break;
+    }
+  }
+
+  /**
+   * Tell everyone else in chat - the caller hears the pause/resume announcements
+   */
+  async notify(text) {
+    try {
+      await this.connection.api.sendMessage(text);
+    } catch (error) {
+      console.error('Failed to post DTMF notice in chat:', error.message);
+    }
+  }
+}
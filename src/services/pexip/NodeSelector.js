@@ -0,0 +1,158 @@
+import dns from 'dns';
+import { PexipAuthError } from './PexipAuthError.js';
+
+const SRV_SERVICE = '_pexapp._tcp';  // Published for Pexip apps to discover Conferencing Nodes
+
+/**
+ * Chooses which Pexip Conferencing Node to use
+ *
+ * Nodes come from a static list (in priority order) and/or a DNS SRV
+ * lookup of _pexapp._tcp.<domain>. A node that failed recently is
+ * tried only after every healthy node.
+ */
+export class NodeSelector {
+  constructor(options = {}) {
+    this.staticNodes = options.nodes || [];
+    this.srvDomain = options.srvDomain || null;
+    this.failureCooldownMs = options.failureCooldownMs || 60000;
+    this.srvTtlMs = options.srvTtlMs || 300000;
+    this.resolveSrv = options.resolveSrv || ((name) => dns.promises.resolveSrv(name));
+
+    this.srvNodes = [];
+    this.srvResolvedAt = null;
+    this.health = new Map();  // address -> { failures, consecutiveFailures, lastFailureAt, lastError, lastSuccessAt }
+  }
+
+  /**
+   * Split a PEXIP_NODE style value ("a.example.com, b.example.com") into addresses
+   */
+  static parseNodes(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(node => node.trim()).filter(Boolean);
+  }
+
+  /**
+   * True if the error means the node itself is unreachable or unhealthy,
+   * rather than the conference refusing us
+   */
+  static isNodeFailure(error) {
+    if (error instanceof PexipAuthError) {
+      return error.reason === 'rejected' && error.details?.status >= 500;
+    }
+    if (!error.response) {
+      return true;  // Connection refused, DNS failure, timeout, reset
+    }
+    return error.response.status >= 500;
+  }
+
+  /**
+   * All known nodes, healthy ones first in priority order
+   * Nodes in exclude are moved to the very end rather than dropped
+   */
+  async getCandidates({ exclude = [] } = {}) {
+    await this.refreshSrv();
+
+    const nodes = this.getNodes();
+    if (nodes.length === 0) {
+      throw new Error('No Pexip nodes configured');
+    }
+
+    const healthy = nodes.filter(node => !exclude.includes(node) && this.isHealthy(node));
+    const unhealthy = nodes
+      .filter(node => !exclude.includes(node) && !this.isHealthy(node))
+      .sort((a, b) => this.health.get(a).lastFailureAt - this.health.get(b).lastFailureAt);
+    const excluded = nodes.filter(node => exclude.includes(node));
+
+    return [...healthy, ...unhealthy, ...excluded];
+  }
+
+  /**
+   * Static nodes first, then SRV results, without duplicates
+   */
+  getNodes() {
+    return [...new Set([...this.staticNodes, ...this.srvNodes])];
+  }
+
+  /**
+   * True if there is another node worth trying instead of this one
+   */
+  hasAlternative(address) {
+    return this.getNodes().some(node => node !== address && this.isHealthy(node));
+  }
+
+  isHealthy(address) {
+    const health = this.health.get(address);
+    if (!health?.lastFailureAt) return true;
+    if (health.lastSuccessAt > health.lastFailureAt) return true;
+    return Date.now() - health.lastFailureAt > this.failureCooldownMs;
+  }
+
+  markFailure(address, reason) {
+    const health = this.getHealth(address);
+    health.failures++;
+    health.consecutiveFailures++;
+    health.lastFailureAt = Date.now();
+    health.lastError = reason || null;
+  }
+
+  markSuccess(address) {
+    const health = this.getHealth(address);
+    health.consecutiveFailures = 0;
+    health.lastSuccessAt = Date.now();
+  }
+
+  getHealth(address) {
+    if (!this.health.has(address)) {
+      this.health.set(address, {
+        failures: 0,
+        consecutiveFailures: 0,
+        lastFailureAt: null,
+        lastError: null,
+        lastSuccessAt: null
+      });
+    }
+    return this.health.get(address);
+  }
+
+  /**
+   * Look up the SRV records again once they are older than srvTtlMs
+   * A failed lookup keeps the previous result
+   */
+  async refreshSrv() {
+    if (!this.srvDomain) return;
+    if (this.srvResolvedAt && Date.now() - this.srvResolvedAt < this.srvTtlMs) return;
+
+    const name = `${SRV_SERVICE}.${this.srvDomain}`;
+    try {
+      const records = await this.resolveSrv(name);
+      records.sort((a, b) => a.priority - b.priority || b.weight - a.weight);
+      this.srvNodes = records.map(record =>
+        record.port === 443 ? record.name : `${record.name}:${record.port}`
+      );
+      this.srvResolvedAt = Date.now();
+      console.log(`Discovered ${this.srvNodes.length} Pexip node(s) via ${name}`);
+    } catch (error) {
+      console.error(`SRV lookup for ${name} failed:`, error.message);
+      if (this.getNodes().length === 0) {
+        throw new Error(`No Pexip nodes found for ${this.srvDomain}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Node list and health for the REST API
+   */
+  getState() {
+    return this.getNodes().map(address => {
+      const health = this.health.get(address);
+      return {
+        address,
+        healthy: this.isHealthy(address),
+        failures: health?.failures || 0,
+        lastError: health?.lastError || null,
+        lastFailureAt: health?.lastFailureAt ? new Date(health.lastFailureAt).toISOString() : null
+      };
+    });
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * Tracks who is (and was) in the conference from Pexip participant events
+ */
+export class ParticipantRoster {
+  constructor() {
+    this.participants = new Map(); // uuid -> participant record
+    this.selfUuid = null;
+    this.syncedUuids = null; // Set while a participant_sync is in progress
+  }
+
+  /**
+   * Mark which participant is the bot itself
+   */
+  setSelf(uuid) {
+    this.selfUuid = uuid;
+    const self = this.participants.get(uuid);
+    if (self) {
+      self.isSelf = true;
+    }
+  }
+
+  /**
+   * participant_create - also sent for everyone already present when the stream (re)connects
+   */
+  handleCreate(data) {
+    if (!data?.uuid) return null;
+
+    if (this.syncedUuids) {
+      this.syncedUuids.add(data.uuid);
+    }
+
+    const existing = this.participants.get(data.uuid);
+    if (existing && existing.isPresent) {
+      return this.applyUpdate(existing, data);
+    }
+
+    const participant = {
+      uuid: data.uuid,
+      displayName: data.display_name || data.overlay_text || 'Unknown',
+      role: this.normalizeRole(data.role),
+      isMuted: this.normalizeFlag(data.is_muted),
+      protocol: data.protocol || null,
+      isSelf: data.uuid === this.selfUuid,
+      isPresent: true,
+      joinedAt: data.start_time ?
+        new Date(data.start_time * 1000).toISOString() : new Date().toISOString(),
+      leftAt: null
+    };
+
+    this.participants.set(data.uuid, participant);
+    console.log(`Participant joined: ${participant.displayName} (${participant.role})`);
+    return participant;
+  }
+
+  /**
+   * participant_update - role, mute and name changes
+   */
+  handleUpdate(data) {
+    if (!data?.uuid) return null;
+
+    const existing = this.participants.get(data.uuid);
+    if (!existing) {
+      // Update for someone we never saw created (e.g. joined mid-reconnect)
+      return this.handleCreate(data);
+    }
+
+    return this.applyUpdate(existing, data);
+  }
+
+  /**
+   * participant_delete - keep the record so the roster shows who was present
+   */
+  handleDelete(data) {
+    const participant = data?.uuid ? this.participants.get(data.uuid) : null;
+    if (!participant || !participant.isPresent) return null;
+
+    participant.isPresent = false;
+    participant.leftAt = new Date().toISOString();
+    console.log(`Participant left: ${participant.displayName}`);
+    return participant;
+  }
+
+  /**
+   * participant_sync_begin - the node is about to resend the full list
+   */
+  beginSync() {
+    this.syncedUuids = new Set();
+  }
+
+  /**
+   * participant_sync_end - anyone not resent has left while we weren't listening
+   */
+  endSync() {
+    if (!this.syncedUuids) return;
+
+    for (const participant of this.participants.values()) {
+      if (participant.isPresent && !this.syncedUuids.has(participant.uuid)) {
+        this.handleDelete({ uuid: participant.uuid });
+      }
+    }
+    this.syncedUuids = null;
+  }
+
+  applyUpdate(participant, data) {
+    if (data.display_name) {
+      participant.displayName = data.display_name;
+    }
+    if (data.role !== undefined) {
+      participant.role = this.normalizeRole(data.role);
+    }
+    if (data.is_muted !== undefined) {
+      participant.isMuted = this.normalizeFlag(data.is_muted);
+    }
+    if (data.protocol) {
+      participant.protocol = data.protocol;
+    }
+    return participant;
+  }
+
+  // Pexip reports 'chair' for hosts
+  normalizeRole(role) {
+    if (!role) return 'guest';
+    const value = role.toLowerCase();
+    return value === 'chair' || value === 'host' ? 'host' : 'guest';
+  }
+
+  // Pexip uses 'YES'/'NO' strings for boolean flags
+  normalizeFlag(value) {
+    return value === true || value === 'YES';
+  }
+
+  get(uuid) {
+    return this.participants.get(uuid) || null;
+  }
+
+  /**
+   * Participants currently in the conference, optionally excluding the bot
+   */
+  getPresent({ includeSelf = true } = {}) {
+    return Array.from(this.participants.values())
+      .filter(p => p.isPresent && (includeSelf || !p.isSelf));
+  }
+
+  /**
+   * Everyone seen during the session, in join order
+   */
+  toJSON() {
+    return Array.from(this.participants.values())
+      .map(p => ({ ...p }))
+      .sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt));
+  }
+}
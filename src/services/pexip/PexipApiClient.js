@@ -1,58 +1,167 @@
 import axios from 'axios';
+import { PexipAuthError } from './PexipAuthError.js';
 
 /**
  * Handles all Pexip REST API interactions
  */
 export class PexipApiClient {
   constructor(nodeAddress, conferenceAlias) {
-    this.nodeAddress = nodeAddress;
     this.conferenceAlias = conferenceAlias;
-    this.baseUrl = `https://${nodeAddress}/api/client/v2/conferences/${conferenceAlias}`;
+    this.nodeAddress = null;
+    this.baseUrl = null;
+    this.requestTimeoutMs = 10000;  // Every request but the event stream, so a dead node fails fast and the next one can be tried
+    if (nodeAddress) {
+      this.setNode(nodeAddress);
+    }
     this.token = null;
     this.participantUuid = null;
     this.turnServers = null;
+    this.pin = '';
+    this.role = null;  // HOST or GUEST, as granted by the node
+  }
+
+  /**
+   * Point the client at a different Conferencing Node
+   * Tokens are per node, so request a new one after switching
+   */
+  setNode(nodeAddress) {
+    this.nodeAddress = nodeAddress;
+    this.updateBaseUrl();
+  }
+
+  /**
+   * Point the client at a different conference (after a transfer)
+   */
+  setConference(conferenceAlias) {
+    this.conferenceAlias = conferenceAlias;
+    this.updateBaseUrl();
+  }
+
+  updateBaseUrl() {
+    if (!this.nodeAddress) return;
+    // nodeAddress may carry its own scheme (e.g. http://localhost:8080 for a local mock node)
+    const origin = this.nodeAddress.includes('://') ? this.nodeAddress : `https://${this.nodeAddress}`;
+    this.baseUrl = `${origin}/api/client/v2/conferences/${this.conferenceAlias}`;
   }
 
   /**
    * Request authentication token from Pexip
+   * auth: { pin, role: 'host' | 'guest', chosenIdp, ssoToken, jwt, oneTimeToken }
+   * Throws PexipAuthError with a distinct reason when the node says no
    */
-  async requestToken(displayName, pin = '') {
+  async requestToken(displayName, auth = {}) {
     console.log('Requesting Pexip token...');
     
     const payload = {
       display_name: displayName,
       call_tag: 'transcription-bot'
     };
+    if (auth.chosenIdp) {
+      payload.chosen_idp = auth.chosenIdp;
+    }
+    if (auth.ssoToken) {
+      payload.sso_token = auth.ssoToken;
+    }
+    if (auth.oneTimeToken) {
+      // From a refer event - lets a transferred participant in without PIN or SSO
+      payload.token = auth.oneTimeToken;
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (auth.jwt) {
+      // Pre-issued token from an external policy server or portal
+      headers['Authorization'] = `Bearer ${auth.jwt}`;
+    }
 
     // First attempt without PIN
-    const response = await axios.post(
+    let response = await this.postTokenRequest(payload, headers);
+
+    // Handle PIN requirement: { pin: 'required', guest_pin: 'required' | 'none' }
+    const challenge = response.data?.result;
+    if (response.status === 403 && challenge?.pin === 'required') {
+      payload.pin = this.choosePin(challenge, auth);
+      console.log(payload.pin === 'none' ? 'Joining as guest without a PIN' : 'PIN required, authenticating...');
+      response = await this.postTokenRequest(payload, headers);
+    }
+    
+    if (response.status !== 200) {
+      throw this.toAuthError(response, payload, auth);
+    }
+
+    // joinCall must repeat the PIN in its header
+    this.pin = payload.pin || '';
+    const token = this.handleTokenResponse(response);
+
+    if (auth.role === 'host' && this.role !== 'HOST') {
+      console.warn(`Requested host role but joined as ${this.role}`);
+    }
+    return token;
+  }
+
+  async postTokenRequest(payload, headers) {
+    return axios.post(
       `${this.baseUrl}/request_token`,
       payload,
-      {
-        headers: { 'Content-Type': 'application/json' },
-        validateStatus: null
-      }
+      { headers, validateStatus: null, timeout: this.requestTimeoutMs }
     );
+  }
 
-    // Handle PIN requirement
-    if (response.status === 403 && response.data.pin_status === 'required') {
-      console.log('PIN required, authenticating...');
-      payload.pin = pin;
-      
-      const pinResponse = await axios.post(
-        `${this.baseUrl}/request_token`,
-        payload,
-        { headers: { 'Content-Type': 'application/json' } }
-      );
-      
-      return this.handleTokenResponse(pinResponse);
+  /**
+   * Pick the PIN to answer a PIN challenge with
+   * 'none' joins as a guest when the conference has no guest PIN
+   */
+  choosePin(challenge, auth) {
+    const guestsNeedPin = challenge.guest_pin !== 'none';
+
+    if (auth.role === 'guest') {
+      if (!guestsNeedPin) return 'none';
+      if (auth.pin) return auth.pin;
+      throw new PexipAuthError('guest_pin_required', 'Conference requires a guest PIN');
     }
-    
-    if (response.status !== 200) {
-      throw new Error(`Failed to get token: ${response.status}`);
+
+    if (auth.pin) return auth.pin;
+    if (!guestsNeedPin && auth.role !== 'host') return 'none';
+    throw new PexipAuthError(
+      'pin_required',
+      auth.role === 'host' ? 'Conference requires a host PIN' : 'Conference requires a PIN'
+    );
+  }
+
+  /**
+   * Map a refused request_token to a PexipAuthError
+   */
+  toAuthError(response, payload, auth) {
+    const result = response.data?.result;
+    const text = typeof result === 'string' ? result : null;
+
+    if (response.status === 404) {
+      return new PexipAuthError('conference_not_found', text || `Conference ${this.conferenceAlias} not found`);
+    }
+
+    if (Array.isArray(result?.idp)) {
+      return new PexipAuthError('idp_required', 'Conference requires identity provider sign-in', {
+        idps: result.idp.map(idp => ({ uuid: idp.uuid, name: idp.name }))
+      });
     }
 
-    return this.handleTokenResponse(response);
+    if (result?.redirect_url) {
+      return new PexipAuthError('sso_redirect', 'Identity provider requires a browser sign-in', {
+        redirectUrl: result.redirect_url,
+        idp: result.redirect_idp || null
+      });
+    }
+
+    if (payload.pin && payload.pin !== 'none' && (result?.pin === 'required' || /pin/i.test(text || ''))) {
+      return new PexipAuthError('pin_invalid', text || 'PIN was rejected');
+    }
+
+    if ((auth.ssoToken || auth.jwt) && (response.status === 401 || response.status === 403)) {
+      return new PexipAuthError('token_rejected', text || `${auth.jwt ? 'JWT' : 'SSO token'} was rejected`);
+    }
+
+    return new PexipAuthError('rejected', text || `Failed to get token: ${response.status}`, {
+      status: response.status
+    });
   }
 
   /**
@@ -62,10 +171,13 @@ export class PexipApiClient {
     const result = response.data.result;
     this.token = result.token;
     this.participantUuid = result.participant_uuid;
+    this.role = result.role || null;
     this.turnServers = result.turn || null;
     this.tokenExpiry = result.expires ? parseInt(result.expires) : 120; // Default 120 seconds
+    // 'waiting_room' while a locked conference or a host-only start keeps us in the lobby
+    this.serviceType = result.current_service_type || result.service_type || 'conference';
     
-    console.log(`Token obtained, participant UUID: ${this.participantUuid}`);
+    console.log(`Token obtained, participant UUID: ${this.participantUuid}${this.role ? ` (${this.role})` : ''}`);
     if (this.turnServers) {
       console.log(`TURN servers available: ${this.turnServers.length}`); //
     }
@@ -74,7 +186,9 @@ export class PexipApiClient {
       token: this.token,
       participantUuid: this.participantUuid,
       turnServers: this.turnServers,
-      expires: this.tokenExpiry
+      expires: this.tokenExpiry,
+      serviceType: this.serviceType,
+      role: this.role
     };
   }
 
@@ -95,7 +209,8 @@ export class PexipApiClient {
           'Content-Type': 'application/json',
           'token': this.token,
           'pin': this.pin || '' // If PIN is required, it must be supplied in the header per Pexip docs
-        }
+        },
+        timeout: this.requestTimeoutMs
       }
     );
 
@@ -119,7 +234,8 @@ export class PexipApiClient {
       `${this.baseUrl}/participants/${this.participantUuid}/calls/${callUuid}/ack`,
       payload,
       {
-        headers: { 'token': this.token }
+        headers: { 'token': this.token },
+        timeout: this.requestTimeoutMs
       }
     );
 
@@ -130,6 +246,31 @@ export class PexipApiClient {
     console.log('Media flow started');
   }
 
+  /**
+   * Send an updated offer for an existing call (used for ICE restart)
+   */
+  async updateCall(callUuid, sdp) {
+    const response = await axios.post(
+      `${this.baseUrl}/participants/${this.participantUuid}/calls/${callUuid}/update`,
+      { sdp },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'token': this.token
+        },
+        timeout: this.requestTimeoutMs
+      }
+    );
+
+    if (response.status !== 200) {
+      throw new Error(`Failed to update call: ${response.status}`);
+    }
+
+    return {
+      sdp: response.data.result?.sdp || response.data.result
+    };
+  }
+
   /**
    * Send ICE candidates
    */
@@ -147,7 +288,8 @@ export class PexipApiClient {
           headers: {
             'Content-Type': 'application/json',
             'token': this.token
-          }
+          },
+          timeout: this.requestTimeoutMs
         }
       );
     } catch (error) {
@@ -156,18 +298,59 @@ export class PexipApiClient {
   }
 
   /**
-   * Poll for events after call is established
+   * Open the conference Server-Sent Events stream
+   * Returns the raw response stream; parsing is left to PexipEventStream
    */
-  async getEvents() {
+  async openEventStream(lastEventId = null, signal = null) {
+    const headers = {
+      'token': this.token,
+      'Accept': 'text/event-stream'
+    };
+    if (lastEventId) {
+      headers['Last-Event-ID'] = lastEventId;
+    }
+
     const response = await axios.get(
       `${this.baseUrl}/events`,
       {
-        headers: { 'token': this.token },
-        timeout: 30000
+        headers,
+        responseType: 'stream',
+        timeout: 0, // Long-lived connection
+        signal,
+        validateStatus: null
       }
     );
 
-    return response.data?.result || [];
+    if (response.status !== 200) {
+      response.data.destroy();
+      throw new Error(`Failed to open event stream: ${response.status}`);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Send a chat message to the conference
+   */
+  async sendMessage(text) {
+    const response = await axios.post(
+      `${this.baseUrl}/message`,
+      {
+        type: 'text/plain',
+        payload: text
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'token': this.token
+        },
+        timeout: this.requestTimeoutMs
+      }
+    );
+
+    if (response.status !== 200) {
+      throw new Error(`Failed to send message: ${response.status}`);
+    }
   }
 
   /**
@@ -180,7 +363,7 @@ export class PexipApiClient {
       await axios.post(
         `${this.baseUrl}/participants/${this.participantUuid}/calls/${callUuid}/disconnect`,
         {},
-        { headers: { 'token': this.token } }
+        { headers: { 'token': this.token }, timeout: this.requestTimeoutMs }
       );
       console.log('Call disconnected successfully');
     } catch (error) {
@@ -212,7 +395,8 @@ export class PexipApiClient {
           headers: {
             'Content-Type': 'application/json',
             'token': this.token
-          }
+          },
+          timeout: this.requestTimeoutMs
         }
       );
       
@@ -246,7 +430,7 @@ export class PexipApiClient {
       await axios.post(
         `${this.baseUrl}/release_token`,
         {},
-        { headers: { 'token': this.token } }
+        { headers: { 'token': this.token }, timeout: this.requestTimeoutMs }
       );
       console.log('Token released successfully');
     } catch (error) {
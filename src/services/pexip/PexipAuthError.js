@@ -0,0 +1,21 @@
+/**
+ * A conference refused to issue a token
+ *
+ * reason is one of:
+ *   pin_required         - a PIN is needed and none was given
+ *   guest_pin_required   - joining as guest, but guests need a PIN too
+ *   pin_invalid          - the PIN was rejected
+ *   idp_required         - the conference uses SSO; details.idps lists the providers
+ *   sso_redirect         - the chosen provider wants a browser login; details.redirectUrl
+ *   token_rejected       - the SSO token or pre-issued JWT was not accepted
+ *   conference_not_found - no such alias on this node
+ *   rejected             - any other refusal from the node
+ */
+export class PexipAuthError extends Error {
+  constructor(reason, message, details = {}) {
+    super(message);
+    this.name = 'PexipAuthError';
+    this.reason = reason;
+    this.details = details;
+  }
+}
@@ -1,28 +1,107 @@
 import { PexipApiClient } from './PexipApiClient.js';
+import { PexipEventStream } from './PexipEventStream.js';
+import { CallRecovery } from './CallRecovery.js';
+import { ParticipantRoster } from './ParticipantRoster.js';
+import { SpeakerTracker } from './SpeakerTracker.js';
+import { ChatCaptionPublisher } from './ChatCaptionPublisher.js';
+import { ChatCommandHandler } from './ChatCommandHandler.js';
+import { DtmfCommandHandler } from './DtmfCommandHandler.js';
+import { AutoLeaveMonitor } from './AutoLeaveMonitor.js';
+import { AudioFlowWatchdog } from './AudioFlowWatchdog.js';
+import { ConsentAnnouncer } from './ConsentAnnouncer.js';
+import { NodeSelector } from './NodeSelector.js';
+import { MediaSource } from '../media/MediaSource.js';
 import { WebRTCHandler } from '../webrtc/WebRTCHandler.js';
+import { StatsCollector } from '../webrtc/StatsCollector.js';
+import { getBackoffDelay, sleep } from '../../utils/Backoff.js';
 
 /**
  * Pexip connection Manager
  * Connects to Pexip conference and extracts audio stream
  */
-export class PexipConnection {
+export class PexipConnection extends MediaSource {
   constructor(config) {
+    // Connection events (e.g. 'recovery') for the app to observe, on top of the MediaSource ones
+    super('pexip', ['recovery', 'tokenState', 'languageChange', 'audioIncident', 'waiting', 'admitted', 'roomChange']);
+
     this.config = {
-      nodeAddress: config.nodeAddress,
+      nodeAddress: config.nodeAddress,  // One node, a comma-separated list or an array, in priority order
+      nodeDomain: config.nodeDomain || null,  // Discover nodes via DNS SRV _pexapp._tcp.<domain>
+      nodeFailureCooldownSeconds: config.nodeFailureCooldownSeconds || 60,
       conferenceAlias: config.conferenceAlias,
       displayName: config.displayName || 'Transcription Agent',
       pin: config.pin || '',
-      onAudioData: config.onAudioData || null
+      role: config.role || null,  // 'host' or 'guest' - which PIN role to join with
+      chosenIdp: config.chosenIdp || null,  // Identity provider uuid for SSO conferences
+      ssoToken: config.ssoToken || null,  // Token from a completed SSO sign-in
+      jwt: config.jwt || null,  // Pre-issued JWT
+      onAudioData: config.onAudioData || null,
+      recovery: config.recovery || {},
+      tokenRefreshRetries: config.tokenRefreshRetries || 5,
+      chatCaptions: config.chatCaptions || null,  // { mode: 'segment' | 'digest', digestIntervalSeconds }
+      chatCommands: config.chatCommands !== false,  // Default true
+      dtmf: config.dtmf || {},  // { enabled, sequences: { pause, resume, stop, bookmark }, hostsOnly }
+      getTranscriptionStatus: config.getTranscriptionStatus || null,  // Extra fields for status replies
+      autoLeave: config.autoLeave || {},  // { aloneMinutes, silenceMinutes, maxSessionMinutes }
+      announcements: config.announcements || {},  // WAV paths: { join, pause, resume, leave }
+      audioWatchdog: config.audioWatchdog || {},  // { enabled, stallSeconds }
+      ice: config.ice || {},  // { iceServers, iceTransportPolicy, publicStun, usePexipTurn }
+      mediaStats: config.mediaStats || {},  // { intervalMs, sustainedSamples, thresholds: { lossPercent, jitterMs, concealmentPercent } }
+      waitingTimeoutSeconds: config.waitingTimeoutSeconds || 600  // Give up on the lobby after this
     };
 
-    this.api = new PexipApiClient(this.config.nodeAddress, this.config.conferenceAlias);
-    this.webrtc = new WebRTCHandler(this.config.onAudioData);
+    this.nodes = new NodeSelector({
+      nodes: NodeSelector.parseNodes(this.config.nodeAddress),
+      srvDomain: this.config.nodeDomain,
+      failureCooldownMs: this.config.nodeFailureCooldownSeconds * 1000
+    });
+    this.api = new PexipApiClient(null, this.config.conferenceAlias);  // Node is picked on connect
+    const hasAnnouncements = Object.values(this.config.announcements).some(Boolean);
+    this.webrtc = new WebRTCHandler((audioData) => this.handleAudioData(audioData), {
+      sendAudio: hasAnnouncements,
+      ice: this.config.ice
+    });
+    this.announcer = new ConsentAnnouncer(this.webrtc, this.config.announcements);
+    this.mediaStats = new StatsCollector(this.webrtc, (change) => this.emit('mediaQuality', change),
+      this.config.mediaStats);
+    this.recovery = new CallRecovery(this, this.config.recovery);
+    this.roster = new ParticipantRoster();
+    this.speakers = new SpeakerTracker(this.roster);
+    this.captions = this.config.chatCaptions ?
+      new ChatCaptionPublisher(this.api, this.config.chatCaptions) : null;
+    this.commands = this.config.chatCommands ? new ChatCommandHandler(this) : null;
+    this.dtmf = this.config.dtmf.enabled !== false ? new DtmfCommandHandler(this, this.config.dtmf) : null;
+    this.autoLeave = new AutoLeaveMonitor(this, this.config.autoLeave);
+    this.audioWatchdog = new AudioFlowWatchdog(this, this.config.audioWatchdog);
     
     this.callUuid = null;
-    this.eventPollInterval = null;
-    this.isRunning = false;
+    this.eventStream = new PexipEventStream(this.api, (event) => this.handleEvent(event));
+
+    // Waiting room / locked conference - audio is dropped until a host admits us
+    this.isWaiting = false;
+    this.waitingSince = null;
+    this.waitingTimer = null;
+    this.admissionWaiters = [];
+    this.conferenceLocked = false;
+    this.isSessionStarted = false;  // A re-join through the lobby keeps the session running
+
+    // Rooms we have been in - the dialed conference, transfers and breakouts
+    this.room = null;
+    this.rooms = [];
+    this.isTransferring = false;
+    this.oneTimeToken = null;  // From a refer event, used once to join the new conference
     this.pendingIceCandidates = [];  // Queue for ICE candidates until callUuid is returned
     this.tokenRefreshTimer = null;  // Timer for token refresh - default 120 seconds
+
+    // Token lifecycle, reported through the REST API
+    this.tokenState = {
+      status: 'none',  // none, valid, refreshing, retrying, reauthenticating, failed
+      expiresAt: null,
+      lastRefreshAt: null,
+      consecutiveFailures: 0,
+      lastError: null,
+      authFailureReason: null  // PexipAuthError reason if re-authentication was refused
+    };
   }
 
   /**
@@ -32,54 +111,27 @@ export class PexipConnection {
     try {
       console.log('Connecting to conference...');
       
-      // Step 1: Get authentication token
-      const { token, participantUuid, turnServers, expires } = await this.api.requestToken(
-        this.config.displayName,
-        this.config.pin
-      );
+      // Steps 1-5: Token, peer connection, offer/answer and ACK on the first node that works
+      const { participantUuid, expires } = await this.joinAvailableNode();
+      this.roster.setSelf(participantUuid);
+      this.enterRoom(this.config.conferenceAlias);
 
       // Set up token refresh timer (refresh 30 seconds before expiry)
       this.startTokenRefresh(expires);
 
-      // Step 2: Create WebRTC peer connection
-      this.webrtc.createPeerConnection(turnServers);
-      
-      // Set up ICE candidate handler - queue them until we have a callUuid
-      this.webrtc.setIceCandidateHandler(async (candidate) => {
-        if (!this.callUuid) {
-          // Queue the candidate until we have a call UUID
-          console.log('Queueing ICE candidate... no call UUID yet');
-          this.pendingIceCandidates.push(candidate);
-        } else {
-          await this.api.sendIceCandidate(this.callUuid, candidate);
-        }
-      });
+      // Step 6: Subscribe to the event stream after call is established
+      // (admission from the waiting room arrives as an event)
+      this.isRunning = true;
+      this.eventStream.start();
+      this.audioWatchdog.start();
 
-      // Step 3: Create offer and join conference
-      const offer = await this.webrtc.createOffer();
-      const { callUuid, sdp } = await this.api.joinCall(offer.sdp);
-      this.callUuid = callUuid;
-      
-      // Send any queued ICE candidates after callUuid is returned
-      if (this.pendingIceCandidates.length > 0) {
-        console.log(`Sending ${this.pendingIceCandidates.length} queued ICE candidates...`);
-        for (const candidate of this.pendingIceCandidates) {
-          await this.api.sendIceCandidate(this.callUuid, candidate);
-        }
-        this.pendingIceCandidates = [];
+      if (!this.isWaiting) {
+        this.startSession();
       }
 
-      // Step 4: Set remote answer
-      await this.webrtc.setRemoteAnswer(sdp);
-
-      // Step 5: Send ACK to start media flow
-      await this.api.sendAck(callUuid);
-
-      // Step 6: Start event polling after call is established
-      this.startEventPolling();
-      
-      this.isRunning = true;
-      console.log('Successfully connected to conference');
+      console.log(this.isWaiting ?
+        'Connected to conference - waiting to be admitted' :
+        'Successfully connected to conference');
       
       // Check ICE connection after 5 seconds
       setTimeout(() => {
@@ -95,36 +147,213 @@ export class PexipConnection {
       
       return true;
     } catch (error) {
-      console.error('Connection failed:', error.message);
+      this.stopWaiting(false);
+      const reason = error.reason ? ` (${error.reason})` : '';
+      console.error(`Connection failed${reason}:`, error.message);
       throw error;
     }
   }
 
   /**
-   * Start polling for Pexip events
+   * Start the in-conference parts of the session once we are first admitted
+   * Admission after a re-join finds them still running
    */
-  startEventPolling() {
-    const pollEvents = async () => {
-      if (!this.isRunning) return;
-      
-      try {
-        const events = await this.api.getEvents();
-        
-        for (const event of events) {
-          await this.handleEvent(event);
+  startSession() {
+    if (this.isSessionStarted) return;
+    this.isSessionStarted = true;
+    this.connectedAt = Date.now();
+
+    if (this.captions) {
+      this.captions.start();
+    }
+    this.autoLeave.start();
+    this.mediaStats.start();
+
+    // Tell participants they are being transcribed once media is up
+    if (this.announcer.has('join')) {
+      this.webrtc.waitForConnection().then((connected) => {
+        if (connected && this.isRunning) {
+          return this.announcer.announce('join');
         }
+      });
+    }
+  }
+
+  /**
+   * Hold in the waiting room until a host admits us or the timeout expires
+   */
+  startWaiting() {
+    if (this.isWaiting) return;
+
+    this.isWaiting = true;
+    this.waitingSince = Date.now();
+    console.log(`Waiting for a host to admit the bot (timeout ${this.config.waitingTimeoutSeconds}s)`);
+    this.emit('waiting', { since: this.waitingSince, locked: this.conferenceLocked });
+
+    this.waitingTimer = setTimeout(() => {
+      console.warn('Not admitted before the waiting timeout');
+      this.stopWaiting(false);
+      this.requestLeave('waiting_timeout');
+    }, this.config.waitingTimeoutSeconds * 1000);
+  }
+
+  /**
+   * Leave the waiting state; admitted = false when giving up
+   */
+  stopWaiting(admitted) {
+    if (!this.isWaiting) return;
+
+    this.isWaiting = false;
+    if (this.waitingTimer) {
+      clearTimeout(this.waitingTimer);
+      this.waitingTimer = null;
+    }
+
+    const waiters = this.admissionWaiters;
+    this.admissionWaiters = [];
+    waiters.forEach(resolve => resolve(admitted));
+
+    if (admitted) {
+      const waitedSeconds = Math.round((Date.now() - this.waitingSince) / 1000);
+      console.log(`Admitted to the conference after ${waitedSeconds}s`);
+      this.emit('admitted', { waitedMs: Date.now() - this.waitingSince });
+      this.startSession();
+    }
+  }
+
+  /**
+   * Resolves true once the bot is in the conference proper,
+   * false if it gave up waiting or was disconnected first
+   */
+  waitForAdmission() {
+    if (!this.isWaiting) {
+      return Promise.resolve(this.isRunning);
+    }
+    return new Promise(resolve => this.admissionWaiters.push(resolve));
+  }
+
+  /**
+   * Our own service type changed (participant_update for self)
+   */
+  handleServiceType(serviceType) {
+    if (serviceType === 'waiting_room') {
+      this.startWaiting();
+    } else if (this.isWaiting && serviceType) {
+      this.stopWaiting(true);
+    }
+  }
+
+  /**
+   * Waiting room details for the REST API
+   */
+  getWaitingState() {
+    return {
+      isWaiting: this.isWaiting,
+      since: this.waitingSince ? new Date(this.waitingSince).toISOString() : null,
+      timeoutSeconds: this.config.waitingTimeoutSeconds,
+      conferenceLocked: this.conferenceLocked
+    };
+  }
+
+  /**
+   * Get a token and join media on the best available node
+   * Unreachable or failing nodes are marked unhealthy and skipped;
+   * a conference refusing us (PIN, SSO...) is thrown straight away
+   */
+  async joinAvailableNode(exclude = []) {
+    const candidates = await this.nodes.getCandidates({ exclude });
+    let lastError = null;
+
+    for (const node of candidates) {
+      this.api.setNode(node);
+      console.log(`Using Pexip node ${node}`);
+
+      let token = null;
+      try {
+        token = await this.api.requestToken(this.config.displayName, this.getAuthOptions());
+        // Before media, so no lobby audio slips through
+        this.handleServiceType(token.serviceType);
+        await this.joinMedia();
+        this.nodes.markSuccess(node);
+        return token;
       } catch (error) {
-        if (error.code !== 'ECONNABORTED') {
-          console.error('Event polling error:', error.message);
+        if (!NodeSelector.isNodeFailure(error)) {
+          throw error;
         }
+
+        console.warn(`Pexip node ${node} failed: ${error.message}`);
+        this.nodes.markFailure(node, error.message);
+        lastError = error;
+
+        this.webrtc.disconnect();
+        this.callUuid = null;
+        this.pendingIceCandidates = [];
+
+        // Got a token but no media - don't leave a ghost participant on this node
+        if (token) {
+          await this.api.releaseToken();
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Create the peer connection and join the conference media call
+   * Used for the initial join and for re-joins during recovery
+   */
+  async joinMedia() {
+    // Step 2: Create WebRTC peer connection
+    this.webrtc.createPeerConnection(this.api.turnServers);
+    this.webrtc.setIceStateHandler((state) => this.recovery.handleIceState(state));
+    
+    // Set up ICE candidate handler - queue them until we have a callUuid
+    this.webrtc.setIceCandidateHandler(async (candidate) => {
+      if (!this.callUuid) {
+        // Queue the candidate until we have a call UUID
+        console.log('Queueing ICE candidate... no call UUID yet');
+        this.pendingIceCandidates.push(candidate);
+      } else {
+        await this.api.sendIceCandidate(this.callUuid, candidate);
       }
+    });
 
-      if (this.isRunning) {
-        this.eventPollTimeout = setTimeout(pollEvents, 100);
+    // Step 3: Create offer and join conference
+    const offer = await this.webrtc.createOffer();
+    const { callUuid, sdp } = await this.api.joinCall(offer.sdp);
+    this.callUuid = callUuid;
+    
+    // Send any queued ICE candidates after callUuid is returned
+    if (this.pendingIceCandidates.length > 0) {
+      console.log(`Sending ${this.pendingIceCandidates.length} queued ICE candidates...`);
+      for (const candidate of this.pendingIceCandidates) {
+        await this.api.sendIceCandidate(this.callUuid, candidate);
       }
-    };
+      this.pendingIceCandidates = [];
+    }
 
-    pollEvents();
+    // Step 4: Set remote answer
+    await this.webrtc.setRemoteAnswer(sdp);
+
+    // Step 5: Send ACK to start media flow
+    await this.api.sendAck(callUuid);
+  }
+
+  /**
+   * Drop the current media call and join again on the same token
+   */
+  async rejoin() {
+    console.log('Re-joining conference media...');
+
+    const oldCallUuid = this.callUuid;
+    this.callUuid = null;
+    this.pendingIceCandidates = [];
+
+    this.webrtc.disconnect();
+    await this.api.disconnectCall(oldCallUuid);
+
+    await this.joinMedia();
   }
 
   /**
@@ -133,10 +362,15 @@ export class PexipConnection {
   async handleEvent(event) {
     switch (event.event) {
       case 'new_offer':
-        // Handle renegotiation if needed
-        const answer = await this.webrtc.handleRemoteOffer(event.sdp);
-        await this.api.sendAck(this.callUuid, answer.sdp);
-        console.log('Handled new offer from Pexip');
+        // Server-side renegotiation - if it breaks, renegotiate from our side
+        try {
+          const answer = await this.webrtc.handleRemoteOffer(event.sdp);
+          await this.api.sendAck(this.callUuid, answer.sdp);
+          console.log('Handled new offer from Pexip');
+        } catch (error) {
+          console.error('Failed to handle new offer from Pexip:', error.message);
+          this.recovery.recover('renegotiation_failed');
+        }
         break;
         
       case 'new_candidate':
@@ -150,19 +384,103 @@ export class PexipConnection {
         break;
         
       case 'disconnect':
+        if (this.isTransferring) {
+          console.log('Left the previous conference after transfer');
+          break;
+        }
         console.log('Conference disconnected');
         await this.disconnect();
         break;
+
+      case 'refer':
+        // Transferred to another conference (or moved to a breakout room)
+        await this.followTransfer(event.alias, event.token);
+        break;
+
+      case 'breakout_begin':
+        if (event.participant_uuid === this.roster.selfUuid) {
+          this.enterRoom(this.room.alias, event.breakout_name || event.breakout_uuid, 'breakout');
+        }
+        break;
+
+      case 'breakout_end':
+        if (event.participant_uuid === this.roster.selfUuid) {
+          this.enterRoom(this.room.alias, null, 'breakout_end');
+        }
+        break;
+
+      case 'participant_create':
+        this.roster.handleCreate(event);
+        if (event.uuid === this.roster.selfUuid) {
+          this.handleServiceType(event.service_type);
+        }
+        break;
+
+      case 'participant_update':
+        this.roster.handleUpdate(event);
+        if (event.uuid === this.roster.selfUuid) {
+          this.handleServiceType(event.service_type);
+        }
+        break;
+
+      case 'conference_update':
+        if (event.locked !== undefined && event.locked !== this.conferenceLocked) {
+          this.conferenceLocked = event.locked;
+          console.log(`Conference ${event.locked ? 'locked' : 'unlocked'}`);
+        }
+        break;
+
+      case 'participant_delete':
+        this.roster.handleDelete(event);
+        break;
+
+      case 'participant_sync_begin':
+        this.roster.beginSync();
+        break;
+
+      case 'participant_sync_end':
+        this.roster.endSync();
+        break;
+
+      case 'message_received':
+        if (this.commands) {
+          await this.commands.handleMessage(event);
+        }
+        break;
+
+      case 'dtmf':
+        // Keypad digits from phone and SIP participants
+        if (this.dtmf) {
+          await this.dtmf.handleDtmf(event);
+        }
+        break;
+
+      case 'stage':
+        // Active speaker changes, used for speaker attribution
+        this.speakers.handleStage(event.data);
+        break;
         
-      // Ignore participant events and other non-critical events but log them
+      // Ignore other non-critical events but log them
       default:
-        if (!event.event.startsWith('participant_') && event.event !== 'stage') {
-          console.log(`Event: ${event.event}`);
-        }
+        console.log(`Event: ${event.event}`);
         break;
     }
   }
 
+  /**
+   * Credentials for request_token
+   */
+  getAuthOptions() {
+    return {
+      pin: this.config.pin,
+      role: this.config.role,
+      chosenIdp: this.config.chosenIdp,
+      ssoToken: this.config.ssoToken,
+      jwt: this.config.jwt,
+      oneTimeToken: this.oneTimeToken
+    };
+  }
+
   /**
    * Start token refresh timer
    */
@@ -178,21 +496,207 @@ export class PexipConnection {
 
     console.log(`Token refresh scheduled in ${refreshInterval / 1000} seconds`);
 
+    this.updateTokenState({
+      status: 'valid',
+      expiresAt: Date.now() + expiresInSeconds * 1000
+    });
+
     this.tokenRefreshTimer = setTimeout(async () => {
       if (!this.isRunning) return;
+      await this.refreshTokenWithRetry();
+    }, refreshInterval);
+  }
+
+  /**
+   * Refresh the token with bounded, jittered retries.
+   * Falls back to a fresh token and re-join once retries run out or the old one has expired.
+   */
+  async refreshTokenWithRetry() {
+    const maxRetries = this.config.tokenRefreshRetries;
+    let rejected = false;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (!this.isRunning) return;
+
+      this.updateTokenState({ status: attempt === 0 ? 'refreshing' : 'retrying' });
 
       try {
         const { expires } = await this.api.refreshToken();
         console.log('Token refreshed successfully');
-        
+
+        this.updateTokenState({ lastRefreshAt: Date.now(), consecutiveFailures: 0, lastError: null });
+
         // Schedule next refresh
         this.startTokenRefresh(expires);
+        return;
       } catch (error) {
-        console.error('Token refresh failed:', error.message);
-        // Token refresh failed - connection will likely drop
-        // TODO: Implement more robust retry logic here
+        const status = error.response?.status;
+        if (NodeSelector.isNodeFailure(error)) {
+          this.nodes.markFailure(this.api.nodeAddress, error.message);
+        }
+        this.updateTokenState({
+          consecutiveFailures: this.tokenState.consecutiveFailures + 1,
+          lastError: error.message
+        });
+
+        // 401/403 means the node no longer accepts this token - retrying won't help
+        const remainingMs = this.tokenState.expiresAt - Date.now();
+        if (status === 401 || status === 403 || remainingMs <= 0) {
+          console.warn('Token has expired, re-authenticating');
+          rejected = true;
+          break;
+        }
+
+        if (attempt < maxRetries) {
+          // Never sleep past the expiry time
+          const delay = Math.min(getBackoffDelay(attempt), Math.max(remainingMs - 1000, 0));
+          console.warn(`Token refresh attempt ${attempt + 1} failed, retrying in ${delay}ms`);
+          await sleep(delay);
+        }
       }
-    }, refreshInterval);
+    }
+
+    // Retries ran out with the token still valid - the old participant would stay in the roster
+    await this.reauthenticate({ releaseOld: !rejected && this.tokenState.expiresAt > Date.now() });
+  }
+
+  /**
+   * Request a brand new token and re-join the conference.
+   * The old participant is gone once its token expires, so this is a full re-join;
+   * releaseOld releases a still-valid token first. Leaves if it cannot re-join.
+   */
+  async reauthenticate({ releaseOld = false } = {}) {
+    if (!this.isRunning) return;
+
+    this.updateTokenState({ status: 'reauthenticating' });
+
+    try {
+      if (releaseOld) {
+        this.stopTokenRefresh();
+        await this.api.releaseToken();
+      }
+      await this.joinWithNewToken();
+      console.log('Re-authenticated and re-joined conference');
+    } catch (error) {
+      console.error('Re-authentication failed:', error.message);
+      this.updateTokenState({
+        status: 'failed',
+        lastError: error.message,
+        authFailureReason: error.reason || null
+      });
+      this.requestLeave('token_failed');
+    }
+  }
+
+  /**
+   * Join the conference we were transferred to as a new participant,
+   * keeping the same session (transcript, captions, speaker history)
+   */
+  async followTransfer(alias, oneTimeToken = null) {
+    if (!alias || !this.isRunning) return;
+
+    const fromAlias = this.room?.alias;
+    console.log(`Transferred from ${fromAlias} to ${alias}, following`);
+    this.isTransferring = true;
+    this.oneTimeToken = oneTimeToken;
+
+    try {
+      // The node is tearing down the old participant; release its token while we still can
+      this.stopTokenRefresh();
+      await this.api.releaseToken();
+
+      this.api.setConference(alias);
+      await this.joinWithNewToken();
+      this.enterRoom(alias, null, 'transfer');
+    } catch (error) {
+      console.error(`Failed to follow transfer to ${alias}:`, error.message);
+      this.requestLeave('transfer_failed');
+    } finally {
+      this.isTransferring = false;
+      this.oneTimeToken = null;
+    }
+  }
+
+  /**
+   * Record that we are now in a different room
+   * breakout is the breakout room name (or uuid), null for the main room
+   */
+  enterRoom(alias, breakout = null, reason = 'join') {
+    const now = Date.now();
+    const previous = this.room;
+    if (previous) {
+      previous.leftAt = now;
+    }
+
+    this.room = {
+      alias,
+      breakout,
+      label: breakout ? `${alias} / ${breakout}` : alias,
+      enteredAt: now,
+      leftAt: null
+    };
+    this.rooms.push(this.room);
+
+    if (previous) {
+      console.log(`Room changed: ${previous.label} -> ${this.room.label} (${reason})`);
+      this.emit('roomChange', { from: previous.label, to: this.room.label, reason });
+    }
+  }
+
+  /**
+   * Room a completed transcription was spoken in, by its start time
+   */
+  getRoomForSegment(transcription) {
+    const time = transcription.startTime ?? transcription.endTime ?? Date.now();
+    let room = this.rooms[0] || null;
+    for (const candidate of this.rooms) {
+      if (candidate.enteredAt <= time) {
+        room = candidate;
+      }
+    }
+    return room?.label || null;
+  }
+
+  /**
+   * Give up on the current node and join again on another one
+   * Used by call recovery once re-joining the same node has failed
+   */
+  async failover() {
+    const failedNode = this.api.nodeAddress;
+    this.nodes.markFailure(failedNode, 'media recovery failed');
+    console.warn(`Failing over from Pexip node ${failedNode}`);
+
+    await this.joinWithNewToken([failedNode]);
+    console.log(`Failed over to Pexip node ${this.api.nodeAddress}`);
+  }
+
+  /**
+   * Full re-join as a new participant: new token, new call, new event stream
+   */
+  async joinWithNewToken(excludeNodes = []) {
+    this.eventStream.stop();
+    this.eventStream.reset();
+    this.webrtc.disconnect();
+    this.callUuid = null;
+    this.pendingIceCandidates = [];
+
+    // A locked conference puts the new participant back in the lobby
+    const { participantUuid, expires } = await this.joinAvailableNode(excludeNodes);
+    this.roster.setSelf(participantUuid);
+
+    this.updateTokenState({ lastRefreshAt: Date.now(), consecutiveFailures: 0, lastError: null });
+    this.startTokenRefresh(expires);
+
+    this.eventStream.start();
+  }
+
+  updateTokenState(changes) {
+    const previousStatus = this.tokenState.status;
+    Object.assign(this.tokenState, changes);
+
+    if (this.tokenState.status !== previousStatus) {
+      this.emit('tokenState', { ...this.tokenState });
+    }
   }
 
   /**
@@ -218,15 +722,28 @@ export class PexipConnection {
     console.log('\nDisconnecting from Pexip');
     this.isRunning = false;
     
-    // Stop token refresh
+    // Stop token refresh and any pending recovery
     this.stopTokenRefresh();
-    
-    // Stop event polling
-    if (this.eventPollTimeout) {
-      clearTimeout(this.eventPollTimeout);
-      this.eventPollTimeout = null;
+    this.stopWaiting(false);
+    this.isSessionStarted = false;
+    this.recovery.stop();
+    this.autoLeave.stop();
+    this.mediaStats.stop();
+    this.audioWatchdog.stop();
+
+    // Post any pending captions while the token is still valid
+    if (this.captions) {
+      await this.captions.stop();
     }
 
+    // Say goodbye while the media path is still up
+    if (this.webrtc.isConnected()) {
+      await this.announcer.announce('leave');
+    }
+    
+    // Close the event stream
+    this.eventStream.stop();
+
     // Close WebRTC connection first (this stops media)
     this.webrtc.disconnect();
     
@@ -244,6 +761,121 @@ export class PexipConnection {
     console.log('Disconnected from Pexip\n');
   }
 
+  /**
+   * Most likely speaker for a completed transcription
+   * Returns { uuid, displayName } or null
+   */
+  getSpeakerForSegment(transcription) {
+    return this.speakers.getSpeakerForSegment(transcription);
+  }
+
+  /**
+   * Audio from WebRTCHandler - dropped while waiting or paused
+   */
+  handleAudioData(audioData) {
+    this.audioWatchdog.recordFrame();
+
+    // Lobby audio (hold music) is never transcribed
+    if (this.isWaiting) return;
+
+    // Silence is tracked even while paused
+    this.autoLeave.recordAudio(audioData.samples);
+
+    return super.handleAudioData(audioData);
+  }
+
+  /**
+   * Stop forwarding audio to the transcription pipeline
+   * Returns false if already paused
+   */
+  pauseTranscription(requestedBy = null) {
+    const changed = super.pauseTranscription(requestedBy);
+    if (changed) {
+      this.announcer.announce('pause');
+    }
+    return changed;
+  }
+
+  /**
+   * Resume forwarding audio
+   * Returns false if not paused
+   */
+  resumeTranscription(requestedBy = null) {
+    const changed = super.resumeTranscription(requestedBy);
+    if (changed) {
+      this.announcer.announce('resume');
+    }
+    return changed;
+  }
+
+  /**
+   * One-line status summary for chat replies
+   */
+  describeStatus() {
+    const minutes = this.connectedAt ? Math.floor((Date.now() - this.connectedAt) / 60000) : 0;
+    const present = this.roster.getPresent({ includeSelf: false }).length;
+    const extra = this.config.getTranscriptionStatus ? this.config.getTranscriptionStatus() : {};
+
+    const parts = [
+      `Transcription ${this.isPaused ? 'paused' : 'active'}`,
+      `${minutes} min`,
+      `${present} participant${present === 1 ? '' : 's'}`
+    ];
+    if (extra.transcriptionCount !== undefined) {
+      parts.push(`${extra.transcriptionCount} segments`);
+    }
+    if (extra.language) {
+      parts.push(`language: ${extra.language}`);
+    }
+    return parts.join(' | ');
+  }
+
+  /**
+   * Post a completed transcription to the conference chat, if chat captions are enabled
+   */
+  postCaption(text, speaker = null) {
+    if (this.captions) {
+      this.captions.addCaption(text, speaker);
+    }
+  }
+
+  /**
+   * Session details to write into the transcript header
+   */
+  getSessionInfo() {
+    return {
+      ...super.getSessionInfo(),
+      conferenceAlias: this.config.conferenceAlias,
+      node: this.api.nodeAddress,
+      rooms: this.rooms.map(room => ({
+        ...room,
+        enteredAt: new Date(room.enteredAt).toISOString(),
+        leftAt: room.leftAt ? new Date(room.leftAt).toISOString() : null
+      })),
+      participants: this.roster.toJSON(),
+      ice: this.webrtc.getIceInfo(),
+      mediaStats: this.mediaStats.toJSON(),
+      audioIncidents: this.audioWatchdog.incidents
+    };
+  }
+
+  /**
+   * Node, room, token, recovery and watchdog state for the REST API
+   */
+  getState() {
+    return {
+      pexipNode: this.api.nodeAddress,
+      room: this.room?.label || null,
+      nodes: this.nodes.getState(),
+      waiting: this.getWaitingState(),
+      role: this.api.role,
+      tokenState: this.tokenState,
+      autoLeave: this.autoLeave.getState(),
+      audioWatchdog: this.audioWatchdog.getState(),
+      recovery: this.recovery.attempts
+    };
+  }
+
   /**
    * Get connection status
    */
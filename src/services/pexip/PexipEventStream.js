@@ -0,0 +1,206 @@
+import { getBackoffDelay } from '../../utils/Backoff.js';
+
+/**
+ * Long-lived Server-Sent Events subscription to the Pexip conference event stream.
+ * Parses `event:`/`data:` frames, dispatches them in order and reconnects with
+ * backoff whenever the stream drops.
+ */
+export class PexipEventStream {
+  constructor(api, onEvent, options = {}) {
+    this.api = api;
+    this.onEvent = onEvent;
+    this.backoff = {
+      baseMs: options.reconnectBaseMs || 500,
+      maxMs: options.reconnectMaxMs || 15000
+    };
+
+    this.isRunning = false;
+    this.abortController = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempt = 0;
+    this.lastEventId = null;
+
+    // Events are handled one at a time, in the order they arrived
+    this.dispatchQueue = Promise.resolve();
+    this.generation = 0;  // Bumped on stop() so queued events from a closed stream are dropped
+
+    // Parser state for the current frame
+    this.lineBuffer = '';
+    this.resetFrame();
+  }
+
+  /**
+   * Open the stream and keep it open until stop() is called
+   */
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    this.reconnectAttempt = 0;
+    this.open();
+  }
+
+  /**
+   * Close the stream and cancel any pending reconnect
+   */
+  stop() {
+    this.isRunning = false;
+    this.generation++;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.abortController) {
+      this.abortController.abort();
+      this.abortController = null;
+    }
+  }
+
+  /**
+   * Forget the stream position - the next stream belongs to a new participant
+   */
+  reset() {
+    this.lastEventId = null;
+  }
+
+  async open() {
+    this.abortController = new AbortController();
+    this.lineBuffer = '';
+    this.resetFrame();
+
+    let stream;
+    try {
+      stream = await this.api.openEventStream(this.lastEventId, this.abortController.signal);
+    } catch (error) {
+      if (!this.isRunning) return;
+      console.error('Event stream connection failed:', error.message);
+      this.scheduleReconnect();
+      return;
+    }
+
+    console.log('Event stream connected');
+
+    stream.setEncoding('utf8');
+
+    stream.on('data', (chunk) => {
+      // Only reset the backoff once the node is actually talking to us
+      this.reconnectAttempt = 0;
+      this.parseChunk(chunk);
+    });
+
+    stream.on('end', () => {
+      if (!this.isRunning) return;
+      console.warn('Event stream ended by server');
+      this.scheduleReconnect();
+    });
+
+    stream.on('error', (error) => {
+      if (!this.isRunning) return;
+      console.error('Event stream error:', error.message);
+      stream.destroy();
+      this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    if (!this.isRunning || this.reconnectTimer) return;
+
+    const delay = getBackoffDelay(this.reconnectAttempt, this.backoff);
+    this.reconnectAttempt++;
+    console.log(`Reconnecting event stream in ${delay}ms (attempt ${this.reconnectAttempt})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.isRunning) {
+        this.open();
+      }
+    }, delay);
+  }
+
+  /**
+   * Split incoming text into lines, keeping any partial line for the next chunk
+   */
+  parseChunk(chunk) {
+    this.lineBuffer += chunk;
+    const lines = this.lineBuffer.split(/\r\n|\r|\n/);
+    this.lineBuffer = lines.pop();
+
+    for (const line of lines) {
+      this.parseLine(line);
+    }
+  }
+
+  parseLine(line) {
+    // Blank line terminates the frame
+    if (line === '') {
+      this.dispatchFrame();
+      return;
+    }
+
+    // Comment / keep-alive
+    if (line.startsWith(':')) return;
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    switch (field) {
+      case 'event':
+        this.frame.event = value;
+        break;
+      case 'data':
+        this.frame.data.push(value);
+        break;
+      case 'id':
+        this.frame.id = value;
+        break;
+      case 'retry':
+        // Honour the server's reconnect hint as our base delay
+        if (/^\d+$/.test(value)) {
+          this.backoff.baseMs = parseInt(value);
+        }
+        break;
+    }
+  }
+
+  resetFrame() {
+    this.frame = { event: null, data: [], id: null };
+  }
+
+  dispatchFrame() {
+    const { event, data, id } = this.frame;
+    this.resetFrame();
+
+    if (id !== null) {
+      this.lastEventId = id;
+    }
+
+    if (!event && data.length === 0) return;
+
+    const raw = data.join('\n');
+    let payload = null;
+    if (raw) {
+      try {
+        payload = JSON.parse(raw);
+      } catch (error) {
+        payload = raw;
+      }
+    }
+
+    // Shape matches what handleEvent expects: { event, ...eventData }
+    const message = payload && typeof payload === 'object' && !Array.isArray(payload)
+      ? { event: event || 'message', ...payload }
+      : { event: event || 'message', data: payload };
+
+    const generation = this.generation;
+    this.dispatchQueue = this.dispatchQueue
+      .then(() => generation === this.generation ? this.onEvent(message) : null)
+      .catch((error) => {
+        console.error(`Error handling event ${message.event}:`, error.message);
+      });
+  }
+}
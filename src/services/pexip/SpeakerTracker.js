@@ -0,0 +1,98 @@
+const MAX_HISTORY_MS = 10 * 60 * 1000;  // Transcripts rarely lag more than a few seconds
+const DEFAULT_SEGMENT_MS = 5000;        // Assumed length when a provider gives no timing
+
+/**
+ * Keeps a history of Pexip stage (active speaker) events and works out
+ * who was most likely speaking during a given stretch of audio
+ */
+export class SpeakerTracker {
+  constructor(roster) {
+    this.roster = roster;
+    this.history = []; // [{ timestamp, speaking: [uuid], primary: uuid }]
+  }
+
+  /**
+   * Record a stage event - an array of { participant_uuid, stage_index, vad }
+   */
+  handleStage(stage, timestamp = Date.now()) {
+    if (!Array.isArray(stage)) return;
+
+    const ordered = [...stage].sort((a, b) => a.stage_index - b.stage_index);
+    const selfUuid = this.roster.selfUuid;
+
+    const speaking = ordered
+      .filter(entry => entry.vad > 0 && entry.participant_uuid !== selfUuid)
+      .map(entry => entry.participant_uuid);
+
+    const primary = ordered.find(entry => entry.participant_uuid !== selfUuid);
+
+    this.history.push({
+      timestamp,
+      speaking,
+      primary: primary ? primary.participant_uuid : null
+    });
+
+    // Drop entries we'll never need again, but keep the one still in effect
+    const cutoff = timestamp - MAX_HISTORY_MS;
+    while (this.history.length > 1 && this.history[1].timestamp < cutoff) {
+      this.history.shift();
+    }
+  }
+
+  /**
+   * Most likely speaker between two wall-clock times (ms since epoch)
+   * Returns { uuid, displayName } or null if nobody can be identified
+   */
+  getSpeakerForRange(startTime, endTime) {
+    if (this.history.length === 0) return null;
+
+    const speakingMs = new Map();
+    const primaryMs = new Map();
+
+    for (let i = 0; i < this.history.length; i++) {
+      const entry = this.history[i];
+      const entryEnd = i + 1 < this.history.length ? this.history[i + 1].timestamp : Infinity;
+
+      const overlap = Math.min(endTime, entryEnd) - Math.max(startTime, entry.timestamp);
+      if (overlap <= 0) continue;
+
+      for (const uuid of entry.speaking) {
+        speakingMs.set(uuid, (speakingMs.get(uuid) || 0) + overlap);
+      }
+      if (entry.primary) {
+        primaryMs.set(entry.primary, (primaryMs.get(entry.primary) || 0) + overlap);
+      }
+    }
+
+    // Prefer voice activity; fall back to whoever was on stage
+    const uuid = this.pickLongest(speakingMs) || this.pickLongest(primaryMs);
+    if (!uuid) return null;
+
+    const participant = this.roster.get(uuid);
+    return {
+      uuid,
+      displayName: participant ? participant.displayName : 'Unknown'
+    };
+  }
+
+  /**
+   * Attribute a transcription segment, using its audio timing when the provider supplies it
+   */
+  getSpeakerForSegment(transcription) {
+    const endTime = transcription.endTime || Date.now();
+    const startTime = transcription.startTime || endTime - DEFAULT_SEGMENT_MS;
+    return this.getSpeakerForRange(startTime, endTime);
+  }
+
+  pickLongest(totals) {
+    let best = null;
+    let bestMs = 0;
+    for (const [uuid, ms] of totals) {
+      if (ms > bestMs) {
+        best = uuid;
+        bestMs = ms;
+      }
+    }
+    return best;
+  }
+}
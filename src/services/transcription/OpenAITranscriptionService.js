@@ -1,5 +1,6 @@
 import WebSocket from 'ws';
-import { resampleAudio } from '../../utils/AudioResampler.js';
+import { AudioResampler } from '../../utils/AudioResampler.js';
+import { toMono, parseChannelMode } from '../../utils/ChannelMixer.js';
 
 /**
  * OpenAI Realtime API transcription service for bot
@@ -8,12 +9,13 @@ import { resampleAudio } from '../../utils/AudioResampler.js';
 
 // OpenAI Realtime API constants
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_REALTIME_URL = 'wss://api.openai.com/v1/realtime?intent=transcription';
+const OPENAI_REALTIME_URL = process.env.OPENAI_REALTIME_URL || 'wss://api.openai.com/v1/realtime?intent=transcription';
 const DEFAULT_TRANSCRIPTION_MODEL = 'gpt-4o-mini-transcribe'; // Default to gpt-4o-mini-transcribe
 const OPENAI_REQUIRED_SAMPLE_RATE = 24000;  // OpenAI requires 24kHz for PCM16
 const OPENAI_BETA_HEADER = 'realtime=v1';
 const DEFAULT_BUFFER_DURATION_MS = 100; // 100ms at 24kHz-Required for OpenAI Realtime API
 const OPENAI_AUDIO_FORMAT = 'pcm16';
+const TIMING_TOLERANCE_MS = 100;  // Frame timestamps may wander this far before a gap is assumed
 
 export class OpenAITranscriptionService {
   constructor(config = {}) {
@@ -33,6 +35,7 @@ export class OpenAITranscriptionService {
     this.model = config.model || DEFAULT_TRANSCRIPTION_MODEL;
     this.transcriptionPrompt = config.transcriptionPrompt || '';
     this.language = config.language || 'en';
+    this.channelMode = parseChannelMode(config.channelMode);  // How to turn multi-channel frames into mono
 
     // OpenAI Voice Activity Detection (VAD) configuration
     // When VAD is enabled, OpenAI automatically detects speech and commits audio buffer
@@ -54,8 +57,11 @@ export class OpenAITranscriptionService {
     // WebSocket state
     this.ws = null;
     this.isConnected = false;
+    this.isSessionReady = false;  // Our session config has been applied
+    this.isSpeechActive = false;  // VAD has heard a turn start but not end
     this.sessionId = null;
     this.resampleLogged = false;
+    this.resampler = null;  // Keeps filter state between frames
     this.responseTimeout = null;
 
     // Audio buffering state
@@ -66,6 +72,7 @@ export class OpenAITranscriptionService {
     // Statistics for monitoring audio tracks and transcriptions
     this.stats = {
         audioBytesSent: 0,
+        messagesReceived: 0,
         transcriptionsReceived: 0,
         errors: 0,
         startTime: null
@@ -78,13 +85,22 @@ export class OpenAITranscriptionService {
         transcriptionComplete: [],
         error: [],
         connected: [],
-        disconnected: []
+        disconnected: [],
+        sessionReady: []
     };
 
     // Track transcription items by item_id
     this.transcriptionItems = new Map(); // Track transcriptions by item_id
     this.currentItemId = null;
     this.previousItemId = null;
+
+    // Audio timing per item, so segments can be placed on the wall clock
+    this.speechTimings = new Map(); // item_id -> { startMs, endMs } relative to first audio sent
+    this.timeAnchors = [];  // { audioMs, timestamp } wherever the audio we send skips ahead (gated, paused)
+    this.samplesTaken = 0;  // At 24kHz, sent or still buffered
+    this.samplesAtCommit = 0;  // Sent when the last commit was requested
+    this.pendingCommitsMs = [];  // Audio sent at each commit not yet confirmed
+    this.lastCommitAudioMs = 0;
   }
 
   // Subscribe to an event
@@ -188,6 +204,8 @@ export class OpenAITranscriptionService {
         this.ws.on('close', (code, reason) => {
           console.log(`Disconnected: ${code} - ${reason}`);
           this.isConnected = false;
+          this.isSessionReady = false;
+          this.isSpeechActive = false;
           this.ws = null;
           this.emit('disconnected', { code, reason: reason.toString() });
         });
@@ -201,6 +219,9 @@ export class OpenAITranscriptionService {
 
   // Initialize the transcription session with our configuration
   initializeSession() {
+    // The socket may have closed during the startup delay
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
     // Use transcription_session.update with session wrapper (based on working test)
     const sessionConfig = {
       type: 'transcription_session.update',
@@ -265,6 +286,10 @@ export class OpenAITranscriptionService {
 
       case 'transcription_session.updated':
         console.log('Transcription session configuration updated');
+        if (!this.isSessionReady) {
+          this.isSessionReady = true;
+          this.emit('sessionReady');
+        }
         break;
 
       case 'session.created':
@@ -286,36 +311,64 @@ export class OpenAITranscriptionService {
         });
         break;
 
-      case 'conversation.item.input_audio_transcription.completed':
+      case 'conversation.item.input_audio_transcription.completed': {
         // From docs: contains final transcription
         this.stats.transcriptionsReceived++;
+        const timing = this.speechTimings.get(message.item_id) || {};
+        this.speechTimings.delete(message.item_id);
+
         this.emit('transcriptionComplete', {
           text: message.transcript,
           itemId: message.item_id,
           previousItemId: this.previousItemId,
-          contentIndex: message.content_index
+          contentIndex: message.content_index,
+          audioStartMs: timing.startMs,
+          audioEndMs: timing.endMs,
+          startTime: this.toWallClock(timing.startMs),
+          endTime: this.toWallClock(timing.endMs, true)
         });
         break;
+      }
 
-      case 'input_audio_buffer.committed':
+      case 'input_audio_buffer.committed': {
         // Track item for ordering
         this.previousItemId = message.previous_item_id || null;
         this.currentItemId = message.item_id;
+
+        // Manual commits get no speech events - the item spans everything since the last commit,
+        // up to what had been sent when it was requested (more may have followed since)
+        const sentMs = this.pendingCommitsMs.shift() ?? this.getAudioSentMs();
+        const timing = this.speechTimings.get(message.item_id) ||
+          { startMs: this.lastCommitAudioMs, endMs: sentMs };
+        if (timing.endMs === undefined) {
+          timing.endMs = sentMs;
+        }
+        this.speechTimings.set(message.item_id, timing);
+        this.lastCommitAudioMs = timing.endMs;
+        this.isSpeechActive = false;
         break;
+      }
 
       case 'input_audio_buffer.speech_started':
         // VAD detected speech start
+        this.speechTimings.set(message.item_id, { startMs: message.audio_start_ms });
+        this.isSpeechActive = true;
         if (this.debug) {
           console.log(`Speech started at ${message.audio_start_ms}ms`);
         }
         break;
 
-      case 'input_audio_buffer.speech_stopped':
+      case 'input_audio_buffer.speech_stopped': {
         // VAD detected speech stopped - transcription will follow
+        const timing = this.speechTimings.get(message.item_id) || {};
+        timing.endMs = message.audio_end_ms;
+        this.speechTimings.set(message.item_id, timing);
+        this.isSpeechActive = false;
         if (this.debug) {
           console.log(`Speech stopped at ${message.audio_end_ms}ms`);
         }
         break;
+      }
 
       case 'conversation.item.created':
         // In transcription mode, these are created but don't contain transcripts
@@ -350,12 +403,24 @@ export class OpenAITranscriptionService {
       throw new Error('Invalid audio data');
     }
 
+    // Interleaved channels must become mono before resampling
+    let samples = toMono(audioData.samples, audioData.channelCount, this.channelMode);
+
+    // After a gap (pause, lobby, recovery, voice gate) the filter must not mix in audio from before it
+    if (this.updateTimeAnchors(audioData.timestamp || Date.now())) {
+      this.resampler?.reset();
+    }
+
     // Check if we need to resample (OpenAI requires 24kHz)
-    let samples = audioData.samples;
     if (audioData.sampleRate !== OPENAI_REQUIRED_SAMPLE_RATE) {
-      samples = resampleAudio(audioData.samples, audioData.sampleRate, OPENAI_REQUIRED_SAMPLE_RATE);
+      if (this.resampler?.fromRate !== audioData.sampleRate) {
+        this.resampler = new AudioResampler(audioData.sampleRate, OPENAI_REQUIRED_SAMPLE_RATE);
+      }
+      samples = this.resampler.process(samples);
     }
 
+    this.samplesTaken += samples.length;
+
     // Buffer the audio
     this.audioBuffer.push(samples);
 
@@ -395,15 +460,64 @@ export class OpenAITranscriptionService {
     this.audioBuffer = [];
   }
 
+  // Milliseconds of audio appended to the input buffer so far
+  getAudioSentMs() {
+    const samplesSent = this.stats.audioBytesSent / 2; // PCM16
+    return Math.round(samplesSent / OPENAI_REQUIRED_SAMPLE_RATE * 1000);
+  }
+
+  // Anchor the next frame's offset in the sent audio to its timestamp if it does not follow on
+  // Returns true for a new anchor, i.e. a gap in the stream
+  updateTimeAnchors(timestamp) {
+    const audioMs = this.samplesTaken / OPENAI_REQUIRED_SAMPLE_RATE * 1000;
+    const anchor = this.timeAnchors[this.timeAnchors.length - 1];
+    if (!anchor || Math.abs(anchor.timestamp + (audioMs - anchor.audioMs) - timestamp) > TIMING_TOLERANCE_MS) {
+      this.timeAnchors.push({ audioMs, timestamp });
+      return true;
+    }
+    return false;
+  }
+
+  // Convert an offset in the sent audio to ms since epoch
+  // An end offset right at a gap belongs to the audio before it
+  toWallClock(audioMs, isEnd = false) {
+    if (audioMs === undefined || this.timeAnchors.length === 0) {
+      return undefined;
+    }
+    let anchor = this.timeAnchors[0];
+    for (const candidate of this.timeAnchors) {
+      if (candidate.audioMs > audioMs || (isEnd && candidate.audioMs === audioMs)) break;
+      anchor = candidate;
+    }
+    return Math.round(anchor.timestamp + audioMs - anchor.audioMs);
+  }
+
+  // Milliseconds of audio taken since the last commit, sent or still buffered
+  getUncommittedMs() {
+    return (this.samplesTaken - this.samplesAtCommit) / OPENAI_REQUIRED_SAMPLE_RATE * 1000;
+  }
+
   // Commit audio buffer to trigger transcription
   commitAudioBuffer() {
     if (!this.isConnected) return;
+    this.samplesAtCommit = this.stats.audioBytesSent / 2;
+    if (!this.vadEnabled) {
+      this.pendingCommitsMs.push(this.getAudioSentMs());
+    }
 
     this.ws.send(JSON.stringify({
       type: 'input_audio_buffer.commit'
     }));
   }
 
+  // Change the transcription language mid-session
+  setLanguage(language) {
+    this.language = language;
+    if (this.isConnected) {
+      this.initializeSession();
+    }
+  }
+
   // Disconnect from OpenAI
   async disconnect() {
     if (!this.isConnected) return;
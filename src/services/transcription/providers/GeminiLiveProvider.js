@@ -1,7 +1,10 @@
 import WebSocket from 'ws';
-import { resampleAudio } from '../../../utils/AudioResampler.js';
+import { AudioResampler } from '../../../utils/AudioResampler.js';
+import { toMono, parseChannelMode } from '../../../utils/ChannelMixer.js';
 import { AudioValidator } from '../../../utils/AudioValidator.js';
 
+const GAP_TOLERANCE_MS = 100;  // Frame timestamps may wander this far before a gap is assumed
+
 /**
  * Google Gemini Live API transcription provider
  * Handles WebSocket connection and audio streaming to Gemini
@@ -16,16 +19,20 @@ export class GeminiLiveProvider {
     // Configuration
     this.model = config.model || 'gemini-live-2.5-flash-preview';
     this.language = config.language || 'en-US';
+    this.channelMode = parseChannelMode(config.channelMode);  // How to turn multi-channel frames into mono
     this.wsUrl = `wss://generativelanguage.googleapis.com/v1beta/models/${this.model}:streamGenerateContent?alt=sse&key=${this.apiKey}`;
     this.debug = config.debug || process.env.DEBUG_GEMINI === 'true';
     
     // WebSocket state
     this.ws = null;
     this.isConnected = false;
+    this.isSessionReady = false;  // setupComplete received
     this.sessionId = null;
     
     // Audio buffering
     this.audioBuffer = [];
+    this.resampler = null;  // Keeps filter state between frames
+    this.nextFrameAt = null;  // When the next frame is due if the stream has no gap
     this.bufferSize = 16000 * 0.1; // 100ms of audio at 16kHz
     this.lastSendTime = Date.now();
     
@@ -46,7 +53,8 @@ export class GeminiLiveProvider {
       connected: [],
       disconnected: [],
       speechStarted: [],
-      speechStopped: []
+      speechStopped: [],
+      sessionReady: []
     };
   }
 
@@ -89,6 +97,7 @@ export class GeminiLiveProvider {
         this.ws.on('close', (code, reason) => {
           console.log(`Gemini WebSocket closed: ${code} - ${reason}`);
           this.isConnected = false;
+          this.isSessionReady = false;
           this.emit('disconnected', { code, reason: reason.toString() });
         });
 
@@ -133,11 +142,22 @@ export class GeminiLiveProvider {
     }
 
     // Gemini expects 16kHz audio (will resample if needed but native is 16kHz)
-    let samples = audioData.samples;
+    // Interleaved channels must become mono before resampling
+    let samples = toMono(audioData.samples, audioData.channelCount, this.channelMode);
     const targetRate = 16000;
+
+    // After a gap (pause, lobby, recovery, voice gate) the filter must not mix in audio from before it
+    const timestamp = audioData.timestamp || Date.now();
+    if (this.nextFrameAt !== null && Math.abs(timestamp - this.nextFrameAt) > GAP_TOLERANCE_MS) {
+      this.resampler?.reset();
+    }
+    this.nextFrameAt = timestamp + samples.length / audioData.sampleRate * 1000;
     
     if (audioData.sampleRate !== targetRate) {
-      samples = resampleAudio(audioData.samples, audioData.sampleRate, targetRate);
+      if (this.resampler?.fromRate !== audioData.sampleRate) {
+        this.resampler = new AudioResampler(audioData.sampleRate, targetRate);
+      }
+      samples = this.resampler.process(samples);
       
       if (!this.resampleLogged) {
         console.log(`Resampling for Gemini: ${audioData.sampleRate}Hz \u2192 ${targetRate}Hz`);
@@ -216,6 +236,8 @@ export class GeminiLiveProvider {
     // Handle setup confirmation
     if (message.setupComplete) {
       console.log('Gemini session initialized');
+      this.isSessionReady = true;
+      this.emit('sessionReady');
       return;
     }
 
@@ -263,6 +285,18 @@ export class GeminiLiveProvider {
     }
   }
 
+  /**
+   * Change the transcription language
+   * Gemini only reads the language at setup, so the session is reconnected
+   */
+  async setLanguage(language) {
+    this.language = language;
+    if (this.isConnected) {
+      await this.disconnect();
+      await this.connect();
+    }
+  }
+
   /**
    * Disconnect from Gemini
    */
@@ -0,0 +1,83 @@
+import wrtc from '@roamhq/wrtc';
+
+const { RTCAudioSource } = wrtc.nonstandard;
+
+const SAMPLE_RATE = 48000;
+const FRAME_SAMPLES = SAMPLE_RATE / 100; // RTCAudioSource takes 10ms frames
+
+/**
+ * Feeds PCM into an outgoing WebRTC audio track
+ * Audio is 16-bit mono at 48kHz, pushed in real time
+ */
+export class AudioSender {
+  static SAMPLE_RATE = SAMPLE_RATE;
+
+  constructor() {
+    this.source = new RTCAudioSource();
+    this.track = this.source.createTrack();
+    this.timer = null;
+    this.finishPlayback = null;
+  }
+
+  /**
+   * Play samples into the track, resolves once they have all been sent
+   * Anything already playing is cut off
+   */
+  play(samples) {
+    this.stop();
+
+    return new Promise((resolve) => {
+      const startTime = Date.now();
+      const totalFrames = Math.ceil(samples.length / FRAME_SAMPLES);
+      let framesSent = 0;
+
+      this.finishPlayback = resolve;
+      this.timer = setInterval(() => {
+        const framesDue = Math.min(Math.floor((Date.now() - startTime) / 10), totalFrames);
+
+        while (framesSent < framesDue) {
+          // Last frame is zero-padded to a full 10ms
+          const frame = new Int16Array(FRAME_SAMPLES);
+          frame.set(samples.subarray(framesSent * FRAME_SAMPLES, (framesSent + 1) * FRAME_SAMPLES));
+
+          this.source.onData({
+            samples: frame,
+            sampleRate: SAMPLE_RATE,
+            bitsPerSample: 16,
+            channelCount: 1,
+            numberOfFrames: FRAME_SAMPLES
+          });
+          framesSent++;
+        }
+
+        if (framesSent >= totalFrames) {
+          this.stop();
+        }
+      }, 10);
+    });
+  }
+
+  isPlaying() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Stop playback and resolve the pending play() promise
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.finishPlayback) {
+      const finish = this.finishPlayback;
+      this.finishPlayback = null;
+      finish();
+    }
+  }
+
+  close() {
+    this.stop();
+    this.track.stop();
+  }
+}
@@ -0,0 +1,195 @@
+const DEFAULT_INTERVAL_MS = 5000;
+const DEFAULT_MAX_SAMPLES = 4320;  // Six hours at the default interval
+
+// A metric must stay past its threshold for this many samples in a row to count as degraded
+const DEFAULT_SUSTAINED_SAMPLES = 3;
+
+const DEFAULT_THRESHOLDS = {
+  lossPercent: 5,         // Packets lost in the interval, of those expected
+  jitterMs: 30,
+  concealmentPercent: 10  // Samples the jitter buffer had to invent, of those played out
+};
+
+/**
+ * Polls pc.getStats() and keeps a time series of inbound audio quality:
+ * packets lost, jitter, concealed samples, audio level and codec.
+ * Counters are turned into per-interval rates so a sample describes
+ * only the last few seconds. Degradation that lasts sustainedSamples
+ * intervals is reported once through onQualityChange, as is its recovery.
+ */
+export class StatsCollector {
+  constructor(webrtc, onQualityChange = null, options = {}) {
+    this.webrtc = webrtc;
+    this.onQualityChange = onQualityChange;
+    this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+    this.maxSamples = options.maxSamples || DEFAULT_MAX_SAMPLES;
+    this.sustainedSamples = options.sustainedSamples || DEFAULT_SUSTAINED_SAMPLES;
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+
+    this.timer = null;
+    this.previous = null;  // Last raw inbound-rtp counters, for deltas
+    this.samples = [];
+    this.droppedSamples = 0;
+    this.warnings = [];  // Degradation incidents, newest last
+    this.streaks = {};  // metric -> consecutive samples past the threshold
+    this.active = {};  // metric -> open warning
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.collect().catch(error => console.error('WebRTC stats collection failed:', error.message));
+    }, this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Take one sample now
+   */
+  async collect() {
+    const report = await this.webrtc.getStats();
+    if (!report) return null;
+
+    let inbound = null;
+    const codecs = new Map();
+    report.forEach(stat => {
+      if (stat.type === 'inbound-rtp' && (stat.kind || stat.mediaType) === 'audio') {
+        inbound = stat;
+      } else if (stat.type === 'codec') {
+        codecs.set(stat.id, stat);
+      }
+    });
+    if (!inbound) return null;
+
+    const sample = this.toSample(inbound, codecs.get(inbound.codecId));
+    this.record(sample);
+    return sample;
+  }
+
+  /**
+   * Turn cumulative inbound-rtp counters into one time-series entry
+   */
+  toSample(inbound, codec) {
+    const current = {
+      ssrc: inbound.ssrc,
+      packetsReceived: inbound.packetsReceived || 0,
+      packetsLost: inbound.packetsLost || 0,
+      concealedSamples: inbound.concealedSamples || 0,
+      totalSamplesReceived: inbound.totalSamplesReceived || 0
+    };
+
+    // A new call (rejoin, failover) starts its counters from zero
+    const previous = this.previous &&
+      this.previous.ssrc === current.ssrc &&
+      this.previous.packetsReceived <= current.packetsReceived ? this.previous : null;
+    this.previous = current;
+
+    const delta = (key) => current[key] - (previous ? previous[key] : 0);
+    const received = delta('packetsReceived');
+    const lost = Math.max(delta('packetsLost'), 0);
+    const samplesReceived = delta('totalSamplesReceived');
+
+    return {
+      timestamp: new Date().toISOString(),
+      codec: codec ? codec.mimeType.replace(/^audio\//, '') : null,
+      clockRate: codec?.clockRate || null,
+      packetsReceived: received,
+      packetsLost: lost,
+      lossPercent: received + lost > 0 ? round(lost / (received + lost) * 100) : 0,
+      jitterMs: round((inbound.jitter || 0) * 1000),
+      concealedSamples: delta('concealedSamples'),
+      concealmentPercent: samplesReceived > 0 ?
+        round(delta('concealedSamples') / samplesReceived * 100) : 0,
+      audioLevel: round(inbound.audioLevel || 0, 3)
+    };
+  }
+
+  record(sample) {
+    this.samples.push(sample);
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+      this.droppedSamples++;
+    }
+
+    for (const [metric, threshold] of Object.entries(this.thresholds)) {
+      this.evaluate(metric, sample[metric], threshold, sample.timestamp);
+    }
+  }
+
+  evaluate(metric, value, threshold, timestamp) {
+    if (value > threshold) {
+      this.streaks[metric] = (this.streaks[metric] || 0) + 1;
+      if (this.streaks[metric] === this.sustainedSamples && !this.active[metric]) {
+        const warning = { metric, threshold, peak: value, startedAt: timestamp, endedAt: null };
+        this.active[metric] = warning;
+        this.warnings.push(warning);
+        console.warn(`WebRTC: Sustained ${metric} ${value} (threshold ${threshold}) - transcription may suffer`);
+        this.notify({ status: 'degraded', ...warning });
+      } else if (this.active[metric]) {
+        this.active[metric].peak = Math.max(this.active[metric].peak, value);
+      }
+      return;
+    }
+
+    this.streaks[metric] = 0;
+    const warning = this.active[metric];
+    if (warning) {
+      warning.endedAt = timestamp;
+      delete this.active[metric];
+      console.log(`WebRTC: ${metric} back to normal`);
+      this.notify({ status: 'recovered', ...warning });
+    }
+  }
+
+  notify(change) {
+    if (this.onQualityChange) {
+      this.onQualityChange(change);
+    }
+  }
+
+  /**
+   * Averages over the whole series, for the REST API
+   */
+  getSummary() {
+    const count = this.samples.length;
+    const average = (key) => count ? round(this.samples.reduce((sum, s) => sum + s[key], 0) / count) : 0;
+    const latest = this.samples[count - 1] || null;
+
+    return {
+      samples: count,
+      intervalMs: this.intervalMs,
+      codec: latest?.codec || null,
+      packetsLost: this.samples.reduce((sum, s) => sum + s.packetsLost, 0),
+      averageLossPercent: average('lossPercent'),
+      averageJitterMs: average('jitterMs'),
+      averageConcealmentPercent: average('concealmentPercent'),
+      degraded: Object.keys(this.active),
+      warnings: this.warnings.length,
+      latest
+    };
+  }
+
+  /**
+   * Full series for the transcript JSON
+   */
+  toJSON() {
+    return {
+      intervalMs: this.intervalMs,
+      thresholds: this.thresholds,
+      droppedSamples: this.droppedSamples,
+      warnings: this.warnings,
+      samples: this.samples
+    };
+  }
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
@@ -1,41 +1,137 @@
 import wrtc from '@roamhq/wrtc';
 import { AudioValidator } from '../../utils/AudioValidator.js';
+import { AudioSender } from './AudioSender.js';
 
 const { RTCPeerConnection, RTCSessionDescription, nonstandard } = wrtc;
 const { RTCAudioSink } = nonstandard;
 
+const PUBLIC_STUN = { urls: 'stun:stun.l.google.com:19302' };
+const ICE_URL_PATTERN = /^(stun|stuns|turn|turns):/;
+export const ICE_TRANSPORT_POLICIES = ['all', 'relay'];
+
+function isTurnServer(server) {
+  return [].concat(server.urls).some(url => /^turns?:/.test(url));
+}
+
+// Candidate stats reduced to what tells us how media is routed
+function describeCandidate(candidate) {
+  if (!candidate) return null;
+  return {
+    candidateType: candidate.candidateType,  // host, srflx, prflx or relay
+    protocol: candidate.protocol,
+    relayProtocol: candidate.relayProtocol || null,  // udp, tcp or tls to the TURN server
+    address: candidate.address || candidate.ip || null,
+    port: candidate.port
+  };
+}
+
 /**
  * Handles WebRTC peer connection and audio extraction
  */
 export class WebRTCHandler {
-  constructor(onAudioData) {
+  constructor(onAudioData, options = {}) {
     this.pc = null;
+    this.sendAudio = options.sendAudio || false;  // Add a send track so the bot can speak
+    this.audioSender = null;
     this.audioSinks = new Map();
     this.onAudioData = onAudioData;
     this.pendingIceCandidates = [];
     this.pendingAudioTrack = null;
     this.callUuid = null;
+    this.iceStateHandler = null;
+
+    const ice = options.ice || {};
+    this.ice = {
+      iceServers: ice.iceServers || [],  // Our own STUN/TURN servers, tried before Pexip's
+      iceTransportPolicy: ice.iceTransportPolicy || 'all',  // 'relay' only uses TURN candidates
+      publicStun: ice.publicStun !== false,  // Fall back to Google STUN when nothing else is configured
+      usePexipTurn: ice.usePexipTurn !== false  // Default true
+    };
+    if (!ICE_TRANSPORT_POLICIES.includes(this.ice.iceTransportPolicy)) {
+      throw new Error(`Invalid ICE transport policy "${this.ice.iceTransportPolicy}". Use "all" or "relay".`);
+    }
+    this.iceConfiguration = null;
+    this.selectedCandidatePair = null;
+  }
+
+  /**
+   * ICE servers as RTCIceServer objects, from a JSON array or a comma-separated
+   * list of URLs. A shared username/credential is added to the TURN URLs.
+   */
+  static parseIceServers(value, username = null, credential = null) {
+    if (!value) return [];
+
+    let servers;
+    if (Array.isArray(value)) {
+      servers = value;
+    } else if (value.trim().startsWith('[')) {
+      servers = JSON.parse(value);
+    } else {
+      servers = value.split(',').map(url => url.trim()).filter(Boolean).map(url => (
+        /^turns?:/.test(url) && username ? { urls: url, username, credential } : { urls: url }
+      ));
+    }
+
+    for (const server of servers) {
+      const urls = [].concat(server?.urls || []);
+      if (urls.length === 0 || !urls.every(url => ICE_URL_PATTERN.test(url))) {
+        throw new Error(`Invalid ICE server ${JSON.stringify(server?.urls)}. URLs must start with stun:, stuns:, turn: or turns:.`);
+      }
+    }
+    return servers;
+  }
+
+  /**
+   * RTCConfiguration ICE settings: our servers first, then Pexip's TURN list,
+   * public STUN only when neither is there (and never for relay-only)
+   */
+  buildIceConfiguration(pexipServers = null) {
+    const { iceServers, iceTransportPolicy, publicStun, usePexipTurn } = this.ice;
+    const servers = [...iceServers];
+
+    if (usePexipTurn && pexipServers?.length) {
+      servers.push(...pexipServers);
+    }
+    if (servers.length === 0 && publicStun && iceTransportPolicy !== 'relay') {
+      servers.push(PUBLIC_STUN);
+    }
+    if (iceTransportPolicy === 'relay' && !servers.some(isTurnServer)) {
+      console.warn('WebRTC: Relay-only ICE without any TURN server - media cannot connect');
+    }
+
+    return { iceServers: servers, iceTransportPolicy };
   }
 
   /**
    * Create and configure peer connection
+   * pexipServers is the TURN list Pexip returned with the join
+   * Pass { offerAudio: false } when answering a remote offer, whose audio
+   * section brings its own transceiver
    */
-  createPeerConnection(iceServers = null) {
-    // Use provided TURN servers or fallback to public STUN
-    const servers = iceServers || [
-      { urls: 'stun:stun.l.google.com:19302' }
-    ];
+  createPeerConnection(pexipServers = null, options = {}) {
+    this.iceConfiguration = this.buildIceConfiguration(pexipServers);
+    this.selectedCandidatePair = null;
+    console.log(`WebRTC: ICE policy ${this.iceConfiguration.iceTransportPolicy}, ${this.iceConfiguration.iceServers.length} server(s)`);
 
     this.pc = new RTCPeerConnection({
-      iceServers: servers,
+      ...this.iceConfiguration,
       iceCandidatePoolSize: 10,
       bundlePolicy: 'max-bundle',
       rtcpMuxPolicy: 'require'
     });
 
-    // Add audio transceiver for receiving
-    this.pc.addTransceiver('audio', { direction: 'recvonly' });
-    console.log('WebRTC: Added audio transceiver (receive-only)');
+    if (options.offerAudio === false) {
+      console.log('WebRTC: Waiting for the remote offer to add audio');
+    } else if (this.sendAudio) {
+      // Send and receive on one transceiver, fed from a PCM source
+      this.audioSender = new AudioSender();
+      this.pc.addTransceiver(this.audioSender.track, { direction: 'sendrecv' });
+      console.log('WebRTC: Added audio transceiver (send-receive)');
+    } else {
+      // Add audio transceiver for receiving
+      this.pc.addTransceiver('audio', { direction: 'recvonly' });
+      console.log('WebRTC: Added audio transceiver (receive-only)');
+    }
 
     this.setupEventHandlers();
     return this.pc;
@@ -74,6 +170,7 @@ export class WebRTCHandler {
           this.attachAudioSink(this.pendingAudioTrack);
           this.pendingAudioTrack = null;
         }
+        this.updateSelectedCandidatePair();
       } else if (state === 'failed') {
         console.error('WebRTC: Connection failed - possible firewall/NAT issue');
         console.error('  Try: 1) Check firewall settings');
@@ -82,6 +179,10 @@ export class WebRTCHandler {
       } else if (state === 'disconnected') {
         console.warn('WebRTC: Connection lost - may reconnect...');
       }
+
+      if (this.iceStateHandler) {
+        this.iceStateHandler(state);
+      }
     };
 
     // Monitor connection state
@@ -199,11 +300,20 @@ export class WebRTCHandler {
     };
   }
 
+  /**
+   * Set ICE connection state handler
+   * Kept on the handler rather than the pc so it survives a re-join
+   */
+  setIceStateHandler(handler) {
+    this.iceStateHandler = handler;
+  }
+
   /**
    * Create offer
+   * Pass { iceRestart: true } to gather fresh ICE credentials
    */
-  async createOffer() {
-    const offer = await this.pc.createOffer();
+  async createOffer(options = {}) {
+    const offer = await this.pc.createOffer(options);
     await this.pc.setLocalDescription(offer);
     return offer;
   }
@@ -234,6 +344,24 @@ export class WebRTCHandler {
     return answer;
   }
 
+  /**
+   * Wait for candidate gathering to finish, for signaling without trickle ICE
+   * Resolves with the local description, candidates included
+   */
+  waitForIceGathering(timeoutMs = 5000) {
+    return new Promise((resolve) => {
+      const startTime = Date.now();
+      const check = () => {
+        if (!this.pc || this.pc.iceGatheringState === 'complete' || Date.now() - startTime >= timeoutMs) {
+          resolve(this.pc?.localDescription || null);
+        } else {
+          setTimeout(check, 100);
+        }
+      };
+      check();
+    });
+  }
+
   /**
    * Add ICE candidate
    */
@@ -251,6 +379,92 @@ export class WebRTCHandler {
     return state === 'connected' || state === 'completed';
   }
 
+  /**
+   * Wait until ICE reaches connected/completed or the timeout expires
+   */
+  waitForConnection(timeoutMs = 10000) {
+    return new Promise((resolve) => {
+      const startTime = Date.now();
+      const check = () => {
+        if (this.isConnected()) {
+          resolve(true);
+        } else if (!this.pc || Date.now() - startTime >= timeoutMs) {
+          resolve(false);
+        } else {
+          setTimeout(check, 250);
+        }
+      };
+      check();
+    });
+  }
+
+  /**
+   * Current RTCStatsReport, or null when there is no peer connection
+   */
+  async getStats() {
+    return this.pc ? this.pc.getStats() : null;
+  }
+
+  /**
+   * The candidate pair ICE settled on, from the transport (or the nominated pair)
+   */
+  async getSelectedCandidatePair() {
+    const report = await this.getStats();
+    if (!report) return null;
+
+    const stats = new Map();
+    report.forEach(stat => stats.set(stat.id, stat));
+
+    let pair = null;
+    for (const stat of stats.values()) {
+      if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+        pair = stats.get(stat.selectedCandidatePairId);
+      }
+    }
+    pair = pair || [...stats.values()].find(stat =>
+      stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded');
+    if (!pair) return null;
+
+    return {
+      local: describeCandidate(stats.get(pair.localCandidateId)),
+      remote: describeCandidate(stats.get(pair.remoteCandidateId))
+    };
+  }
+
+  async updateSelectedCandidatePair() {
+    try {
+      const selected = await this.getSelectedCandidatePair();
+      if (!selected) return;
+
+      this.selectedCandidatePair = selected;
+      const { local, remote } = selected;
+      const relay = local?.relayProtocol ? ` via TURN/${local.relayProtocol}` : '';
+      console.log(`WebRTC: Selected candidates ${local?.candidateType}/${local?.protocol}${relay} -> ${remote?.candidateType}/${remote?.protocol}`);
+    } catch (error) {
+      console.warn('WebRTC: Could not read selected candidates:', error.message);
+    }
+  }
+
+  /**
+   * ICE policy, server URLs (no credentials) and the selected candidates for reporting
+   */
+  getIceInfo() {
+    return {
+      transportPolicy: this.ice.iceTransportPolicy,
+      servers: (this.iceConfiguration?.iceServers || []).flatMap(server => [].concat(server.urls)),
+      selected: this.selectedCandidatePair
+    };
+  }
+
+  /**
+   * Play 48kHz mono PCM into the conference
+   * Resolves when playback ends; a no-op without a send track
+   */
+  async playAudio(samples) {
+    if (!this.audioSender || !this.isConnected()) return;
+    await this.audioSender.play(samples);
+  }
+
   /**
    * Cleanup audio sink
    */
@@ -278,6 +492,11 @@ export class WebRTCHandler {
     
     // Stop all audio sinks first
     this.cleanup();
+
+    if (this.audioSender) {
+      this.audioSender.close();
+      this.audioSender = null;
+    }
     
     // Close peer connection
     if (this.pc) {
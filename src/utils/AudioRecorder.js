@@ -0,0 +1,246 @@
+import fs from 'fs';
+import { spawn, spawnSync } from 'child_process';
+import wavefile from 'wavefile';
+import { AudioResampler } from './AudioResampler.js';
+import { toMono, parseChannelMode } from './ChannelMixer.js';
+
+const { WaveFile } = wavefile;
+
+// Arrival time may wander this far from the sample clock before the index gets a new anchor
+const DRIFT_TOLERANCE_MS = 100;
+
+// RIFF sizes are 32-bit - about 12 hours of 48kHz mono
+const MAX_WAV_BYTES = 2 ** 32 - 1;
+
+/**
+ * Records conference audio to a mono 16-bit WAV, or Ogg/Opus through ffmpeg,
+ * and keeps an index from wall-clock time to sample offset in the file.
+ *
+ * Audio is only written while it arrives, so pauses and reconnects leave no
+ * gap in the file. The index gets a new anchor { sample, time } whenever the
+ * arrival time no longer matches the samples written, which keeps lookups
+ * sample-accurate across those gaps.
+ */
+export class AudioRecorder {
+  constructor(basePath, options = {}) {
+    this.format = options.format === 'ogg' ? 'ogg' : 'wav';
+    this.bitrate = options.bitrate || '32k';
+    this.sampleRate = options.sampleRate || null;  // Taken from the first frame if not set
+    this.channelMode = parseChannelMode(options.channelMode);
+
+    if (this.format === 'ogg' && !AudioRecorder.hasFfmpeg()) {
+      console.warn('ffmpeg not found - recording to WAV instead of Ogg/Opus');
+      this.format = 'wav';
+    }
+
+    this.file = `${basePath}.${this.format}`;
+    this.stream = null;  // WAV file stream or ffmpeg stdin
+    this.ffmpeg = null;
+    this.ffmpegExited = null;  // Settles when the ffmpeg process has exited
+    this.resampler = null;  // For frames at another rate than the file
+    this.dataOffset = 0;  // Where PCM starts in the WAV file
+    this.samplesWritten = 0;
+    this.index = [];
+    this.isClosed = false;
+    this.stoppedReason = null;  // Why recording stopped before close(): a write error or the WAV size limit
+  }
+
+  static hasFfmpeg() {
+    const result = spawnSync('ffmpeg', ['-version'], { stdio: 'ignore' });
+    return !result.error && result.status === 0;
+  }
+
+  /**
+   * Append one frame from onAudioData
+   */
+  write(audioData) {
+    if (this.isClosed || this.stoppedReason || !audioData.samples?.length) return;
+
+    if (!this.stream) {
+      this.open(audioData.sampleRate);
+    }
+
+    let samples = toMono(audioData.samples, audioData.channelCount, this.channelMode);
+
+    // Gaps leave no silence in the file, but the filter must not run across them either
+    if (this.updateIndex(audioData.timestamp || Date.now())) {
+      this.resampler?.reset();
+    }
+
+    if (audioData.sampleRate !== this.sampleRate) {
+      if (this.resampler?.fromRate !== audioData.sampleRate) {
+        this.resampler = new AudioResampler(audioData.sampleRate, this.sampleRate);
+      }
+      samples = this.resampler.process(samples);
+    }
+
+    if (this.format === 'wav' && this.dataOffset + (this.samplesWritten + samples.length) * 2 > MAX_WAV_BYTES) {
+      this.stop('size_limit');
+      return;
+    }
+
+    this.stream.write(Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength));
+    this.samplesWritten += samples.length;
+  }
+
+  open(sampleRate) {
+    this.sampleRate = this.sampleRate || sampleRate;
+
+    if (this.format === 'ogg') {
+      this.ffmpeg = spawn('ffmpeg', [
+        '-hide_banner', '-loglevel', 'error', '-y',
+        '-f', 's16le', '-ar', String(this.sampleRate), '-ac', '1', '-i', 'pipe:0',
+        '-c:a', 'libopus', '-b:a', this.bitrate, this.file
+      ], { stdio: ['pipe', 'ignore', 'inherit'] });
+      this.ffmpeg.on('error', (error) => {
+        console.error('Recorder: ffmpeg failed:', error.message);
+        this.stop('write_error');
+      });
+      // ffmpeg may be gone long before close() - a crash, or no libopus
+      this.ffmpegExited = new Promise((resolve) => {
+        this.ffmpeg.once('close', () => {
+          if (!this.isClosed) this.stop('write_error');
+          resolve();
+        });
+        this.ffmpeg.once('error', resolve);
+      });
+      this.stream = this.ffmpeg.stdin;
+      this.stream.on('error', (error) => {
+        console.error('Recorder: ffmpeg input closed:', error.message);
+        this.stop('write_error');
+      });
+    } else {
+      // Header with an empty data chunk - the sizes are filled in on close
+      const wav = new WaveFile();
+      wav.fromScratch(1, this.sampleRate, '16', new Int16Array(0));
+      const header = Buffer.from(wav.toBuffer());
+      this.dataOffset = header.length;
+
+      this.stream = fs.createWriteStream(this.file);
+      this.stream.on('error', (error) => {
+        console.error('Recorder: write failed:', error.message);
+        this.stop('write_error');
+      });
+      this.stream.write(header);
+    }
+
+    console.log(`Recording conference audio to ${this.file}`);
+  }
+
+  /**
+   * Stop writing but keep the session going - the transcript matters more than the recording
+   */
+  stop(reason) {
+    if (this.stoppedReason) return;
+    this.stoppedReason = reason;
+    console.warn(`Recording stopped early (${reason}) after ${(this.samplesWritten / this.sampleRate).toFixed(1)}s`);
+  }
+
+  /**
+   * Add an anchor when this frame did not arrive where the sample clock expects it
+   * Returns true if it did not (the first frame, or one after a gap)
+   */
+  updateIndex(time) {
+    const last = this.index[this.index.length - 1];
+    if (last) {
+      const expected = last.time + (this.samplesWritten - last.sample) * 1000 / this.sampleRate;
+      if (Math.abs(time - expected) <= DRIFT_TOLERANCE_MS) return false;
+    }
+    this.index.push({ sample: this.samplesWritten, time });
+    return true;
+  }
+
+  /**
+   * Sample offset in the recording for a wall-clock time (ms)
+   * Times that fall in a gap map to the first sample after it
+   */
+  getSampleOffset(time) {
+    if (time === undefined || time === null || this.index.length === 0) return null;
+
+    let i = this.index.length - 1;
+    while (i > 0 && this.index[i].time > time) i--;
+
+    const anchor = this.index[i];
+    if (time < anchor.time) return anchor.sample;
+
+    const next = this.index[i + 1];
+    const limit = next ? next.sample : this.samplesWritten;
+    const offset = anchor.sample + Math.round((time - anchor.time) * this.sampleRate / 1000);
+    return Math.min(offset, limit);
+  }
+
+  /**
+   * Where a transcript segment ({ startTime, endTime } in wall-clock ms) is in the recording
+   */
+  getSegmentPosition(segment) {
+    const startSample = this.getSampleOffset(segment?.startTime);
+    const endSample = this.getSampleOffset(segment?.endTime);
+    if (startSample === null || endSample === null) return null;
+
+    return {
+      startSample,
+      endSample,
+      startSeconds: startSample / this.sampleRate,
+      endSeconds: endSample / this.sampleRate
+    };
+  }
+
+  /**
+   * Finish the file; resolves once it is complete on disk
+   */
+  async close() {
+    if (this.isClosed) return this.getInfo();
+    this.isClosed = true;
+    if (!this.stream) return null;
+
+    if (this.ffmpeg) {
+      this.stream.end();
+      await this.ffmpegExited;
+    } else {
+      // A failed stream is already destroyed and will not close again
+      if (!this.stream.destroyed) {
+        const closed = new Promise(resolve => this.stream.once('close', resolve));
+        this.stream.end();
+        await closed;
+      }
+      if (this.stoppedReason !== 'write_error') {
+        this.patchWavSizes();
+      }
+    }
+
+    console.log(`Recording saved: ${this.file} (${(this.samplesWritten / this.sampleRate).toFixed(1)}s)`);
+    return this.getInfo();
+  }
+
+  patchWavSizes() {
+    const dataBytes = this.samplesWritten * 2;
+    const sizes = Buffer.alloc(4);
+    const fd = fs.openSync(this.file, 'r+');
+    try {
+      sizes.writeUInt32LE(this.dataOffset - 8 + dataBytes);
+      fs.writeSync(fd, sizes, 0, 4, 4);  // RIFF chunk size
+      sizes.writeUInt32LE(dataBytes);
+      fs.writeSync(fd, sizes, 0, 4, this.dataOffset - 4);  // data chunk size
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Recording details for the transcript JSON
+   */
+  getInfo() {
+    if (!this.sampleRate) return null;
+
+    return {
+      file: this.file,
+      format: this.format,
+      sampleRate: this.sampleRate,
+      channels: 1,
+      samples: this.samplesWritten,
+      durationSeconds: this.samplesWritten / this.sampleRate,
+      ...(this.stoppedReason && { stoppedReason: this.stoppedReason }),
+      index: this.index.map(anchor => ({ ...anchor, time: new Date(anchor.time).toISOString() }))
+    };
+  }
+}
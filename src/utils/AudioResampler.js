@@ -1,70 +1,221 @@
-export function downsample48to16(samples48k) {
-  const ratio = 3;
-  const outputLength = Math.floor(samples48k.length / ratio);
-  const samples16k = new Int16Array(outputLength);
-  
-  for (let i = 0; i < outputLength; i++) {
-    samples16k[i] = samples48k[i * ratio];
+/**
+ * Band-limited sample rate conversion for 16-bit PCM
+ *
+ * A polyphase windowed-sinc (Kaiser) filter for any pair of integer rates:
+ * the low-pass sits just under the lower of the two Nyquist frequencies, so
+ * downsampling does not fold sibilants back into the speech band and
+ * upsampling does not leave images above it.
+ */
+
+const ZERO_CROSSINGS = 32;  // Filter half-width, in periods of the cutoff
+const ROLLOFF = 0.92;  // Cutoff as a fraction of the lower Nyquist frequency
+const KAISER_BETA = 8;  // About 80dB stopband
+const MAX_PHASES = 1024;  // Finer ratios use the nearest of this many filter phases
+
+const filters = new Map();  // "from:to" -> filter, shared by every resampler
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// Zeroth-order modified Bessel function of the first kind, for the Kaiser window
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; term > sum * 1e-12; k++) {
+    term *= (x / (2 * k)) ** 2;
+    sum += term;
   }
-  
-  return samples16k;
+  return sum;
 }
 
-export function downsample48to24(samples48k) {
-  const ratio = 2;  // 48kHz to 24kHz is divide by 2
-  const outputLength = Math.floor(samples48k.length / ratio);
-  const samples24k = new Int16Array(outputLength);
-  
-  for (let i = 0; i < outputLength; i++) {
-    samples24k[i] = samples48k[i * ratio];
+/**
+ * Coefficient table for converting fromRate to toRate
+ * One row of 2W taps per phase; row q interpolates at q/phases past an input sample
+ */
+function getFilter(fromRate, toRate) {
+  const key = `${fromRate}:${toRate}`;
+  if (filters.has(key)) {
+    return filters.get(key);
+  }
+
+  const divisor = gcd(fromRate, toRate);
+  const up = toRate / divisor;  // L
+  const down = fromRate / divisor;  // M
+  const phases = Math.min(up, MAX_PHASES);
+
+  // Cutoff relative to the input Nyquist frequency
+  const cutoff = Math.min(1, toRate / fromRate) * ROLLOFF;
+  const halfWidth = ZERO_CROSSINGS / cutoff;  // In input samples
+  const width = Math.ceil(halfWidth);
+  const taps = 2 * width;
+  const table = new Float32Array(phases * taps);
+  const windowNorm = besselI0(KAISER_BETA);
+
+  for (let q = 0; q < phases; q++) {
+    const fraction = q / phases;
+    let sum = 0;
+    for (let j = 0; j < taps; j++) {
+      const x = fraction + width - 1 - j;  // Distance from the output instant
+      let value = 0;
+      if (Math.abs(x) < halfWidth) {
+        const u = cutoff * x;
+        const sinc = u === 0 ? 1 : Math.sin(Math.PI * u) / (Math.PI * u);
+        const r = x / halfWidth;
+        value = sinc * besselI0(KAISER_BETA * Math.sqrt(1 - r * r)) / windowNorm;
+      }
+      table[q * taps + j] = value;
+      sum += value;
+    }
+    // Unity gain at DC for every phase
+    for (let j = 0; j < taps; j++) {
+      table[q * taps + j] /= sum;
+    }
   }
-  
-  return samples24k;
+
+  const filter = { up, down, phases, width, taps, table };
+  filters.set(key, filter);
+  return filter;
 }
 
-export function resampleAudio(samples, fromRate, toRate) {
-  if (fromRate === toRate) {
-    return samples;
+/**
+ * Run the filter over input, producing count samples starting at time
+ * time is in 1/up input samples, relative to input[0]
+ */
+function convolve(input, time, count, filter) {
+  const { up, down, phases, width, taps, table } = filter;
+  const output = new Int16Array(count);
+
+  for (let n = 0; n < count; n++) {
+    let index = Math.floor(time / up);
+    let phase = time - index * up;
+    if (phases !== up) {
+      phase = Math.round(phase * phases / up);
+      if (phase === phases) {
+        index++;
+        phase = 0;
+      }
+    }
+
+    const base = index - width + 1;
+    const row = phase * taps;
+    let acc = 0;
+    for (let j = 0; j < taps; j++) {
+      acc += table[row + j] * input[base + j];
+    }
+    output[n] = Math.max(-32768, Math.min(32767, Math.round(acc)));
+    time += down;
   }
-  
-  if (fromRate === 48000 && toRate === 16000) {
-    return downsample48to16(samples);
+
+  return output;
+}
+
+function checkRates(fromRate, toRate) {
+  if (!Number.isInteger(fromRate) || !Number.isInteger(toRate) || fromRate <= 0 || toRate <= 0) {
+    throw new Error(`Invalid sample rates: ${fromRate} -> ${toRate}`);
   }
-  
-  if (fromRate === 48000 && toRate === 24000) {
-    return downsample48to24(samples);
+}
+
+/**
+ * Streaming resampler - one per audio stream
+ *
+ * Keeps the filter history between calls so consecutive 10ms frames join
+ * without clicks. Each call returns exactly as many samples as the ratio
+ * allows for everything seen so far; the price is a fixed delay of half the
+ * filter length (about 1.5ms from 48kHz). The stream is extended backwards
+ * by odd reflection rather than silence, so the filter does not ring at the
+ * start; that needs one filter length of audio before the first output.
+ */
+export class AudioResampler {
+  constructor(fromRate, toRate) {
+    checkRates(fromRate, toRate);
+    this.fromRate = fromRate;
+    this.toRate = toRate;
+    this.filter = getFilter(fromRate, toRate);
+    this.reset();
+  }
+
+  /**
+   * Forget the history, e.g. after a gap in the stream
+   */
+  reset() {
+    this.history = null;  // Input the next outputs still need
+    this.pending = new Float32Array(0);  // Stream start, until there is enough to reflect
+    this.time = this.filter.width * this.filter.up;  // Next output instant, in 1/up samples from history[0]
   }
-  
-  // Handle upsampling from 16kHz to 24kHz (simple linear interpolation)
-  if (fromRate === 16000 && toRate === 24000) {
-    const ratio = 1.5; // 24000 / 16000 = 1.5
-    const outputLength = Math.floor(samples.length * ratio);
-    const output = new Int16Array(outputLength);
-    
-    for (let i = 0; i < outputLength; i++) {
-      const sourceIndex = i / ratio;
-      const index = Math.floor(sourceIndex);
-      const fraction = sourceIndex - index;
-      
-      if (index < samples.length - 1) {
-        // Linear interpolation between samples
-        output[i] = Math.round(samples[index] * (1 - fraction) + samples[index + 1] * fraction);
-      } else {
-        output[i] = samples[samples.length - 1];
+
+  /**
+   * Resample the next chunk of mono samples
+   */
+  process(samples) {
+    if (this.fromRate === this.toRate) {
+      return samples;
+    }
+
+    const { up, down, phases, width } = this.filter;
+    let input;
+    if (this.history) {
+      input = new Float32Array(this.history.length + samples.length);
+      input.set(this.history);
+      input.set(samples, this.history.length);
+    } else {
+      const head = new Float32Array(this.pending.length + samples.length);
+      head.set(this.pending);
+      head.set(samples, this.pending.length);
+      if (head.length <= 2 * width) {
+        this.pending = head;
+        return new Int16Array(0);
+      }
+
+      // Continue the signal backwards through its first sample
+      input = new Float32Array(2 * width + head.length);
+      for (let k = 1; k <= 2 * width; k++) {
+        input[2 * width - k] = 2 * head[0] - head[k];
       }
+      input.set(head, 2 * width);
+      this.pending = null;
     }
-    
+
+    // Every output whose taps are all in hand (one spare sample when phases are rounded)
+    const lastIndex = input.length - 1 - width - (phases !== up ? 1 : 0);
+    const count = Math.max(0, Math.ceil(((lastIndex + 1) * up - this.time) / down));
+    const output = convolve(input, this.time, count, this.filter);
+    this.time += count * down;
+
+    // Keep what the next output still needs
+    const keepFrom = Math.max(0, Math.floor(this.time / up) - width);
+    this.history = input.slice(keepFrom);
+    this.time -= keepFrom * up;
+
     return output;
   }
-  
-  const ratio = fromRate / toRate;
-  const outputLength = Math.floor(samples.length / ratio);
-  const output = new Int16Array(outputLength);
-  
-  for (let i = 0; i < outputLength; i++) {
-    const sourceIndex = Math.floor(i * ratio);
-    output[i] = samples[sourceIndex];
+}
+
+/**
+ * Resample a complete buffer in one go, without delay
+ * For a continuous stream use an AudioResampler, which keeps state between chunks
+ */
+export function resampleAudio(samples, fromRate, toRate) {
+  if (fromRate === toRate) {
+    return samples;
   }
-  
-  return output;
-}
\ No newline at end of file
+  checkRates(fromRate, toRate);
+
+  const filter = getFilter(fromRate, toRate);
+  const { up, down, width } = filter;
+
+  // Silence either side so the edge samples have a full set of taps
+  const input = new Float32Array(samples.length + 2 * width + 1);
+  input.set(samples, width);
+
+  const count = Math.ceil(samples.length * up / down);
+  return convolve(input, width * up, count, filter);
+}
+
+export function downsample48to16(samples48k) {
+  return resampleAudio(samples48k, 48000, 16000);
+}
+
+export function downsample48to24(samples48k) {
+  return resampleAudio(samples48k, 48000, 24000);
+}
@@ -0,0 +1,28 @@
+/**
+ * Exponential backoff helpers shared by reconnect and retry loops
+ */
+
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 30000;
+
+/**
+ * Delay for the given attempt (0-based), doubling each time up to maxMs.
+ * With jitter enabled the delay is randomised between 50% and 100% so
+ * several bots dropping at once don't all retry in lockstep.
+ */
+export function getBackoffDelay(attempt, options = {}) {
+  const baseMs = Number.isFinite(options.baseMs) && options.baseMs >= 0 ? options.baseMs : DEFAULT_BASE_DELAY_MS;
+  const maxMs = options.maxMs || DEFAULT_MAX_DELAY_MS;
+  const jitter = options.jitter !== false; // Default true
+
+  const delay = Math.min(maxMs, baseMs * Math.pow(2, attempt));
+  if (!jitter) {
+    return delay;
+  }
+
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
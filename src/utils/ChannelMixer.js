@@ -0,0 +1,71 @@
+/**
+ * Channel normalization for interleaved 16-bit PCM.
+ * Everything downstream (resampling, transcription, recording) expects mono,
+ * so multi-channel frames go through here first.
+ *
+ * Modes: 'downmix' averages all channels, 'left' / 'right' or a channel
+ * number (0-based) keeps just that channel.
+ */
+
+export const CHANNEL_MODES = ['downmix', 'left', 'right'];
+
+/**
+ * Validate a mode from config ("downmix", "left", "right", "0", "1", ...)
+ */
+export function parseChannelMode(value) {
+  if (value === undefined || value === null || value === '') {
+    return 'downmix';
+  }
+  if (CHANNEL_MODES.includes(value)) {
+    return value;
+  }
+
+  const channel = Number(value);
+  if (Number.isInteger(channel) && channel >= 0) {
+    return channel;
+  }
+  throw new Error(`Invalid channel mode "${value}". Use downmix, left, right or a channel number.`);
+}
+
+export function downmix(samples, channelCount) {
+  const frames = Math.floor(samples.length / channelCount);
+  const mono = new Int16Array(frames);
+
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let channel = 0; channel < channelCount; channel++) {
+      sum += samples[i * channelCount + channel];
+    }
+    mono[i] = Math.round(sum / channelCount);
+  }
+
+  return mono;
+}
+
+export function selectChannel(samples, channelCount, channel) {
+  const frames = Math.floor(samples.length / channelCount);
+  const mono = new Int16Array(frames);
+
+  for (let i = 0; i < frames; i++) {
+    mono[i] = samples[i * channelCount + channel];
+  }
+
+  return mono;
+}
+
+/**
+ * Interleaved samples with channelCount channels to mono
+ * A channel the frame doesn't have falls back to the last one
+ */
+export function toMono(samples, channelCount = 1, mode = 'downmix') {
+  if (!channelCount || channelCount === 1) {
+    return samples;
+  }
+
+  if (mode === 'downmix') {
+    return downmix(samples, channelCount);
+  }
+
+  const channel = mode === 'left' ? 0 : mode === 'right' ? 1 : mode;
+  return selectChannel(samples, channelCount, Math.min(channel, channelCount - 1));
+}
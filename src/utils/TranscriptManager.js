@@ -25,12 +25,15 @@ export class TranscriptManager {
     this.timestampedFile = path.join(this.outputDir, `transcript_${this.timestamp}.txt`);
     this.cleanFile = path.join(this.outputDir, `transcript_clean_${this.timestamp}.txt`);
     this.jsonFile = path.join(this.outputDir, `transcript_${this.timestamp}.json`);
+    this.recordingBase = path.join(this.outputDir, `recording_${this.timestamp}`);  // Extension added by AudioRecorder
     
     // Streams and data
     this.timestampedStream = fs.createWriteStream(this.timestampedFile, { flags: 'a' });
     this.cleanTranscript = []; // Array of transcript texts
     this.transcriptData = []; // Array of full transcript objects with metadata
     this.orderedItems = new Map(); // For tracking item ordering
+    this.bookmarks = []; // Marked moments, from DTMF or the REST API
+    this.isClosed = false; // Set by save() - later writes are dropped
     
     console.log(`Transcript files:`);
     console.log(`   Timestamped: ${path.basename(this.timestampedFile)}`);
@@ -42,10 +45,16 @@ export class TranscriptManager {
    * Add a transcription with timestamp
    */
   addTranscription(text, metadata = {}) {
+    if (this.isClosed) {
+      console.warn('Transcript already saved - dropping late transcription');
+      return null;
+    }
+
     const timestamp = new Date().toISOString();
+    const label = metadata.speaker ? `${metadata.speaker}: ` : '';
     
     // Add to timestamped file immediately
-    this.timestampedStream.write(`[${timestamp}] ${text}\n\n`);
+    this.timestampedStream.write(`[${timestamp}] ${label}${text}\n\n`);
     
     // Store for clean version
     this.cleanTranscript.push(text);
@@ -62,6 +71,8 @@ export class TranscriptManager {
     if (metadata.itemId && metadata.previousItemId !== undefined) {
       this.orderedItems.set(metadata.itemId, {
         text,
+        speaker: metadata.speaker,
+        room: metadata.room,
         previousItemId: metadata.previousItemId,
         timestamp
       });
@@ -70,11 +81,35 @@ export class TranscriptManager {
     return entry;
   }
   
+  /**
+   * Mark the current point in the transcript
+   * transcriptIndex is the number of transcriptions before the bookmark
+   * Returns null once the transcript has been saved
+   */
+  addBookmark(label = null, metadata = {}) {
+    if (this.isClosed) {
+      return null;
+    }
+
+    const timestamp = new Date().toISOString();
+    const bookmark = {
+      timestamp,
+      label: label || `Bookmark ${this.bookmarks.length + 1}`,
+      transcriptIndex: this.transcriptData.length,
+      ...metadata // requestedBy, room
+    };
+
+    this.timestampedStream.write(`[${timestamp}] --- ${bookmark.label} ---\n\n`);
+    this.bookmarks.push(bookmark);
+
+    return bookmark;
+  }
+
   /**
    * Get the clean transcript as a single string
    */
   getCleanTranscript() {
-    return this.smartJoin(this.cleanTranscript);
+    return this.joinWithSpeakers(this.transcriptData);
   }
   
   /**
@@ -102,7 +137,7 @@ export class TranscriptManager {
       visited.add(currentId);
       const item = this.orderedItems.get(currentId);
       if (item) {
-        ordered.push(item.text);
+        ordered.push(item);
         // Find next item
         currentId = null;
         for (const [itemId, nextItem] of this.orderedItems) {
@@ -114,7 +149,42 @@ export class TranscriptManager {
       }
     }
     
-    return this.smartJoin(ordered);
+    return this.joinWithSpeakers(ordered);
+  }
+
+  /**
+   * Join entries, starting a labelled block whenever the speaker changes
+   * Falls back to a plain smartJoin when no speakers are known
+   * Room changes (transfers, breakouts) get a heading when there was more than one room
+   */
+  joinWithSpeakers(entries) {
+    const blocks = [];
+    let current = null;
+    let currentRoom = null;
+    const showRooms = new Set(entries.map(entry => entry.room).filter(Boolean)).size > 1;
+
+    for (const entry of entries) {
+      if (showRooms && entry.room !== currentRoom) {
+        currentRoom = entry.room;
+        blocks.push({ heading: `[Room: ${currentRoom}]` });
+        current = null;
+      }
+
+      if (!current || entry.speaker !== current.speaker) {
+        current = { speaker: entry.speaker, texts: [] };
+        blocks.push(current);
+      }
+      current.texts.push(entry.text);
+    }
+
+    if (blocks.length === 1 && !blocks[0].speaker) {
+      return this.smartJoin(blocks[0].texts);
+    }
+
+    return blocks
+      .map(block => block.heading ||
+        (block.speaker ? `${block.speaker}: ` : '') + this.smartJoin(block.texts))
+      .join('\n\n');
   }
   
   /**
@@ -149,63 +219,76 @@ export class TranscriptManager {
   }
   
   /**
-   * Format transcript into paragraphs based on pauses
+   * Format transcript into paragraphs based on pauses and speaker changes
+   * Room changes get the same headings as in joinWithSpeakers
    */
   formatParagraphs(pauseThresholdMs = 5000) {
     const paragraphs = [];
     let currentParagraph = [];
+    let currentSpeaker = null;
+    let currentRoom = null;
     let lastTimestamp = null;
+    const showRooms = new Set(this.transcriptData.map(entry => entry.room).filter(Boolean)).size > 1;
+
+    const flush = () => {
+      if (currentParagraph.length > 0) {
+        const label = currentSpeaker ? `${currentSpeaker}: ` : '';
+        paragraphs.push(label + this.smartJoin(currentParagraph));
+        currentParagraph = [];
+      }
+    };
     
     for (const entry of this.transcriptData) {
       const timestamp = new Date(entry.timestamp);
+
+      if (showRooms && entry.room !== currentRoom) {
+        flush();
+        currentRoom = entry.room;
+        paragraphs.push(`[Room: ${currentRoom}]`);
+      }
       
       if (lastTimestamp) {
         const pauseMs = timestamp - lastTimestamp;
-        if (pauseMs > pauseThresholdMs) {
-          // Long pause, start new paragraph
-          if (currentParagraph.length > 0) {
-            paragraphs.push(this.smartJoin(currentParagraph));
-            currentParagraph = [];
-          }
+        if (pauseMs > pauseThresholdMs || entry.speaker !== currentSpeaker) {
+          // Long pause or new speaker, start new paragraph
+          flush();
         }
       }
       
+      currentSpeaker = entry.speaker;
       currentParagraph.push(entry.text);
       lastTimestamp = timestamp;
     }
     
     // Add final paragraph
-    if (currentParagraph.length > 0) {
-      paragraphs.push(this.smartJoin(currentParagraph));
-    }
+    flush();
     
     return paragraphs.join('\n\n');
   }
   
   /**
    * Save all transcript files
+   * sessionInfo (e.g. the participant roster) is merged into the JSON session header
    */
-  async save() {
-    // Close timestamped stream
-    this.timestampedStream.end();
+  async save(sessionInfo = {}) {
+    this.close();
     
-    // Save clean transcript
+    // Clean transcript for the JSON; the file gets the version with paragraphs
     const cleanContent = this.getOrderedTranscript();
-    fs.writeFileSync(this.cleanFile, cleanContent);
-    
-    // Save formatted version with paragraphs
     const formattedContent = `TRANSCRIPT - ${new Date().toISOString()}\n${'='.repeat(60)}\n\n${this.formatParagraphs()}\n`;
     fs.writeFileSync(this.cleanFile, formattedContent);
     
     // Save JSON with all metadata
     fs.writeFileSync(this.jsonFile, JSON.stringify({
       session: {
+        ...sessionInfo,
         timestamp: this.timestamp,
         duration: this.transcriptData.length > 0 ? 
           new Date(this.transcriptData[this.transcriptData.length - 1].timestamp) - 
           new Date(this.transcriptData[0].timestamp) : 0
       },
       transcriptions: this.transcriptData,
+      bookmarks: this.bookmarks,
       cleanTranscript: cleanContent
     }, null, 2));
     
@@ -217,12 +300,37 @@ export class TranscriptManager {
     };
   }
   
+  /**
+   * Stop taking transcriptions and bookmarks and close the timestamped file
+   * save() calls this; a write after end() would throw
+   */
+  close() {
+    if (this.isClosed) return;
+    this.isClosed = true;
+    this.timestampedStream.end();
+  }
+
+  /**
+   * Close and remove the files of a session that never got going
+   * Keeps them if anything was written after all
+   */
+  async discard() {
+    this.close();
+    if (!this.timestampedStream.closed) {
+      await new Promise(resolve => this.timestampedStream.once('close', resolve));
+    }
+    if (this.transcriptData.length === 0 && this.bookmarks.length === 0) {
+      fs.rmSync(this.timestampedFile, { force: true });
+    }
+  }
+
   /**
    * Get current statistics
    */
   getStats() {
     return {
       transcriptionCount: this.transcriptData.length,
+      bookmarkCount: this.bookmarks.length,
       totalWords: this.cleanTranscript.join(' ').split(/\s+/).length,
       duration: this.transcriptData.length > 0 ? 
         new Date() - new Date(this.transcriptData[0].timestamp) : 0
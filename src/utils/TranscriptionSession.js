@@ -0,0 +1,86 @@
+/**
+ * Helpers for driving a transcription session from the pipeline: when audio
+ * may start, when a turn is committed, and letting the last turn finish
+ */
+
+const MIN_COMMIT_MS = 100;  // OpenAI rejects commits of less audio than this
+
+/**
+ * Resolves once the service has applied its session config (VAD, model,
+ * language), so audio sent from then on is transcribed with it.
+ * Gives up with a warning after timeoutMs rather than holding the source back.
+ */
+export async function waitForSessionReady(service, timeoutMs = 5000) {
+  if (service.isSessionReady) return;
+
+  await new Promise((resolve) => {
+    const timeout = setTimeout(() => {
+      console.warn(`Transcription session not confirmed after ${timeoutMs}ms - starting anyway`);
+      service.off('sessionReady', onReady);
+      resolve();
+    }, timeoutMs);
+    const onReady = () => {
+      clearTimeout(timeout);
+      service.off('sessionReady', onReady);
+      resolve();
+    };
+    service.on('sessionReady', onReady);
+  });
+}
+
+/**
+ * End the current turn: always when the provider's own VAD is off (manual
+ * commits), and with VAD only while it is still inside a turn - after the
+ * voice gate closes no more silence arrives for it to hear the turn end.
+ * Skips commits the provider would reject for too little audio; returns true if committed
+ */
+export function commitTurn(service) {
+  if (!service.isConnected || !service.commitAudioBuffer) {
+    return false;
+  }
+  if (service.vadEnabled !== false) {
+    if (!service.isSpeechActive) return false;
+  } else if (service.getUncommittedMs && service.getUncommittedMs() < MIN_COMMIT_MS) {
+    return false;
+  }
+  service.sendBufferedAudio?.();
+  service.commitAudioBuffer();
+  return true;
+}
+
+/**
+ * Let the service finish the audio it has been given
+ *
+ * When a source runs out of audio, rather than the meeting ending
+ * mid-sentence, the last turn is still being transcribed. This flushes the
+ * buffered audio, commits it when there is no server-side VAD to do so (or
+ * VAD is still waiting for the turn to end), and
+ * resolves once no transcription events have arrived for quietMs (or after
+ * maxMs at most).
+ */
+export async function drainTranscription(service, options = {}) {
+  const quietMs = options.quietMs || 3000;
+  const maxMs = options.maxMs || 30000;
+
+  if (!service.isConnected) return;
+
+  let lastEventAt = Date.now();
+  const onEvent = () => {
+    lastEventAt = Date.now();
+  };
+  service.on('transcriptionDelta', onEvent);
+  service.on('transcriptionComplete', onEvent);
+
+  try {
+    service.sendBufferedAudio?.();
+    commitTurn(service);
+
+    const startedAt = Date.now();
+    while (Date.now() - lastEventAt < quietMs && Date.now() - startedAt < maxMs) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  } finally {
+    service.off('transcriptionDelta', onEvent);
+    service.off('transcriptionComplete', onEvent);
+  }
+}
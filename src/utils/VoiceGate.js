@@ -0,0 +1,113 @@
+const DEFAULT_THRESHOLD_DB = -45;  // Frame RMS, dB relative to full scale
+const DEFAULT_HANGOVER_MS = 800;  // Longer than the provider's end-of-turn silence (500ms)
+const DEFAULT_PRE_ROLL_MS = 300;  // Catches soft onsets below the threshold
+
+/**
+ * Energy-based voice activity gate in front of the transcription service,
+ * so long silences are not streamed (and billed).
+ *
+ * A frame at or above thresholdDb opens the gate. The last preRollMs of audio
+ * before it is sent first, and the gate stays open for hangoverMs after the
+ * last loud frame, so the provider hears whole words and the silence that
+ * ends a turn. Frames keep their own timestamps, so the service can place
+ * segments on the wall clock across the gaps.
+ * onSpeechEnd is called as the gate closes - the point to commit the buffer
+ * when the provider's own VAD is off, or when it has not heard the turn end
+ * in the hangover (a longer silence setting, or semantic VAD).
+ */
+export class VoiceGate {
+  constructor(options = {}) {
+    this.thresholdDb = options.thresholdDb ?? DEFAULT_THRESHOLD_DB;
+    this.hangoverMs = options.hangoverMs ?? DEFAULT_HANGOVER_MS;
+    this.preRollMs = options.preRollMs ?? DEFAULT_PRE_ROLL_MS;
+    this.onSpeechEnd = options.onSpeechEnd || null;
+
+    this.isOpen = false;
+    this.silentMs = 0;  // Quiet audio since the last loud frame, while open
+    this.preRoll = [];  // Recent frames while closed: { audioData, durationMs }
+    this.preRollDurationMs = 0;
+    this.stats = {
+      totalMs: 0,
+      forwardedMs: 0,
+      segments: 0
+    };
+  }
+
+  /**
+   * RMS level of a frame in dBFS (-Infinity for digital silence)
+   */
+  static levelDb(samples) {
+    if (!samples.length) return -Infinity;
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    return 20 * Math.log10(Math.sqrt(sum / samples.length) / 32768);
+  }
+
+  /**
+   * Take one frame from onAudioData; returns the frames to pass on, in order
+   */
+  process(audioData) {
+    const channelCount = audioData.channelCount || 1;
+    const durationMs = audioData.samples.length / channelCount / audioData.sampleRate * 1000;
+    this.stats.totalMs += durationMs;
+
+    if (VoiceGate.levelDb(audioData.samples) >= this.thresholdDb) {
+      this.silentMs = 0;
+      if (this.isOpen) {
+        return this.forward([{ audioData, durationMs }]);
+      }
+
+      this.isOpen = true;
+      this.stats.segments++;
+      const frames = [...this.preRoll, { audioData, durationMs }];
+      this.preRoll = [];
+      this.preRollDurationMs = 0;
+      return this.forward(frames);
+    }
+
+    if (this.isOpen) {
+      this.silentMs += durationMs;
+      if (this.silentMs <= this.hangoverMs) {
+        return this.forward([{ audioData, durationMs }]);
+      }
+
+      this.isOpen = false;
+      this.silentMs = 0;
+      this.onSpeechEnd?.();
+    }
+
+    // Closed - keep the frame in case speech starts next
+    this.preRoll.push({ audioData, durationMs });
+    this.preRollDurationMs += durationMs;
+    while (this.preRoll.length > 1 && this.preRollDurationMs - this.preRoll[0].durationMs >= this.preRollMs) {
+      this.preRollDurationMs -= this.preRoll.shift().durationMs;
+    }
+    return [];
+  }
+
+  forward(frames) {
+    for (const frame of frames) {
+      this.stats.forwardedMs += frame.durationMs;
+    }
+    return frames.map(frame => frame.audioData);
+  }
+
+  /**
+   * How much audio was held back from the provider
+   */
+  getStats() {
+    const { totalMs, forwardedMs, segments } = this.stats;
+    const suppressedMs = totalMs - forwardedMs;
+    return {
+      thresholdDb: this.thresholdDb,
+      isOpen: this.isOpen,
+      segments,
+      totalSeconds: Math.round(totalMs) / 1000,
+      forwardedSeconds: Math.round(forwardedMs) / 1000,
+      suppressedSeconds: Math.round(suppressedMs) / 1000,
+      suppressedPercent: totalMs > 0 ? Math.round(suppressedMs / totalMs * 1000) / 10 : 0
+    };
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Small helpers shared by the offline test scripts
+ */
+
+export async function waitFor(condition, timeoutMs = 10000) {
+  const startTime = Date.now();
+  while (!condition()) {
+    if (Date.now() - startTime > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+/**
+ * Collects named checks and prints a PASS/FAIL summary
+ */
+export function createChecks() {
+  const results = [];
+
+  return {
+    async check(name, fn) {
+      try {
+        await fn();
+        results.push({ name, ok: true });
+      } catch (error) {
+        results.push({ name, ok: false, error });
+      }
+    },
+
+    // Prints the summary and returns true if everything passed
+    report() {
+      console.log('\nResults:');
+      for (const result of results) {
+        console.log(`  ${result.ok ? 'PASS' : 'FAIL'} ${result.name}`);
+        if (!result.ok) {
+          console.log(`       ${result.error.message}`);
+        }
+      }
+      return results.every(r => r.ok);
+    }
+  };
+}
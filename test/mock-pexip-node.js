@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+import { MockPexipNode } from './mocks/MockPexipNode.js';
+
+/**
+ * Run a local mock Pexip node for manual testing
+ *
+ *   node test/mock-pexip-node.js [port] [alias] [audio.wav]
+ *
+ * Then point the bot at it, e.g. PEXIP_NODE=http://127.0.0.1:8080 CONFERENCE_ALIAS=mock-conference
+ */
+const [port = '8080', conferenceAlias = 'mock-conference', audioFile = null] = process.argv.slice(2);
+
+const node = new MockPexipNode({
+  port: parseInt(port),
+  conferenceAlias,
+  audioFile,
+  pin: process.env.MOCK_PIN || null,
+  guestPin: process.env.MOCK_GUEST_PIN || null
+});
+
+const nodeAddress = await node.start();
+console.log(`Set PEXIP_NODE=${nodeAddress} CONFERENCE_ALIAS=${conferenceAlias}`);
+console.log(audioFile ? `Streaming ${audioFile} as conference audio` : 'Streaming a 440Hz test tone as conference audio');
+
+process.on('SIGINT', async () => {
+  await node.stop();
+  process.exit(0);
+});
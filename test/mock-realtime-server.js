@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+
+import { MockRealtimeServer } from './mocks/MockRealtimeServer.js';
+
+/**
+ * Run a local mock OpenAI Realtime server for manual testing
+ *
+ *   node test/mock-realtime-server.js [port]
+ *
+ * Fault injection via env: MOCK_LATENCY_MS, MOCK_DROP_AFTER, MOCK_MALFORMED_EVERY
+ */
+const [port = '8090'] = process.argv.slice(2);
+
+const server = new MockRealtimeServer({
+  port: parseInt(port),
+  latencyMs: parseInt(process.env.MOCK_LATENCY_MS) || 0,
+  dropAfterMessages: parseInt(process.env.MOCK_DROP_AFTER) || 0,
+  malformedEvery: parseInt(process.env.MOCK_MALFORMED_EVERY) || 0
+});
+
+const wsUrl = await server.start();
+console.log(`Set OPENAI_REALTIME_URL=${wsUrl}`);
+
+process.on('SIGINT', async () => {
+  await server.stop();
+  process.exit(0);
+});
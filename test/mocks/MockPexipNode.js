@@ -0,0 +1,515 @@
+import express from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import wrtc from '@roamhq/wrtc';
+import wavefile from 'wavefile';
+
+const { RTCPeerConnection, RTCSessionDescription, nonstandard } = wrtc;
+const { RTCAudioSource, RTCAudioSink } = nonstandard;
+const { WaveFile } = wavefile;
+
+const SAMPLE_RATE = 48000;
+const FRAME_SAMPLES = SAMPLE_RATE / 100; // 10ms frames, as RTCAudioSource expects
+
+/**
+ * Local mock of a Pexip Infinity Conferencing Node (client REST API v2)
+ *
+ * Implements the endpoints PexipApiClient uses - request_token, refresh_token,
+ * release_token, calls, ack, update, new_candidate, disconnect, message and the
+ * SSE events stream - and answers the bot's SDP with a local WebRTC peer that
+ * streams a WAV file (or a test tone) as conference audio.
+ */
+export class MockPexipNode {
+  constructor(options = {}) {
+    this.port = options.port || 0; // 0 = pick a free port
+    this.conferenceAlias = options.conferenceAlias || 'mock-conference';
+    this.pin = options.pin || null;            // Host PIN
+    this.guestPin = options.guestPin || null;  // Guest PIN, 'none' = guests need no PIN
+    this.idps = options.idps || [];            // [{ uuid, name }] - conference requires SSO
+    this.ssoTokens = options.ssoTokens || [];  // SSO tokens we accept
+    this.jwt = options.jwt || null;            // Pre-issued JWT we require
+    this.tokenExpires = options.tokenExpires || 120;
+    this.audioFile = options.audioFile || null;
+    this.waitingRoom = options.waitingRoom || false; // New participants wait for admit()
+
+    this.server = null;
+    this.tokens = new Map();        // token -> participant uuid
+    this.referTokens = new Map();   // one-time token -> alias it admits to
+    this.participants = new Map();  // uuid -> Pexip participant object
+    this.calls = new Map();         // call uuid -> { pc, source, timer, participantUuid }
+    this.eventStreams = new Set();  // open SSE responses
+    this.eventId = 0;
+
+    this.requests = [];  // Every API call, for assertions
+    this.messages = [];  // Chat messages sent by the bot
+    this.heardFrames = 0;  // Non-silent 10ms frames the bot sent us (announcements)
+
+    this.audioSamples = this.loadAudio();
+
+    // Someone for the bot to share the conference with
+    this.hostUuid = this.addParticipant({ display_name: 'Mock Host', role: 'chair' });
+  }
+
+  /**
+   * Start listening, resolves with the nodeAddress to give PexipConnection
+   */
+  async start() {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      this.requests.push({ method: req.method, path: req.path, body: req.body, time: Date.now() });
+      next();
+    });
+
+    const base = '/api/client/v2/conferences/:alias';
+
+    app.post(`${base}/request_token`, (req, res) => this.requestToken(req, res));
+    app.post(`${base}/refresh_token`, this.authorize, (req, res) => this.refreshToken(req, res));
+    app.post(`${base}/release_token`, this.authorize, (req, res) => this.releaseToken(req, res));
+    app.get(`${base}/events`, this.authorize, (req, res) => this.openEvents(req, res));
+    app.post(`${base}/message`, this.authorize, (req, res) => this.receiveMessage(req, res));
+    app.post(`${base}/participants/:uuid/calls`, this.authorize, (req, res) => this.createCall(req, res));
+    app.post(`${base}/participants/:uuid/calls/:call/ack`, this.authorize, (req, res) => this.ackCall(req, res));
+    app.post(`${base}/participants/:uuid/calls/:call/update`, this.authorize, (req, res) => this.updateCall(req, res));
+    app.post(`${base}/participants/:uuid/calls/:call/new_candidate`, this.authorize, (req, res) => this.addCandidate(req, res));
+    app.post(`${base}/participants/:uuid/calls/:call/disconnect`, this.authorize, (req, res) => this.disconnectCall(req, res));
+
+    await new Promise((resolve) => {
+      this.server = app.listen(this.port, '127.0.0.1', resolve);
+    });
+    this.port = this.server.address().port;
+
+    console.log(`Mock Pexip node listening on http://127.0.0.1:${this.port} (alias: ${this.conferenceAlias})`);
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  async stop() {
+    for (const callUuid of this.calls.keys()) {
+      this.endCall(callUuid);
+    }
+    for (const res of this.eventStreams) {
+      res.end();
+    }
+    this.eventStreams.clear();
+
+    if (this.server) {
+      this.server.closeAllConnections?.();
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  // Express middleware - reject unknown or released tokens like a real node
+  authorize = (req, res, next) => {
+    const token = req.get('token') || req.query.token;
+    if (!token || !this.tokens.has(token)) {
+      return res.status(403).json({ status: 'failed', result: 'Invalid token' });
+    }
+    req.participantUuid = this.tokens.get(token);
+    req.token = token;
+    next();
+  };
+
+  requestToken(req, res) {
+    // A one-time token from a refer skips PIN and SSO, like a real transfer
+    if (req.body.token && this.referTokens.get(req.body.token) === req.params.alias) {
+      this.referTokens.delete(req.body.token);
+      return this.issueParticipant(req, res, 'guest');
+    }
+
+    if (req.params.alias !== this.conferenceAlias) {
+      return res.status(404).json({ status: 'failed', result: 'Conference not found' });
+    }
+
+    if (this.jwt && req.get('authorization') !== `Bearer ${this.jwt}`) {
+      return res.status(401).json({ status: 'failed', result: 'Invalid or missing authorization token' });
+    }
+
+    if (this.idps.length > 0) {
+      const { chosen_idp: chosenIdp, sso_token: ssoToken } = req.body;
+      if (ssoToken) {
+        if (!this.ssoTokens.includes(ssoToken)) {
+          return res.status(403).json({ status: 'failed', result: 'SSO token is not valid' });
+        }
+      } else if (chosenIdp) {
+        const idp = this.idps.find(i => i.uuid === chosenIdp);
+        return res.status(403).json({
+          status: 'success',
+          result: { redirect_url: `https://idp.example.com/login?idp=${chosenIdp}`, redirect_idp: idp || null }
+        });
+      } else {
+        return res.status(403).json({ status: 'success', result: { idp: this.idps } });
+      }
+    }
+
+    let role = 'guest';
+    if (this.pin) {
+      const pin = req.body.pin;
+      if (pin === undefined) {
+        return res.status(403).json({
+          status: 'success',
+          result: { pin: 'required', guest_pin: this.guestPin === 'none' ? 'none' : 'required' }
+        });
+      }
+
+      if (pin === this.pin) {
+        role = 'chair';
+      } else if (pin !== this.guestPin) {
+        return res.status(403).json({ status: 'failed', result: 'Invalid PIN' });
+      }
+    }
+
+    this.issueParticipant(req, res, role);
+  }
+
+  issueParticipant(req, res, role) {
+    const serviceType = this.waitingRoom ? 'waiting_room' : 'conference';
+    const uuid = this.addParticipant({
+      display_name: req.body.display_name,
+      role,
+      call_tag: req.body.call_tag,
+      service_type: serviceType
+    });
+    const token = this.issueToken(uuid);
+
+    res.json({
+      status: 'success',
+      result: {
+        token,
+        expires: String(this.tokenExpires),
+        participant_uuid: uuid,
+        display_name: req.body.display_name,
+        role: role === 'chair' ? 'HOST' : 'GUEST',
+        service_type: 'conference',
+        current_service_type: serviceType
+      }
+    });
+  }
+
+  refreshToken(req, res) {
+    this.tokens.delete(req.token);
+    const token = this.issueToken(req.participantUuid);
+    res.json({ status: 'success', result: { token, expires: String(this.tokenExpires) } });
+  }
+
+  releaseToken(req, res) {
+    this.tokens.delete(req.token);
+    this.removeParticipant(req.participantUuid);
+    res.json({ status: 'success', result: true });
+  }
+
+  openEvents(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.participantUuid = req.participantUuid;
+    this.eventStreams.add(res);
+    req.on('close', () => this.eventStreams.delete(res));
+
+    // A real node replays the roster whenever the stream (re)connects
+    this.writeEvent(res, 'participant_sync_begin', {});
+    for (const participant of this.participants.values()) {
+      this.writeEvent(res, 'participant_create', participant);
+    }
+    this.writeEvent(res, 'participant_sync_end', {});
+  }
+
+  receiveMessage(req, res) {
+    const sender = this.participants.get(req.participantUuid);
+    this.messages.push({ from: req.participantUuid, payload: req.body.payload, time: Date.now() });
+
+    this.broadcast('message_received', {
+      origin: sender?.display_name || 'Unknown',
+      uuid: req.participantUuid,
+      type: req.body.type || 'text/plain',
+      payload: req.body.payload
+    }, req.participantUuid);
+
+    res.json({ status: 'success', result: true });
+  }
+
+  async createCall(req, res) {
+    try {
+      const callUuid = crypto.randomUUID();
+      const pc = new RTCPeerConnection({ iceServers: [] });
+
+      // Conference audio we play towards the bot
+      const source = new RTCAudioSource();
+      pc.addTrack(source.createTrack());
+
+      const call = { pc, source, sink: null, timer: null, participantUuid: req.participantUuid };
+      pc.ontrack = (event) => this.listen(call, event.track);
+
+      const sdp = await this.answer(pc, req.body.sdp);
+      this.calls.set(callUuid, call);
+
+      res.json({ status: 'success', result: { call_uuid: callUuid, sdp } });
+    } catch (error) {
+      console.error('Mock node: failed to answer offer:', error.message);
+      res.status(500).json({ status: 'failed', result: error.message });
+    }
+  }
+
+  ackCall(req, res) {
+    const call = this.calls.get(req.params.call);
+    if (!call) {
+      return res.status(404).json({ status: 'failed', result: 'Call not found' });
+    }
+
+    if (!call.timer) {
+      this.startAudio(call);
+    }
+    res.json({ status: 'success', result: true });
+  }
+
+  async updateCall(req, res) {
+    const call = this.calls.get(req.params.call);
+    if (!call) {
+      return res.status(404).json({ status: 'failed', result: 'Call not found' });
+    }
+
+    const sdp = await this.answer(call.pc, req.body.sdp);
+    if (!call.timer) {
+      this.startAudio(call);  // Renegotiation brings stalled media back
+    }
+    res.json({ status: 'success', result: { sdp } });
+  }
+
+  async addCandidate(req, res) {
+    const call = this.calls.get(req.params.call);
+    if (call && req.body.candidate) {
+      try {
+        await call.pc.addIceCandidate({ candidate: req.body.candidate, sdpMid: req.body.mid });
+      } catch (error) {
+        // Candidates for a stale generation are harmless
+      }
+    }
+    res.json({ status: 'success', result: true });
+  }
+
+  disconnectCall(req, res) {
+    this.endCall(req.params.call);
+    res.json({ status: 'success', result: true });
+  }
+
+  /**
+   * Apply a remote offer and return an answer with all our candidates in it
+   */
+  async answer(pc, offerSdp) {
+    await pc.setRemoteDescription(new RTCSessionDescription({ type: 'offer', sdp: offerSdp }));
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+
+    await new Promise((resolve) => {
+      if (pc.iceGatheringState === 'complete') return resolve();
+      const timeout = setTimeout(resolve, 2000);
+      pc.onicegatheringstatechange = () => {
+        if (pc.iceGatheringState === 'complete') {
+          clearTimeout(timeout);
+          resolve();
+        }
+      };
+    });
+
+    return pc.localDescription.sdp;
+  }
+
+  /**
+   * Push 10ms frames in real time, looping the audio
+   */
+  startAudio(call) {
+    const startTime = Date.now();
+    let framesSent = 0;
+    let position = 0;
+
+    call.timer = setInterval(() => {
+      const framesDue = Math.floor((Date.now() - startTime) / 10);
+
+      while (framesSent < framesDue) {
+        const samples = new Int16Array(FRAME_SAMPLES);
+        for (let i = 0; i < FRAME_SAMPLES; i++) {
+          samples[i] = this.audioSamples[position];
+          position = (position + 1) % this.audioSamples.length;
+        }
+
+        call.source.onData({
+          samples,
+          sampleRate: SAMPLE_RATE,
+          bitsPerSample: 16,
+          channelCount: 1,
+          numberOfFrames: FRAME_SAMPLES
+        });
+        framesSent++;
+      }
+    }, 10);
+  }
+
+  /**
+   * Count the non-silent audio the bot sends us
+   */
+  listen(call, track) {
+    call.sink = new RTCAudioSink(track);
+    call.sink.ondata = (data) => {
+      if (data.samples.some(sample => Math.abs(sample) > 1000)) {
+        this.heardFrames++;
+      }
+    };
+  }
+
+  endCall(callUuid) {
+    const call = this.calls.get(callUuid);
+    if (!call) return;
+
+    if (call.timer) {
+      clearInterval(call.timer);
+    }
+    if (call.sink) {
+      call.sink.stop();
+    }
+    call.pc.close();
+    this.calls.delete(callUuid);
+  }
+
+  /**
+   * WAV file resampled to 48kHz mono, or one second of a 440Hz tone
+   */
+  loadAudio() {
+    if (this.audioFile) {
+      const wav = new WaveFile(fs.readFileSync(this.audioFile));
+      wav.toBitDepth('16');
+      wav.toSampleRate(SAMPLE_RATE);
+
+      let samples = wav.getSamples(false, Int16Array);
+      if (Array.isArray(samples)) {
+        samples = samples[0]; // First channel only
+      }
+      return samples;
+    }
+
+    const tone = new Int16Array(SAMPLE_RATE);
+    for (let i = 0; i < tone.length; i++) {
+      tone[i] = Math.round(Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE) * 8000);
+    }
+    return tone;
+  }
+
+  issueToken(participantUuid) {
+    const token = crypto.randomBytes(24).toString('hex');
+    this.tokens.set(token, participantUuid);
+    return token;
+  }
+
+  addParticipant({ display_name, role = 'guest', call_tag = '', service_type = 'conference' }) {
+    const uuid = crypto.randomUUID();
+    const participant = {
+      uuid,
+      display_name,
+      role,
+      is_muted: 'NO',
+      protocol: 'webrtc',
+      call_tag,
+      service_type,
+      start_time: Math.floor(Date.now() / 1000)
+    };
+    this.participants.set(uuid, participant);
+    this.broadcast('participant_create', participant);
+    return uuid;
+  }
+
+  removeParticipant(uuid) {
+    if (this.participants.delete(uuid)) {
+      this.broadcast('participant_delete', { uuid });
+    }
+  }
+
+  /**
+   * Test helpers - drive conference activity from a test
+   */
+  sendChat(text, fromUuid = this.hostUuid) {
+    const sender = this.participants.get(fromUuid);
+    this.broadcast('message_received', {
+      origin: sender?.display_name || 'Unknown',
+      uuid: fromUuid,
+      type: 'text/plain',
+      payload: text
+    });
+  }
+
+  /**
+   * Keypad digits from a participant, as a phone or SIP caller would send them
+   */
+  sendDtmf(digits, fromUuid = this.hostUuid) {
+    this.broadcast('dtmf', { participant_uuid: fromUuid, digits });
+  }
+
+  setSpeaker(uuid = this.hostUuid) {
+    this.broadcast('stage', Array.from(this.participants.keys()).map((id, index) => ({
+      participant_uuid: id,
+      stage_index: id === uuid ? 0 : index + 1,
+      vad: id === uuid ? 100 : 0
+    })));
+  }
+
+  /**
+   * Let a participant out of the waiting room, as a host would
+   */
+  admit(uuid) {
+    const participant = this.participants.get(uuid);
+    if (!participant) return;
+
+    participant.service_type = 'conference';
+    this.broadcast('participant_update', participant);
+  }
+
+  /**
+   * Transfer a participant to another alias (or breakout room), as a host would
+   * The alias is served by this same mock node
+   */
+  transfer(uuid, alias) {
+    const token = crypto.randomBytes(16).toString('hex');
+    this.referTokens.set(token, alias);
+
+    this.sendTo(uuid, 'refer', { alias, token });
+    this.sendTo(uuid, 'disconnect', { reason: 'Call transferred' });
+  }
+
+  /**
+   * Stop sending media to a participant without telling them,
+   * like a server-side renegotiation gone wrong
+   */
+  stallAudio(uuid) {
+    for (const call of this.calls.values()) {
+      if (call.participantUuid === uuid && call.timer) {
+        clearInterval(call.timer);
+        call.timer = null;
+      }
+    }
+  }
+
+  sendTo(uuid, event, data) {
+    for (const res of this.eventStreams) {
+      if (res.participantUuid === uuid) {
+        this.writeEvent(res, event, data);
+      }
+    }
+  }
+
+  sendEvent(event, data) {
+    this.broadcast(event, data);
+  }
+
+  broadcast(event, data, exceptUuid = null) {
+    for (const res of this.eventStreams) {
+      if (res.participantUuid !== exceptUuid) {
+        this.writeEvent(res, event, data);
+      }
+    }
+  }
+
+  writeEvent(res, event, data) {
+    this.eventId++;
+    res.write(`event: ${event}\nid: ${this.eventId}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+}
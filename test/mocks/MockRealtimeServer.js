@@ -0,0 +1,297 @@
+import { WebSocketServer } from 'ws';
+import crypto from 'crypto';
+
+const SAMPLE_RATE = 24000; // pcm16 at 24kHz, as OpenAITranscriptionService sends
+
+/**
+ * Local mock of the OpenAI Realtime API in transcription mode
+ *
+ * Plays back a script of utterances against the audio the client streams:
+ * with turn detection enabled it emits speech_started/speech_stopped and
+ * commits on its own, otherwise it transcribes on input_audio_buffer.commit.
+ *
+ * Fault injection:
+ *   latencyMs          - delay every server event (slow responses)
+ *   dropAfterMessages  - terminate the socket after N client messages
+ *   malformedEvery     - replace every Nth server event with invalid JSON
+ *   rejectConnections  - refuse the WebSocket handshake with 401
+ */
+export class MockRealtimeServer {
+  constructor(options = {}) {
+    this.port = options.port || 0;
+    // [{ text, audioMs }] or [{ error: { type, message } }]
+    this.script = options.script || [{ text: 'Hello from the mock transcription server.', audioMs: 1000 }];
+    this.loop = options.loop !== false; // Default true - repeat the script
+    this.faults = {
+      latencyMs: options.latencyMs || 0,
+      dropAfterMessages: options.dropAfterMessages || 0,
+      malformedEvery: options.malformedEvery || 0,
+      rejectConnections: options.rejectConnections || false
+    };
+
+    this.wss = null;
+    this.sessions = new Set();
+    this.received = []; // Every client message, for assertions
+    this.connectionCount = 0;
+  }
+
+  /**
+   * Start listening, resolves with the wsUrl to give OpenAITranscriptionService
+   */
+  async start() {
+    this.wss = new WebSocketServer({
+      port: this.port,
+      host: '127.0.0.1',
+      verifyClient: (info, callback) => {
+        if (this.faults.rejectConnections) {
+          return callback(false, 401, 'Unauthorized');
+        }
+        if (!info.req.headers.authorization?.startsWith('Bearer ')) {
+          return callback(false, 401, 'Missing API key');
+        }
+        callback(true);
+      }
+    });
+
+    this.wss.on('connection', (ws) => this.handleConnection(ws));
+
+    await new Promise(resolve => this.wss.on('listening', resolve));
+    this.port = this.wss.address().port;
+
+    const wsUrl = `ws://127.0.0.1:${this.port}/v1/realtime?intent=transcription`;
+    console.log(`Mock Realtime server listening on ${wsUrl}`);
+    return wsUrl;
+  }
+
+  async stop() {
+    for (const session of this.sessions) {
+      session.ws.terminate();
+    }
+    this.sessions.clear();
+
+    if (this.wss) {
+      await new Promise(resolve => this.wss.close(resolve));
+      this.wss = null;
+    }
+  }
+
+  /**
+   * Update fault injection while running
+   */
+  setFaults(faults) {
+    Object.assign(this.faults, faults);
+  }
+
+  /**
+   * Drop every open socket without a close frame
+   */
+  dropConnections() {
+    for (const session of this.sessions) {
+      session.ws.terminate();
+    }
+  }
+
+  handleConnection(ws) {
+    this.connectionCount++;
+
+    const session = {
+      ws,
+      id: `sess_${crypto.randomBytes(8).toString('hex')}`,
+      turnDetection: null,
+      audioMs: 0,          // Total audio appended
+      bufferStartMs: 0,    // Start of the uncommitted buffer
+      scriptIndex: 0,
+      utteranceStartMs: 0, // Where the current utterance started in the audio
+      speechItemId: null,  // Utterance VAD has heard start but not stop
+      messageCount: 0,
+      sentCount: 0,
+      previousItemId: null
+    };
+    this.sessions.add(session);
+
+    ws.on('message', (data) => this.handleMessage(session, data));
+    ws.on('close', () => this.sessions.delete(session));
+
+    this.send(session, {
+      type: 'transcription_session.created',
+      session: { id: session.id, object: 'realtime.transcription_session' }
+    });
+  }
+
+  handleMessage(session, data) {
+    session.messageCount++;
+
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.sendError(session, 'invalid_request_error', 'Invalid JSON');
+      return;
+    }
+    this.received.push(message);
+
+    if (this.faults.dropAfterMessages && session.messageCount >= this.faults.dropAfterMessages) {
+      session.ws.terminate();
+      return;
+    }
+
+    switch (message.type) {
+      case 'transcription_session.update':
+        session.turnDetection = message.session?.turn_detection || null;
+        this.send(session, {
+          type: 'transcription_session.updated',
+          session: { id: session.id, ...message.session }
+        });
+        break;
+
+      case 'input_audio_buffer.append': {
+        const bytes = Buffer.from(message.audio || '', 'base64').length;
+        session.audioMs += (bytes / 2) / SAMPLE_RATE * 1000;
+        if (session.turnDetection) {
+          this.advanceScript(session);
+        }
+        break;
+      }
+
+      case 'input_audio_buffer.commit':
+        this.commit(session);
+        break;
+
+      case 'input_audio_buffer.clear':
+        session.bufferStartMs = session.audioMs;
+        this.send(session, { type: 'input_audio_buffer.cleared' });
+        break;
+
+      default:
+        this.sendError(session, 'invalid_request_error', `Unknown event type: ${message.type}`);
+    }
+  }
+
+  /**
+   * Server VAD: start an utterance as audio arrives for it, and end it once
+   * all of its audio has arrived
+   */
+  advanceScript(session) {
+    const entry = this.nextEntry(session);
+    if (!entry) return;
+
+    if (entry.error) {
+      session.scriptIndex++;
+      this.sendError(session, entry.error.type || 'server_error', entry.error.message || 'Scripted error');
+      return;
+    }
+
+    if (!session.speechItemId) {
+      session.speechItemId = this.newItemId();
+      this.send(session, {
+        type: 'input_audio_buffer.speech_started',
+        audio_start_ms: Math.round(session.utteranceStartMs),
+        item_id: session.speechItemId
+      });
+    }
+
+    const endMs = session.utteranceStartMs + (entry.audioMs || 1000);
+    if (session.audioMs < endMs) return;
+
+    const itemId = session.speechItemId;
+    this.send(session, { type: 'input_audio_buffer.speech_stopped', audio_end_ms: Math.round(endMs), item_id: itemId });
+
+    session.speechItemId = null;
+    session.scriptIndex++;
+    session.utteranceStartMs = endMs;
+    session.bufferStartMs = session.audioMs;
+    this.transcribe(session, itemId, entry.text);
+  }
+
+  /**
+   * Manual commit: transcribe whatever the next script entry is, ending the
+   * utterance VAD is in if there is one
+   */
+  commit(session) {
+    if (session.audioMs - session.bufferStartMs < 100) {
+      this.sendError(session, 'invalid_request_error',
+        'Error committing input audio buffer: buffer too small. Expected at least 100ms of audio.');
+      return;
+    }
+
+    const entry = this.nextEntry(session);
+    const itemId = session.speechItemId || this.newItemId();
+    session.speechItemId = null;
+    session.scriptIndex++;
+    session.bufferStartMs = session.audioMs;
+    session.utteranceStartMs = session.audioMs;
+
+    if (entry?.error) {
+      this.sendError(session, entry.error.type || 'server_error', entry.error.message || 'Scripted error');
+      return;
+    }
+
+    this.transcribe(session, itemId, entry ? entry.text : '');
+  }
+
+  transcribe(session, itemId, text) {
+    this.send(session, {
+      type: 'input_audio_buffer.committed',
+      previous_item_id: session.previousItemId,
+      item_id: itemId
+    });
+    session.previousItemId = itemId;
+
+    // Stream word by word, then the final transcript
+    for (const word of text.split(/(?<=\s)/)) {
+      this.send(session, {
+        type: 'conversation.item.input_audio_transcription.delta',
+        item_id: itemId,
+        content_index: 0,
+        delta: word
+      });
+    }
+
+    this.send(session, {
+      type: 'conversation.item.input_audio_transcription.completed',
+      item_id: itemId,
+      content_index: 0,
+      transcript: text
+    });
+  }
+
+  nextEntry(session) {
+    if (session.scriptIndex >= this.script.length) {
+      if (!this.loop || this.script.length === 0) return null;
+      session.scriptIndex = 0;
+    }
+    return this.script[session.scriptIndex];
+  }
+
+  sendError(session, type, message) {
+    this.send(session, {
+      type: 'error',
+      error: { type, code: null, message, param: null }
+    });
+  }
+
+  send(session, event) {
+    const payload = { event_id: `event_${crypto.randomBytes(6).toString('hex')}`, ...event };
+
+    const deliver = () => {
+      if (session.ws.readyState !== session.ws.OPEN) return;
+
+      session.sentCount++;
+      if (this.faults.malformedEvery && session.sentCount % this.faults.malformedEvery === 0) {
+        session.ws.send(JSON.stringify(payload).slice(0, -5) + '{{');
+        return;
+      }
+      session.ws.send(JSON.stringify(payload));
+    };
+
+    if (this.faults.latencyMs) {
+      setTimeout(deliver, this.faults.latencyMs);
+    } else {
+      deliver();
+    }
+  }
+
+  newItemId() {
+    return `item_${crypto.randomBytes(8).toString('hex')}`;
+  }
+}
@@ -0,0 +1,125 @@
+import express from 'express';
+import crypto from 'crypto';
+import wrtc from '@roamhq/wrtc';
+
+const { RTCPeerConnection, RTCSessionDescription, nonstandard } = wrtc;
+const { RTCAudioSource } = nonstandard;
+
+const SAMPLE_RATE = 48000;
+const FRAME_SAMPLES = SAMPLE_RATE / 100; // 10ms frames, as RTCAudioSource expects
+
+/**
+ * A peer connection that plays a 440Hz tone, like a browser sending its microphone
+ * stop() ends the tone and closes the connection
+ */
+export function createToneSender() {
+  const pc = new RTCPeerConnection({ iceServers: [] });
+  const source = new RTCAudioSource();
+  pc.addTrack(source.createTrack());
+
+  const startTime = Date.now();
+  let framesSent = 0;
+  const timer = setInterval(() => {
+    const framesDue = Math.floor((Date.now() - startTime) / 10);
+    while (framesSent < framesDue) {
+      const samples = new Int16Array(FRAME_SAMPLES);
+      for (let i = 0; i < FRAME_SAMPLES; i++) {
+        const t = (framesSent * FRAME_SAMPLES + i) / SAMPLE_RATE;
+        samples[i] = Math.round(Math.sin(2 * Math.PI * 440 * t) * 8000);
+      }
+      source.onData({ samples, sampleRate: SAMPLE_RATE, bitsPerSample: 16, channelCount: 1, numberOfFrames: FRAME_SAMPLES });
+      framesSent++;
+    }
+  }, 10);
+
+  return {
+    pc,
+    stop() {
+      clearInterval(timer);
+      pc.close();
+    }
+  };
+}
+
+/**
+ * Resolves with the local SDP once candidate gathering is done
+ */
+export async function gatheredDescription(pc) {
+  await new Promise((resolve) => {
+    if (pc.iceGatheringState === 'complete') return resolve();
+    const timeout = setTimeout(resolve, 2000);
+    pc.onicegatheringstatechange = () => {
+      if (pc.iceGatheringState === 'complete') {
+        clearTimeout(timeout);
+        resolve();
+      }
+    };
+  });
+  return pc.localDescription.sdp;
+}
+
+/**
+ * Local mock of a WHEP endpoint: answers application/sdp offers with a
+ * tone sender, 201 Created and a session Location, and ends sessions on DELETE
+ */
+export class MockWhepServer {
+  constructor(options = {}) {
+    this.port = options.port || 0;
+    this.token = options.token || null;  // Bearer token we require
+
+    this.server = null;
+    this.sessions = new Map();  // id -> tone sender
+    this.deleted = [];  // Session ids the client deleted
+  }
+
+  async start() {
+    const app = express();
+    app.use(express.text({ type: 'application/sdp' }));
+
+    app.post('/whep/stream', (req, res) => this.createSession(req, res));
+    app.delete('/whep/sessions/:id', (req, res) => this.deleteSession(req, res));
+
+    await new Promise((resolve) => {
+      this.server = app.listen(this.port, '127.0.0.1', resolve);
+    });
+    this.port = this.server.address().port;
+    return `http://127.0.0.1:${this.port}/whep/stream`;
+  }
+
+  async stop() {
+    for (const sender of this.sessions.values()) {
+      sender.stop();
+    }
+    this.sessions.clear();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  async createSession(req, res) {
+    if (this.token && req.get('Authorization') !== `Bearer ${this.token}`) {
+      return res.status(401).send('Unauthorized');
+    }
+    if (!req.is('application/sdp') || !req.body) {
+      return res.status(415).send('Expected application/sdp');
+    }
+
+    const sender = createToneSender();
+    await sender.pc.setRemoteDescription(new RTCSessionDescription({ type: 'offer', sdp: req.body }));
+    await sender.pc.setLocalDescription(await sender.pc.createAnswer());
+    const answer = await gatheredDescription(sender.pc);
+
+    const id = crypto.randomUUID();
+    this.sessions.set(id, sender);
+    res.status(201).location(`/whep/sessions/${id}`).type('application/sdp').send(answer);
+  }
+
+  deleteSession(req, res) {
+    const sender = this.sessions.get(req.params.id);
+    if (!sender) {
+      return res.status(404).send('Not found');
+    }
+    sender.stop();
+    this.sessions.delete(req.params.id);
+    this.deleted.push(req.params.id);
+    res.status(200).end();
+  }
+}
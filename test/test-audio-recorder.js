@@ -0,0 +1,199 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import wavefile from 'wavefile';
+import { AudioRecorder } from '../src/utils/AudioRecorder.js';
+import { createChecks } from './helpers.js';
+
+const { WaveFile } = wavefile;
+
+/**
+ * AudioRecorder file output and its time-to-sample index, with synthetic frames:
+ * node test/test-audio-recorder.js
+ */
+
+const SAMPLE_RATE = 48000;
+const FRAME_SAMPLES = 480;  // 10ms, as RTCAudioSink delivers them
+
+// 10ms frames starting at startTime, each filled with its frame number
+function frames(startTime, count, firstValue = 0, channelCount = 1) {
+  return Array.from({ length: count }, (_, i) => ({
+    samples: new Int16Array(FRAME_SAMPLES * channelCount).fill(firstValue + i),
+    sampleRate: SAMPLE_RATE,
+    channelCount,
+    timestamp: startTime + i * 10
+  }));
+}
+
+async function testAudioRecorder() {
+  const { check, report } = createChecks();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+
+  try {
+    await check('writes a valid mono WAV of everything received', async () => {
+      const recorder = new AudioRecorder(path.join(dir, 'plain'), { format: 'wav' });
+      for (const frame of frames(1000000, 100)) {
+        recorder.write(frame);
+      }
+      const info = await recorder.close();
+
+      const wav = new WaveFile(fs.readFileSync(info.file));
+      assert.equal(wav.fmt.sampleRate, SAMPLE_RATE);
+      assert.equal(wav.fmt.numChannels, 1);
+      const samples = wav.getSamples(false, Int16Array);
+      assert.equal(samples.length, 100 * FRAME_SAMPLES);
+      assert.equal(samples[FRAME_SAMPLES * 42], 42);
+      assert.equal(info.durationSeconds, 1);
+    });
+
+    await check('downmixes interleaved stereo', async () => {
+      const recorder = new AudioRecorder(path.join(dir, 'stereo'), { format: 'wav' });
+      const [frame] = frames(0, 1, 0, 2);
+      for (let i = 0; i < frame.samples.length; i += 2) {
+        frame.samples[i] = 1000;
+        frame.samples[i + 1] = 3000;
+      }
+      recorder.write(frame);
+      const info = await recorder.close();
+
+      const samples = new WaveFile(fs.readFileSync(info.file)).getSamples(false, Int16Array);
+      assert.equal(samples.length, FRAME_SAMPLES);
+      assert.equal(samples[0], 2000);
+    });
+
+    await check('maps wall-clock times to sample offsets across a gap', async () => {
+      const recorder = new AudioRecorder(path.join(dir, 'gap'), { format: 'wav' });
+      const start = 2000000;
+
+      // 1s of audio, a 5s pause (nothing written), then 1s more
+      for (const frame of [...frames(start, 100), ...frames(start + 6000, 100, 100)]) {
+        recorder.write(frame);
+      }
+
+      assert.equal(recorder.index.length, 2);
+      assert.equal(recorder.getSampleOffset(start), 0);
+      assert.equal(recorder.getSampleOffset(start + 420), 420 * 48);
+      assert.equal(recorder.getSampleOffset(start + 3000), SAMPLE_RATE, 'a time in the gap maps to the audio after it');
+      assert.equal(recorder.getSampleOffset(start + 6250), SAMPLE_RATE + 250 * 48);
+
+      const position = recorder.getSegmentPosition({ startTime: start + 6100, endTime: start + 6500 });
+      assert.deepEqual(position, {
+        startSample: SAMPLE_RATE + 100 * 48,
+        endSample: SAMPLE_RATE + 500 * 48,
+        startSeconds: 1.1,
+        endSeconds: 1.5
+      });
+
+      // The sample at that offset is the audio that arrived at that time
+      const info = await recorder.close();
+      const samples = new WaveFile(fs.readFileSync(info.file)).getSamples(false, Int16Array);
+      assert.equal(samples[position.startSample], 110);
+    });
+
+    await check('ignores small arrival jitter', async () => {
+      const recorder = new AudioRecorder(path.join(dir, 'jitter'), { format: 'wav' });
+      const jittered = frames(3000000, 200).map((frame, i) => ({ ...frame, timestamp: frame.timestamp + (i % 3) * 7 }));
+      for (const frame of jittered) {
+        recorder.write(frame);
+      }
+      await recorder.close();
+      assert.equal(recorder.index.length, 1);
+    });
+
+    await check('does not resample across a gap', async () => {
+      const recorder = new AudioRecorder(path.join(dir, 'gap'), { format: 'wav', sampleRate: 16000 });
+      const loud = frames(7000000, 50, 20000);
+      const quiet = frames(7000000 + 5000, 50).map(frame => ({ ...frame, samples: frame.samples.fill(0) }));  // Resumed 4.5s later
+      for (const frame of [...loud, ...quiet]) {
+        recorder.write(frame);
+      }
+      const info = await recorder.close();
+
+      const samples = new WaveFile(fs.readFileSync(info.file)).getSamples(false, Int16Array);
+      const resumedAt = recorder.index[1].sample;
+      assert.equal(recorder.index.length, 2);
+      assert.ok(samples.subarray(resumedAt).every(sample => sample === 0), 'nothing from before the gap');
+    });
+
+    await check('stops recording on a write error without throwing', async () => {
+      const recorder = new AudioRecorder(path.join(dir, 'missing', 'broken'), { format: 'wav' });
+      for (const frame of frames(5000000, 10)) {
+        recorder.write(frame);
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));  // The open fails asynchronously
+      recorder.write(frames(5000100, 1)[0]);
+
+      const info = await recorder.close();
+      assert.equal(info.stoppedReason, 'write_error');
+      assert.equal(info.samples, 10 * FRAME_SAMPLES);
+    });
+
+    await check('stops before the WAV sizes overflow', async () => {
+      const recorder = new AudioRecorder(path.join(dir, 'long'), { format: 'wav' });
+      recorder.write(frames(6000000, 1)[0]);
+      // Pretend about 12 hours have been written
+      recorder.samplesWritten = Math.floor((2 ** 32 - 1 - recorder.dataOffset) / 2) - FRAME_SAMPLES - 10;
+      recorder.write(frames(6000010, 1)[0]);
+      recorder.write(frames(6000020, 1)[0]);
+
+      const info = await recorder.close();
+      assert.equal(info.stoppedReason, 'size_limit');
+      const header = fs.readFileSync(info.file).subarray(0, recorder.dataOffset);
+      assert.equal(header.readUInt32LE(recorder.dataOffset - 4), info.samples * 2);
+      assert.ok(header.readUInt32LE(4) <= 2 ** 32 - 1);
+    });
+
+    await check('encodes Ogg/Opus with ffmpeg, or falls back to WAV without it', async () => {
+      const recorder = new AudioRecorder(path.join(dir, 'compressed'), { format: 'ogg' });
+      for (const frame of frames(4000000, 100)) {
+        recorder.write(frame);
+      }
+      const info = await recorder.close();
+
+      const header = fs.readFileSync(info.file).subarray(0, 4).toString();
+      if (AudioRecorder.hasFfmpeg()) {
+        assert.equal(info.format, 'ogg');
+        assert.equal(header, 'OggS');
+      } else {
+        assert.equal(info.format, 'wav');
+        assert.equal(header, 'RIFF');
+      }
+    });
+
+    await check('still closes after ffmpeg has exited', async () => {
+      // Without ffmpeg installed the spawn itself fails, which has to be survived as well
+      const { hasFfmpeg } = AudioRecorder;
+      const installed = hasFfmpeg();
+      AudioRecorder.hasFfmpeg = () => true;
+      let recorder;
+      try {
+        recorder = new AudioRecorder(path.join(dir, 'crashed'), { format: 'ogg' });
+      } finally {
+        AudioRecorder.hasFfmpeg = hasFfmpeg;
+      }
+
+      recorder.write(frames(8000000, 1)[0]);
+      if (installed) recorder.ffmpeg.kill('SIGKILL');
+      await recorder.ffmpegExited;
+      for (const frame of frames(8000010, 10)) {
+        recorder.write(frame);
+      }
+
+      const info = await recorder.close();
+      assert.equal(info.stoppedReason, 'write_error');
+      assert.equal(info.samples, FRAME_SAMPLES, 'no writes after ffmpeg went away');
+    });
+
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  const passed = report();
+  process.exit(passed ? 0 : 1);
+}
+
+testAudioRecorder().catch((error) => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,103 @@
+import assert from 'node:assert/strict';
+import { toMono, downmix, selectChannel, parseChannelMode } from '../src/utils/ChannelMixer.js';
+import { resampleAudio } from '../src/utils/AudioResampler.js';
+import { OpenAITranscriptionService } from '../src/services/transcription/OpenAITranscriptionService.js';
+import { createChecks } from './helpers.js';
+
+/**
+ * Channel normalization of interleaved PCM ahead of resampling:
+ * node test/test-channel-mixer.js
+ */
+
+const SAMPLE_RATE = 48000;
+
+// Interleaved stereo: a 1kHz tone on the left, a 300Hz tone on the right, 100ms long
+function stereoFixture() {
+  const frames = SAMPLE_RATE / 10;
+  const samples = new Int16Array(frames * 2);
+  for (let i = 0; i < frames; i++) {
+    samples[i * 2] = Math.round(Math.sin(2 * Math.PI * 1000 * i / SAMPLE_RATE) * 10000);
+    samples[i * 2 + 1] = Math.round(Math.sin(2 * Math.PI * 300 * i / SAMPLE_RATE) * 10000);
+  }
+  return samples;
+}
+
+// Rough frequency estimate from rising zero crossings
+function estimateFrequency(samples, sampleRate) {
+  let crossings = 0;
+  for (let i = 1; i < samples.length; i++) {
+    if (samples[i - 1] < 0 && samples[i] >= 0) crossings++;
+  }
+  return crossings * sampleRate / samples.length;
+}
+
+async function testChannelMixer() {
+  const { check, report } = createChecks();
+
+  await check('passes mono through untouched', async () => {
+    const mono = new Int16Array([1, 2, 3]);
+    assert.equal(toMono(mono, 1), mono);
+    assert.equal(toMono(mono, undefined), mono);
+  });
+
+  await check('downmixes interleaved stereo by averaging', async () => {
+    const stereo = new Int16Array([100, 300, -200, 200, 32767, 32767, -32768, -32768]);
+    assert.deepEqual(Array.from(downmix(stereo, 2)), [200, 0, 32767, -32768]);
+  });
+
+  await check('selects a single channel', async () => {
+    const stereo = new Int16Array([1, 10, 2, 20, 3, 30]);
+    assert.deepEqual(Array.from(toMono(stereo, 2, 'left')), [1, 2, 3]);
+    assert.deepEqual(Array.from(toMono(stereo, 2, 'right')), [10, 20, 30]);
+
+    const surround = new Int16Array([1, 2, 3, 4, 5, 6, 11, 12, 13, 14, 15, 16]);
+    assert.deepEqual(Array.from(selectChannel(surround, 6, 2)), [3, 13]);
+    assert.deepEqual(Array.from(toMono(stereo, 2, 5)), [10, 20, 30], 'missing channel falls back to the last');
+  });
+
+  await check('parses channel modes from config', async () => {
+    assert.equal(parseChannelMode(undefined), 'downmix');
+    assert.equal(parseChannelMode(''), 'downmix');
+    assert.equal(parseChannelMode('right'), 'right');
+    assert.equal(parseChannelMode('3'), 3);
+    assert.throws(() => parseChannelMode('middle'), /Invalid channel mode/);
+    assert.throws(() => parseChannelMode('-1'), /Invalid channel mode/);
+  });
+
+  await check('keeps pitch and duration through resampling', async () => {
+    const stereo = stereoFixture();
+    const left = resampleAudio(toMono(stereo, 2, 'left'), SAMPLE_RATE, 24000);
+
+    assert.equal(left.length, 2400, '100ms at 24kHz');
+    assert.ok(Math.abs(estimateFrequency(left, 24000) - 1000) <= 20);
+
+    // Treating the interleaved buffer as mono doubles its length and mangles the tone
+    const garbled = resampleAudio(stereo, SAMPLE_RATE, 24000);
+    assert.equal(garbled.length, 4800);
+  });
+
+  await check('normalizes channels before the OpenAI resampler', async () => {
+    const service = new OpenAITranscriptionService({ apiKey: 'test', channelMode: 'right' });
+    service.isConnected = true;
+    service.bufferSize = Infinity;  // Keep the audio in the buffer instead of sending it
+
+    await service.processAudioChunk({
+      samples: stereoFixture(),
+      sampleRate: SAMPLE_RATE,
+      channelCount: 2,
+      timestamp: Date.now()
+    });
+
+    const [buffered] = service.audioBuffer;
+    assert.equal(buffered.length, 2400);
+    assert.ok(Math.abs(estimateFrequency(buffered, 24000) - 300) <= 20);
+  });
+
+  const passed = report();
+  process.exit(passed ? 0 : 1);
+}
+
+testChannelMixer().catch((error) => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,259 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { MockRealtimeServer } from './mocks/MockRealtimeServer.js';
+import { OpenAITranscriptionService } from '../src/services/transcription/OpenAITranscriptionService.js';
+import { MediaSourceFactory } from '../src/services/media/MediaSourceFactory.js';
+import { waitForSessionReady, drainTranscription } from '../src/utils/TranscriptionSession.js';
+import { waitFor, createChecks } from './helpers.js';
+
+/**
+ * The file/stdin replay source: WAV parsing, raw PCM, pacing, and a
+ * deterministic run through the mock Realtime server: node test/test-file-source.js
+ */
+
+// Interleaved samples counting up from 0, so dropped or reordered bytes show
+function rampSamples(frameCount, channelCount) {
+  const samples = new Int16Array(frameCount * channelCount);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = i % 32768;
+  }
+  return samples;
+}
+
+function toneSamples(durationMs, sampleRate) {
+  const samples = new Int16Array(sampleRate * durationMs / 1000);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.round(Math.sin(2 * Math.PI * 440 * i / sampleRate) * 8000);
+  }
+  return samples;
+}
+
+// A WAV file with a LIST chunk before 'data', as many tools write
+function wavBuffer(samples, { sampleRate, channelCount = 1, bitsPerSample = 16 }) {
+  const data = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+  const list = Buffer.from('LIST\x05\x00\x00\x00INFO\x00\x00', 'binary');  // Odd size, padded
+  const header = Buffer.alloc(12 + 24);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(4 + 24 + list.length + 8 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channelCount, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channelCount * bitsPerSample / 8, 28);
+  header.writeUInt16LE(channelCount * bitsPerSample / 8, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  const dataHeader = Buffer.alloc(8);
+  dataHeader.write('data', 0);
+  dataHeader.writeUInt32LE(data.length, 4);
+  return Buffer.concat([header, list, dataHeader, data]);
+}
+
+// Connects the source, plays it and resolves with the frames and the leave reason
+async function replay(config) {
+  const frames = [];
+  const source = MediaSourceFactory.create('file', {
+    onAudioData: (audioData) => frames.push(audioData),
+    ...config
+  });
+  const left = new Promise(resolve => source.on('leaveRequested', resolve));
+
+  await source.connect();
+  const startedAt = Date.now();
+  source.start();
+  const { reason } = await left;
+  const elapsedMs = Date.now() - startedAt;
+  await source.disconnect();
+  return { frames, reason, elapsedMs, source };
+}
+
+function joinSamples(frames) {
+  const total = frames.reduce((sum, frame) => sum + frame.samples.length, 0);
+  const joined = new Int16Array(total);
+  let offset = 0;
+  for (const frame of frames) {
+    joined.set(frame.samples, offset);
+    offset += frame.samples.length;
+  }
+  return joined;
+}
+
+async function transcribeReplay(wsUrl, input) {
+  const service = new OpenAITranscriptionService({ apiKey: 'test-key', wsUrl });
+  const completed = [];
+  service.on('transcriptionComplete', (transcription) => completed.push(transcription));
+
+  const source = MediaSourceFactory.create('file', {
+    input,
+    pacing: 'fast',
+    startTime: Date.UTC(2026, 0, 1),
+    onAudioData: (audioData) => service.processAudioChunk(audioData)
+  });
+  const left = new Promise(resolve => source.on('leaveRequested', resolve));
+
+  await source.connect();
+  await service.connect();
+  await waitForSessionReady(service);
+  source.start();
+  await left;
+  await drainTranscription(service, { quietMs: 500 });
+  await source.disconnect();
+  await service.disconnect();
+  return completed.map(({ text, startTime, endTime }) => ({ text, startTime, endTime }));
+}
+
+async function testFileSource() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+  const { check, report } = createChecks();
+
+  try {
+    await check('replays a stereo WAV as fast as the pipeline takes it', async () => {
+      const samples = rampSamples(24000, 2);  // 0.5s at 48kHz
+      const input = path.join(dir, 'stereo.wav');
+      fs.writeFileSync(input, wavBuffer(samples, { sampleRate: 48000, channelCount: 2 }));
+
+      const { frames, reason, source } = await replay({ input, pacing: 'fast', tailSilenceMs: 100, startTime: 1000000 });
+
+      assert.equal(reason, 'end_of_input');
+      assert.equal(frames.length, 50 + 10, '10ms frames plus the tail silence');
+      assert.ok(frames.every(frame => frame.sampleRate === 48000 && frame.channelCount === 2 && frame.bitsPerSample === 16));
+      assert.ok(frames.every((frame, i) => frame.timestamp === 1000000 + i * 10), 'timestamps follow the audio');
+      assert.deepEqual(joinSamples(frames).subarray(0, samples.length), samples);
+      assert.ok(frames.slice(50).every(frame => frame.samples.every(s => s === 0)));
+
+      const info = source.getSessionInfo();
+      assert.equal(info.source, 'file');
+      assert.equal(info.format, 'wav');
+      assert.equal(info.durationSeconds, 0.6);
+      assert.equal(source.getState().isFinished, true);
+    });
+
+    await check('paces raw PCM in real time', async () => {
+      const input = path.join(dir, 'mono.pcm');
+      const samples = rampSamples(4800, 1);  // 0.3s at 16kHz
+      fs.writeFileSync(input, Buffer.from(samples.buffer));
+
+      const { frames, elapsedMs, source } = await replay({
+        input, format: 'pcm', sampleRate: 16000, pacing: 'realtime', tailSilenceMs: 0
+      });
+
+      assert.equal(source.format, 'pcm');
+      assert.equal(frames.length, 30);
+      assert.equal(frames[0].samples.length, 160);
+      assert.ok(elapsedMs >= 280, `took ${elapsedMs}ms for 300ms of audio`);
+      assert.deepEqual(joinSamples(frames), samples);
+    });
+
+    await check('detects WAV on a stream split at odd offsets', async () => {
+      const samples = rampSamples(1605, 1);  // Not a whole number of frames
+      const wav = wavBuffer(samples, { sampleRate: 16000 });
+      const chunks = [];
+      for (let offset = 0; offset < wav.length; offset += 7) {
+        chunks.push(wav.subarray(offset, offset + 7));
+      }
+
+      const { frames, source } = await replay({ input: Readable.from(chunks), pacing: 'fast', tailSilenceMs: 0 });
+
+      assert.equal(source.format, 'wav');
+      assert.equal(source.sampleRate, 16000);
+      assert.equal(frames.length, 11, 'the short last frame is sent too');
+      assert.equal(frames[10].samples.length, 5);
+      assert.deepEqual(joinSamples(frames), samples);
+    });
+
+    await check('drops frames while paused', async () => {
+      const input = path.join(dir, 'paused.pcm');
+      fs.writeFileSync(input, Buffer.alloc(48000 * 2 * 0.4));  // 0.4s of silence
+
+      const frames = [];
+      const source = MediaSourceFactory.create('file', {
+        input,
+        format: 'pcm',
+        tailSilenceMs: 0,
+        onAudioData: (audioData) => {
+          frames.push(audioData);
+          if (frames.length === 5) {
+            source.pauseTranscription();
+            setTimeout(() => source.resumeTranscription(), 150);
+          }
+        }
+      });
+      const left = new Promise(resolve => source.on('leaveRequested', resolve));
+      await source.connect();
+      source.start();
+      await left;
+      await source.disconnect();
+
+      assert.ok(frames.length < 35, `${frames.length} of 40 frames forwarded`);
+      assert.ok(frames[5].timestamp - frames[4].timestamp > 100, 'the pause shows as a gap in the timestamps');
+    });
+
+    await check('rejects missing files and unsupported input', async () => {
+      await assert.rejects(
+        MediaSourceFactory.create('file', { input: path.join(dir, 'missing.wav') }).connect(),
+        /not found/
+      );
+
+      const input = path.join(dir, '24bit.wav');
+      fs.writeFileSync(input, wavBuffer(new Int16Array(300), { sampleRate: 48000, bitsPerSample: 24 }));
+      const unsupported = MediaSourceFactory.create('file', { input });
+      await assert.rejects(unsupported.connect(), /16-bit PCM only/);
+      assert.ok(unsupported.stream.destroyed, 'the rejected file is closed again');
+
+      const silent = path.join(dir, 'no-channels.wav');
+      fs.writeFileSync(silent, wavBuffer(new Int16Array(300), { sampleRate: 48000, channelCount: 0 }));
+      await assert.rejects(MediaSourceFactory.create('file', { input: silent }).connect(), /Unsupported WAV format/);
+
+      const raw = path.join(dir, 'raw.pcm');
+      fs.writeFileSync(raw, Buffer.alloc(960));
+      await assert.rejects(MediaSourceFactory.create('file', { input: raw, format: 'wav' }).connect(), /not a WAV file/);
+
+      assert.throws(() => MediaSourceFactory.create('file', {}), /input is required/);
+      assert.throws(() => MediaSourceFactory.create('file', { input: raw, pacing: 'slow' }), /Invalid pacing/);
+      for (const sampleRate of [-16000, 44100.5, '16000']) {
+        assert.throws(() => MediaSourceFactory.create('file', { input: raw, sampleRate }), /Invalid sampleRate/);
+      }
+      assert.throws(() => MediaSourceFactory.create('file', { input: raw, channelCount: -1 }), /Invalid channelCount/);
+    });
+
+    await check('gives the same transcript on every run', async () => {
+      const server = new MockRealtimeServer({
+        script: [
+          { text: 'Good morning everyone.', audioMs: 500 },
+          { text: 'Let us start the meeting.', audioMs: 700 }
+        ]
+      });
+      const wsUrl = await server.start();
+
+      try {
+        const input = path.join(dir, 'meeting.wav');
+        fs.writeFileSync(input, wavBuffer(toneSamples(1200, 24000), { sampleRate: 24000 }));
+
+        const first = await transcribeReplay(wsUrl, input);
+        const second = await transcribeReplay(wsUrl, input);
+
+        assert.equal(first[0].text, 'Good morning everyone.');
+        assert.equal(first[1].text, 'Let us start the meeting.');
+        assert.equal(first[0].startTime, Date.UTC(2026, 0, 1));
+        assert.equal(first[1].startTime, Date.UTC(2026, 0, 1) + 500);
+        assert.deepEqual(second, first);
+      } finally {
+        await server.stop();
+      }
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  const passed = report();
+  process.exit(passed ? 0 : 1);
+}
+
+testFileSource().catch((error) => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict';
+import wrtc from '@roamhq/wrtc';
+import { MockWhepServer, createToneSender, gatheredDescription } from './mocks/MockWhepServer.js';
+import { MediaSourceFactory } from '../src/services/media/MediaSourceFactory.js';
+import { waitFor, createChecks } from './helpers.js';
+
+const { RTCSessionDescription } = wrtc;
+
+/**
+ * The plain WebRTC media sources against a local WHEP mock and an in-process
+ * "browser" peer: node test/test-media-sources.js
+ */
+
+// True once the frames carry the tone rather than silence
+function hasTone(frames) {
+  return frames.some(frame => Math.max(...frame.samples) > 1000);
+}
+
+async function testMediaSources() {
+  const whep = new MockWhepServer({ token: 'secret' });
+  const endpoint = await whep.start();
+  const { check, report } = createChecks();
+
+  try {
+    await check('receives audio from a WHEP endpoint', async () => {
+      const frames = [];
+      const source = MediaSourceFactory.create('whep', {
+        endpoint,
+        token: 'secret',
+        ice: { publicStun: false },
+        onAudioData: (audioData) => frames.push(audioData)
+      });
+
+      await source.connect();
+      await waitFor(() => frames.length >= 50 && hasTone(frames));
+      assert.ok(source.isConnected());
+      assert.match(source.resourceUrl, /\/whep\/sessions\//);
+
+      const info = source.getSessionInfo();
+      assert.equal(info.source, 'whep');
+      assert.equal(info.endpoint, endpoint);
+      assert.equal(info.ice.selected.local.candidateType, 'host');
+
+      await source.disconnect();
+      assert.equal(whep.deleted.length, 1, 'the WHEP session is deleted on disconnect');
+      assert.equal(whep.sessions.size, 0);
+    });
+
+    await check('reports a refused WHEP offer', async () => {
+      const source = MediaSourceFactory.create('whep', { endpoint, token: 'wrong', ice: { publicStun: false } });
+      await assert.rejects(source.connect(), /HTTP 401/);
+      assert.equal(source.isConnected(), false);
+    });
+
+    await check('answers a posted SDP offer and pauses on request', async () => {
+      const browser = createToneSender();
+      await browser.pc.setLocalDescription(await browser.pc.createOffer());
+      const offer = await gatheredDescription(browser.pc);
+
+      const frames = [];
+      const source = MediaSourceFactory.create('sdp', {
+        offer,
+        ice: { publicStun: false },
+        onAudioData: (audioData) => frames.push(audioData)
+      });
+
+      try {
+        const answer = await source.connect();
+        assert.match(answer, /a=candidate:/, 'candidates are in the answer');
+        assert.match(answer, /a=recvonly/);
+        await browser.pc.setRemoteDescription(new RTCSessionDescription({ type: 'answer', sdp: answer }));
+
+        await waitFor(() => frames.length >= 50 && hasTone(frames));
+        await waitFor(() => source.mediaStats.samples.length >= 1, 8000);
+
+        assert.equal(source.pauseTranscription({ via: 'test' }), true);
+        const pausedAt = frames.length;
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal(frames.length, pausedAt, 'no audio forwarded while paused');
+        source.resumeTranscription();
+        await waitFor(() => frames.length > pausedAt);
+      } finally {
+        browser.stop();
+        await source.disconnect();
+      }
+    });
+
+    await check('ends the session when the sender goes away', async () => {
+      const browser = createToneSender();
+      await browser.pc.setLocalDescription(await browser.pc.createOffer());
+      const offer = await gatheredDescription(browser.pc);
+
+      const source = MediaSourceFactory.create('sdp', {
+        offer,
+        ice: { publicStun: false },
+        disconnectGraceSeconds: 1
+      });
+      const leaves = [];
+      source.on('leaveRequested', (event) => leaves.push(event));
+
+      try {
+        const answer = await source.connect();
+        await browser.pc.setRemoteDescription(new RTCSessionDescription({ type: 'answer', sdp: answer }));
+        await waitFor(() => source.isConnected());
+
+        browser.stop();
+        await waitFor(() => leaves.length > 0, 20000);
+        assert.equal(leaves[0].reason, 'media_ended');
+      } finally {
+        await source.disconnect();
+      }
+    });
+
+    await check('rejects unknown sources and bad offers', async () => {
+      assert.throws(() => MediaSourceFactory.create('rtmp'), /Unknown media source/);
+      assert.throws(() => MediaSourceFactory.create('whep', {}), /endpoint URL is required/);
+
+      const source = MediaSourceFactory.create('sdp', { offer: 'not sdp', ice: { publicStun: false } });
+      await assert.rejects(source.connect(), /Invalid SDP offer/);
+    });
+  } finally {
+    await whep.stop();
+  }
+
+  const passed = report();
+  process.exit(passed ? 0 : 1);
+}
+
+testMediaSources().catch((error) => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+import assert from 'node:assert/strict';
+import { MockRealtimeServer } from './mocks/MockRealtimeServer.js';
+import { OpenAITranscriptionService } from '../src/services/transcription/OpenAITranscriptionService.js';
+import { waitFor, createChecks } from './helpers.js';
+
+/**
+ * OpenAITranscriptionService against the local mock Realtime server,
+ * including fault injection. No API key or network needed:
+ * node test/test-openai-mock.js
+ */
+
+const SAMPLE_RATE = 24000;
+
+// 10ms frames of a 440Hz tone, like the sink delivers
+function toneFrames(durationMs) {
+  const frames = [];
+  const frameSamples = SAMPLE_RATE / 100;
+  for (let f = 0; f < durationMs / 10; f++) {
+    const samples = new Int16Array(frameSamples);
+    for (let i = 0; i < frameSamples; i++) {
+      samples[i] = Math.round(Math.sin(2 * Math.PI * 440 * (f * frameSamples + i) / SAMPLE_RATE) * 8000);
+    }
+    frames.push(samples);
+  }
+  return frames;
+}
+
+async function streamAudio(service, durationMs) {
+  for (const samples of toneFrames(durationMs)) {
+    await service.processAudioChunk({ samples, sampleRate: SAMPLE_RATE, timestamp: Date.now() });
+  }
+}
+
+function createService(wsUrl, config = {}) {
+  const service = new OpenAITranscriptionService({ apiKey: 'test-key', wsUrl, ...config });
+  const events = { deltas: [], completed: [], errors: [], disconnected: [] };
+  service.on('transcriptionDelta', (delta) => events.deltas.push(delta));
+  service.on('transcriptionComplete', (transcription) => events.completed.push(transcription));
+  service.on('error', (error) => events.errors.push(error));
+  service.on('disconnected', (info) => events.disconnected.push(info));
+  return { service, events };
+}
+
+// Connect and wait until the session config has reached the server
+async function connectService(server, service) {
+  const countUpdates = () => server.received.filter(m => m.type === 'transcription_session.update').length;
+  const updatesBefore = countUpdates();
+  await service.connect();
+  await waitFor(() => countUpdates() > updatesBefore);
+}
+
+async function testOpenAIAgainstMock() {
+  const server = new MockRealtimeServer({
+    script: [
+      { text: 'Good morning everyone.', audioMs: 500 },
+      { text: 'Let us start the meeting.', audioMs: 500 }
+    ]
+  });
+  const wsUrl = await server.start();
+  const { check, report } = createChecks();
+
+  try {
+    await check('transcribes with server VAD and reports segment timing', async () => {
+      const { service, events } = createService(wsUrl);
+      await connectService(server, service);
+
+      await streamAudio(service, 1200);
+      await waitFor(() => events.completed.length >= 2);
+
+      assert.equal(events.completed[0].text, 'Good morning everyone.');
+      assert.equal(events.completed[1].previousItemId, events.completed[0].itemId);
+      assert.equal(events.completed[1].audioStartMs, 500);
+      assert.ok(events.completed[0].startTime < events.completed[0].endTime);
+      assert.ok(events.deltas.length > 2);
+      await service.disconnect();
+    });
+
+    await check('transcribes on manual commit when VAD is disabled', async () => {
+      const { service, events } = createService(wsUrl, { vadEnabled: false });
+      await connectService(server, service);
+
+      await streamAudio(service, 300);
+      service.commitAudioBuffer();
+      await waitFor(() => events.completed.length === 1);
+
+      assert.equal(events.completed[0].text, 'Good morning everyone.');
+      assert.equal(events.completed[0].audioStartMs, 0);
+      await service.disconnect();
+    });
+
+    await check('surfaces error events from the server', async () => {
+      const { service, events } = createService(wsUrl, { vadEnabled: false });
+      await service.connect();
+
+      // Nothing appended yet - the server refuses to commit an empty buffer
+      service.commitAudioBuffer();
+      await waitFor(() => events.errors.length === 1);
+
+      assert.match(events.errors[0].message, /buffer too small/);
+      await service.disconnect();
+    });
+
+    await check('survives malformed JSON from the server', async () => {
+      server.setFaults({ malformedEvery: 2 });
+      const { service, events } = createService(wsUrl);
+      await connectService(server, service);
+
+      await streamAudio(service, 2500);
+      await waitFor(() => events.completed.length >= 1);
+
+      assert.ok(service.isConnected);
+      server.setFaults({ malformedEvery: 0 });
+      await service.disconnect();
+    });
+
+    await check('still transcribes with slow responses', async () => {
+      server.setFaults({ latencyMs: 400 });
+      const { service, events } = createService(wsUrl);
+      await connectService(server, service);
+
+      await streamAudio(service, 600);
+      await waitFor(() => events.completed.length >= 1);
+
+      server.setFaults({ latencyMs: 0 });
+      await service.disconnect();
+    });
+
+    await check('reports a dropped socket and can reconnect', async () => {
+      const { service, events } = createService(wsUrl);
+      await connectService(server, service);
+
+      server.dropConnections();
+      await waitFor(() => events.disconnected.length === 1);
+      assert.equal(service.isConnected, false);
+      await assert.rejects(streamAudio(service, 10), /Not connected/);
+
+      await connectService(server, service);
+      await streamAudio(service, 600);
+      await waitFor(() => events.completed.length >= 1);
+      await service.disconnect();
+    });
+
+    await check('rejects connect when the handshake is refused', async () => {
+      server.setFaults({ rejectConnections: true });
+      const { service } = createService(wsUrl);
+
+      await assert.rejects(service.connect(), /401/);
+      server.setFaults({ rejectConnections: false });
+    });
+  } finally {
+    await server.stop();
+  }
+
+  process.exit(report() ? 0 : 1);
+}
+
+testOpenAIAgainstMock().catch((error) => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { MockPexipNode } from './mocks/MockPexipNode.js';
+import { PexipApiClient } from '../src/services/pexip/PexipApiClient.js';
+import { createChecks } from './helpers.js';
+
+/**
+ * request_token authentication modes against the local mock Pexip node:
+ * node test/test-pexip-auth.js
+ */
+
+const IDPS = [{ uuid: 'idp-1', name: 'Corporate SSO' }];
+
+// Resolves with the PexipAuthError reason, fails if the token was issued
+async function authFailure(client, auth) {
+  try {
+    await client.requestToken('Auth Bot', auth);
+  } catch (error) {
+    assert.equal(error.name, 'PexipAuthError');
+    return error;
+  }
+  assert.fail('expected request_token to be refused');
+}
+
+async function testPexipAuth() {
+  const nodes = [];
+  const clientFor = async (options, alias) => {
+    const node = new MockPexipNode(options);
+    nodes.push(node);
+    const nodeAddress = await node.start();
+    return new PexipApiClient(nodeAddress, alias || node.conferenceAlias);
+  };
+
+  const { check, report } = createChecks();
+
+  try {
+    await check('joins as host with the host PIN', async () => {
+      const client = await clientFor({ pin: '1234', guestPin: '5678' });
+      const { role } = await client.requestToken('Auth Bot', { pin: '1234' });
+      assert.equal(role, 'HOST');
+      assert.equal(client.pin, '1234');
+    });
+
+    await check('joins as guest with the guest PIN', async () => {
+      const client = await clientFor({ pin: '1234', guestPin: '5678' });
+      const { role } = await client.requestToken('Auth Bot', { pin: '5678', role: 'guest' });
+      assert.equal(role, 'GUEST');
+    });
+
+    await check('joins as guest without a PIN when the guest PIN is optional', async () => {
+      const client = await clientFor({ pin: '1234', guestPin: 'none' });
+      const { role } = await client.requestToken('Auth Bot', {});
+      assert.equal(role, 'GUEST');
+      assert.equal(client.pin, 'none');
+    });
+
+    await check('reports a missing host PIN', async () => {
+      const client = await clientFor({ pin: '1234', guestPin: 'none' });
+      const error = await authFailure(client, { role: 'host' });
+      assert.equal(error.reason, 'pin_required');
+    });
+
+    await check('reports a missing guest PIN', async () => {
+      const client = await clientFor({ pin: '1234', guestPin: '5678' });
+      const error = await authFailure(client, { role: 'guest' });
+      assert.equal(error.reason, 'guest_pin_required');
+    });
+
+    await check('reports a wrong PIN', async () => {
+      const client = await clientFor({ pin: '1234' });
+      const error = await authFailure(client, { pin: '0000' });
+      assert.equal(error.reason, 'pin_invalid');
+    });
+
+    await check('lists identity providers when SSO is required', async () => {
+      const client = await clientFor({ idps: IDPS, ssoTokens: ['sso-ok'] });
+      const error = await authFailure(client, {});
+      assert.equal(error.reason, 'idp_required');
+      assert.deepEqual(error.details.idps, IDPS);
+    });
+
+    await check('returns the sign-in URL for a chosen identity provider', async () => {
+      const client = await clientFor({ idps: IDPS, ssoTokens: ['sso-ok'] });
+      const error = await authFailure(client, { chosenIdp: 'idp-1' });
+      assert.equal(error.reason, 'sso_redirect');
+      assert.match(error.details.redirectUrl, /idp=idp-1/);
+    });
+
+    await check('joins with an SSO token and rejects a bad one', async () => {
+      const client = await clientFor({ idps: IDPS, ssoTokens: ['sso-ok'] });
+      await client.requestToken('Auth Bot', { chosenIdp: 'idp-1', ssoToken: 'sso-ok' });
+      assert.ok(client.token);
+
+      const error = await authFailure(client, { chosenIdp: 'idp-1', ssoToken: 'sso-bad' });
+      assert.equal(error.reason, 'token_rejected');
+    });
+
+    await check('joins with a pre-issued JWT and rejects a bad one', async () => {
+      const client = await clientFor({ jwt: 'eyJ.valid.jwt' });
+      await client.requestToken('Auth Bot', { jwt: 'eyJ.valid.jwt' });
+      assert.ok(client.token);
+
+      const error = await authFailure(client, { jwt: 'eyJ.forged.jwt' });
+      assert.equal(error.reason, 'token_rejected');
+    });
+
+    await check('reports an unknown conference', async () => {
+      const client = await clientFor({}, 'no-such-alias');
+      const error = await authFailure(client, {});
+      assert.equal(error.reason, 'conference_not_found');
+    });
+  } finally {
+    for (const node of nodes) {
+      await node.stop();
+    }
+  }
+
+  process.exit(report() ? 0 : 1);
+}
+
+testPexipAuth().catch((error) => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
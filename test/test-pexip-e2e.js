@@ -0,0 +1,329 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import wavefile from 'wavefile';
+import { MockPexipNode } from './mocks/MockPexipNode.js';
+import { PexipConnection } from '../src/services/pexip/PexipConnection.js';
+import { PexipEventStream } from '../src/services/pexip/PexipEventStream.js';
+import { StatsCollector } from '../src/services/webrtc/StatsCollector.js';
+import { WebRTCHandler } from '../src/services/webrtc/WebRTCHandler.js';
+import { getBackoffDelay } from '../src/utils/Backoff.js';
+import { waitFor, createChecks } from './helpers.js';
+
+const { WaveFile } = wavefile;
+
+/**
+ * End-to-end test of PexipConnection against the local mock Pexip node.
+ * No network or real conference needed: node test/test-pexip-e2e.js
+ */
+
+// Half a second of 16kHz tone standing in for a recorded notice
+function writeAnnouncement() {
+  const samples = new Int16Array(8000);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.round(Math.sin(2 * Math.PI * 660 * i / 16000) * 12000);
+  }
+  const wav = new WaveFile();
+  wav.fromScratch(1, 16000, '16', samples);
+
+  const file = path.join(os.tmpdir(), `announcement-${process.pid}.wav`);
+  fs.writeFileSync(file, wav.toBuffer());
+  return file;
+}
+
+async function testPexipEndToEnd() {
+  const node = new MockPexipNode();
+  const nodeAddress = await node.start();
+  const audioFrames = [];
+  const announcementFile = writeAnnouncement();
+
+  const connection = new PexipConnection({
+    nodeAddress,
+    conferenceAlias: node.conferenceAlias,
+    displayName: 'E2E Bot',
+    announcements: { join: announcementFile },
+    ice: { publicStun: false },  // Host candidates are all the mock needs
+    mediaStats: { intervalMs: 500 },
+    audioWatchdog: { stallSeconds: 2 },
+    onAudioData: (audioData) => audioFrames.push(audioData)
+  });
+
+  const { check, report } = createChecks();
+
+  try {
+    await connection.connect();
+
+    await check('joins the conference and receives conference audio', async () => {
+      await waitFor(() => audioFrames.length >= 50);
+
+      const frame = audioFrames[audioFrames.length - 1];
+      assert.ok(frame.samples.length > 0);
+      assert.ok(frame.sampleRate > 0);
+      assert.ok(Math.max(...frame.samples) > 1000, 'expected the mock tone, not silence');
+      assert.ok(connection.isConnected());
+    });
+
+    await check('plays the join announcement into the conference', async () => {
+      await waitFor(() => node.heardFrames >= 20);
+    });
+
+    await check('builds the roster from participant events', async () => {
+      await waitFor(() => connection.roster.getPresent({ includeSelf: false }).length === 1);
+
+      const [host] = connection.roster.getPresent({ includeSelf: false });
+      assert.equal(host.displayName, 'Mock Host');
+      assert.equal(host.role, 'host');
+      assert.ok(connection.roster.getPresent().some(p => p.isSelf));
+    });
+
+    await check('attributes speech to the active speaker', async () => {
+      node.setSpeaker(node.hostUuid);
+      await waitFor(() => connection.speakers.history.length > 0);
+
+      const speaker = connection.getSpeakerForSegment({ endTime: Date.now() + 1000 });
+      assert.equal(speaker?.displayName, 'Mock Host');
+    });
+
+    await check('answers chat commands from the host', async () => {
+      node.sendChat('/transcript pause');
+      await waitFor(() => connection.isPaused);
+
+      node.sendChat('/transcript resume');
+      await waitFor(() => !connection.isPaused);
+
+      assert.ok(node.messages.some(m => m.payload === 'Transcription paused.'));
+    });
+
+    await check('collects inbound audio statistics', async () => {
+      await waitFor(() => connection.mediaStats.samples.length >= 2);
+
+      const summary = connection.mediaStats.getSummary();
+      assert.equal(summary.codec, 'opus');
+      assert.ok(summary.latest.packetsReceived > 0);
+      assert.ok(summary.latest.audioLevel > 0);
+      assert.deepEqual(summary.degraded, []);
+      assert.equal(connection.getSessionInfo().mediaStats.samples.length, summary.samples);
+    });
+
+    await check('reports the selected ICE candidates and merges ICE servers', async () => {
+      await waitFor(() => connection.webrtc.selectedCandidatePair);
+
+      const ice = connection.getSessionInfo().ice;
+      assert.equal(ice.transportPolicy, 'all');
+      assert.deepEqual(ice.servers, [], 'no public STUN when disabled');
+      assert.equal(ice.selected.local.candidateType, 'host');
+      assert.equal(ice.selected.remote.candidateType, 'host');
+
+      const turn = { urls: 'turns:turn.example.com:443?transport=tcp', username: 'u', credential: 'c' };
+      const pexipTurn = [{ urls: 'turn:pexip.example.com:3478', username: 'p', credential: 'p' }];
+      const relayOnly = new WebRTCHandler(null, { ice: { iceServers: [turn], iceTransportPolicy: 'relay' } });
+      assert.deepEqual(relayOnly.buildIceConfiguration(pexipTurn), {
+        iceServers: [turn, ...pexipTurn],
+        iceTransportPolicy: 'relay'
+      });
+      const ownOnly = new WebRTCHandler(null, { ice: { iceServers: [turn], usePexipTurn: false } });
+      assert.deepEqual(ownOnly.buildIceConfiguration(pexipTurn).iceServers, [turn]);
+      assert.deepEqual(new WebRTCHandler(null).buildIceConfiguration().iceServers,
+        [{ urls: 'stun:stun.l.google.com:19302' }], 'public STUN stays the default fallback');
+
+      assert.deepEqual(WebRTCHandler.parseIceServers('turns:turn.example.com:443, stun:stun.example.com', 'u', 'c'), [
+        { urls: 'turns:turn.example.com:443', username: 'u', credential: 'c' },
+        { urls: 'stun:stun.example.com' }
+      ]);
+      assert.throws(() => WebRTCHandler.parseIceServers('https://turn.example.com'), /Invalid ICE server/);
+    });
+
+    await check('warns on sustained packet loss only', async () => {
+      // Fake peer connection: 100 packets per poll, with loss from the 2nd poll to the 5th
+      let poll = 0;
+      let lost = 0;
+      const webrtc = {
+        getStats: async () => {
+          poll++;
+          if (poll >= 2 && poll <= 5) lost += 20;
+          return new Map([['in', {
+            type: 'inbound-rtp', kind: 'audio', ssrc: 1, codecId: 'c',
+            packetsReceived: poll * 100, packetsLost: lost, jitter: 0.005,
+            concealedSamples: 0, totalSamplesReceived: poll * 48000, audioLevel: 0.1
+          }], ['c', { type: 'codec', id: 'c', mimeType: 'audio/opus', clockRate: 48000 }]]);
+        }
+      };
+      const changes = [];
+      const collector = new StatsCollector(webrtc, (change) => changes.push(change), { sustainedSamples: 3 });
+
+      for (let i = 0; i < 7; i++) {
+        await collector.collect();
+      }
+      assert.deepEqual(changes.map(c => `${c.status}:${c.metric}`), ['degraded:lossPercent', 'recovered:lossPercent']);
+      assert.equal(collector.samples[1].lossPercent, 16.67);
+      assert.equal(collector.warnings.length, 1);
+      assert.ok(collector.warnings[0].endedAt);
+    });
+
+    await check('takes the reconnect delay from the server, including zero', async () => {
+      const stream = new PexipEventStream(null, () => {});
+      stream.parseChunk('retry: 2500\n');
+      assert.equal(getBackoffDelay(1, { ...stream.backoff, jitter: false }), 5000);
+      stream.parseChunk('retry: 0\n');
+      assert.equal(getBackoffDelay(1, { ...stream.backoff, jitter: false }), 0);
+      stream.parseChunk('retry: soon\n');
+      assert.equal(stream.backoff.baseMs, 0, 'not a number - ignored');
+    });
+
+    await check('handles DTMF sequences from the host', async () => {
+      const bookmarks = [];
+      connection.on('bookmark', (bookmark) => bookmarks.push(bookmark));
+
+      node.sendDtmf('*');
+      node.sendDtmf('1');
+      await waitFor(() => connection.isPaused);
+
+      node.sendDtmf('*2');
+      await waitFor(() => !connection.isPaused);
+
+      node.sendDtmf('*3');
+      await waitFor(() => bookmarks.length === 1);
+      assert.equal(bookmarks[0].requestedBy.via, 'dtmf');
+      assert.equal(bookmarks[0].requestedBy.displayName, 'Mock Host');
+    });
+
+    await check('renegotiates when conference audio stalls', async () => {
+      const incidents = [];
+      connection.on('audioIncident', (incident) => incidents.push(incident));
+
+      node.stallAudio(connection.roster.selfUuid);
+      await waitFor(() => incidents.some(i => i.status !== 'recovering'), 30000);
+
+      const [incident] = connection.audioWatchdog.incidents;
+      assert.equal(incident.reason, 'rtp_stalled');
+      assert.equal(incident.status, 'recovered');
+      assert.equal(incident.recoveredBy, 'renegotiate');
+      assert.ok(connection.recovery.attempts.some(a => a.strategy === 'renegotiate' && a.status === 'succeeded'));
+    });
+
+    await check('re-joins as a new participant when token refresh keeps failing', async () => {
+      const oldSelf = connection.roster.selfUuid;
+      const { refreshToken } = connection.api;
+      connection.api.refreshToken = async () => {
+        throw Object.assign(new Error('Service unavailable'), { response: { status: 503 } });
+      };
+      connection.config.tokenRefreshRetries = 0;
+
+      try {
+        await connection.refreshTokenWithRetry();
+      } finally {
+        connection.api.refreshToken = refreshToken;
+      }
+
+      // The old token was still valid, so it is released rather than left in the roster
+      assert.notEqual(connection.roster.selfUuid, oldSelf);
+      assert.ok(!node.participants.has(oldSelf));
+      assert.equal(connection.tokenState.status, 'valid');
+      await waitFor(() => connection.isConnected() &&
+        connection.roster.getPresent().some(p => p.uuid === connection.roster.selfUuid));
+
+      // No way back in - leave so the session is saved
+      const leaves = [];
+      const onLeave = (request) => leaves.push(request.reason);
+      connection.on('leaveRequested', onLeave);
+      const { joinWithNewToken } = connection;
+      connection.joinWithNewToken = async () => {
+        throw new Error('No node available');
+      };
+      try {
+        await connection.reauthenticate();
+      } finally {
+        connection.joinWithNewToken = joinWithNewToken;
+        connection.off('leaveRequested', onLeave);
+      }
+      assert.deepEqual(leaves, ['token_failed']);
+      assert.equal(connection.tokenState.status, 'failed');
+    });
+
+    await check('follows a transfer into another room', async () => {
+      const roomChanges = [];
+      connection.on('roomChange', (change) => roomChanges.push(change));
+
+      node.transfer(connection.roster.selfUuid, 'breakout-1');
+      await waitFor(() => roomChanges.length === 1);
+      assert.equal(roomChanges[0].to, 'breakout-1');
+      assert.equal(connection.api.conferenceAlias, 'breakout-1');
+
+      // Still running, with audio from the new call
+      await waitFor(() => connection.isConnected());
+      const framesBefore = audioFrames.length;
+      await waitFor(() => audioFrames.length > framesBefore + 20);
+      assert.equal(connection.getRoomForSegment({ startTime: Date.now() }), 'breakout-1');
+      assert.equal(connection.getRoomForSegment({ startTime: 0 }), node.conferenceAlias);
+    });
+
+    await check('releases the token on disconnect', async () => {
+      await connection.disconnect();
+      await waitFor(() => node.requests.some(r => r.path.endsWith('/release_token')));
+      assert.equal(node.tokens.size, 0);
+    });
+
+    await check('holds in the waiting room until admitted', async () => {
+      const lobbyFrames = [];
+      const lobbyNode = new MockPexipNode({ waitingRoom: true });
+      const lobby = new PexipConnection({
+        nodeAddress: await lobbyNode.start(),
+        conferenceAlias: lobbyNode.conferenceAlias,
+        displayName: 'Lobby Bot',
+        onAudioData: (audioData) => lobbyFrames.push(audioData)
+      });
+
+      try {
+        await lobby.connect();
+        assert.ok(lobby.isWaiting);
+        assert.ok(lobby.getWaitingState().since);
+
+        // Media is up but nothing reaches the transcription pipeline yet
+        await lobby.webrtc.waitForConnection();
+        await new Promise(resolve => setTimeout(resolve, 500));
+        assert.equal(lobbyFrames.length, 0);
+
+        const admission = lobby.waitForAdmission();
+        lobbyNode.admit(lobby.roster.selfUuid);
+        assert.equal(await admission, true);
+        assert.equal(lobby.isWaiting, false);
+
+        await waitFor(() => lobbyFrames.length > 0);
+
+        // A re-join lands in the lobby again; admission must not restart the session
+        const { connectedAt } = lobby;
+        let mediaStatsStarts = 0;
+        const { start } = lobby.mediaStats;
+        lobby.mediaStats.start = () => {
+          mediaStatsStarts++;
+          start.call(lobby.mediaStats);
+        };
+        await lobby.joinWithNewToken();
+        await waitFor(() => lobby.isWaiting);
+        const readmission = lobby.waitForAdmission();
+        lobbyNode.admit(lobby.roster.selfUuid);
+        assert.equal(await readmission, true);
+        assert.equal(lobby.connectedAt, connectedAt);
+        assert.equal(mediaStatsStarts, 0);
+      } finally {
+        await lobby.disconnect();
+        await lobbyNode.stop();
+      }
+    });
+  } finally {
+    await connection.disconnect();
+    await node.stop();
+    fs.unlinkSync(announcementFile);
+  }
+
+  const passed = report();
+
+  // wrtc keeps native threads alive after the peer connections close, so exit explicitly
+  process.exit(passed ? 0 : 1);
+}
+
+testPexipEndToEnd().catch((error) => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
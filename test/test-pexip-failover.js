@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { MockPexipNode } from './mocks/MockPexipNode.js';
+import { PexipConnection } from '../src/services/pexip/PexipConnection.js';
+import { NodeSelector } from '../src/services/pexip/NodeSelector.js';
+import { waitFor, createChecks } from './helpers.js';
+
+/**
+ * Node discovery, health-based ordering and failover against local mock nodes:
+ * node test/test-pexip-failover.js
+ */
+
+async function testPexipFailover() {
+  const { check, report } = createChecks();
+  const nodes = [];
+  const connections = [];
+
+  const startNode = async () => {
+    const node = new MockPexipNode();
+    nodes.push(node);
+    return { node, address: await node.start() };
+  };
+
+  const connect = async (nodeAddress) => {
+    const connection = new PexipConnection({
+      nodeAddress,
+      conferenceAlias: 'mock-conference',
+      displayName: 'Failover Bot'
+    });
+    connections.push(connection);
+    await connection.connect();
+    return connection;
+  };
+
+  try {
+    await check('orders SRV results by priority and weight', async () => {
+      const selector = new NodeSelector({
+        srvDomain: 'example.com',
+        resolveSrv: async (name) => {
+          assert.equal(name, '_pexapp._tcp.example.com');
+          return [
+            { name: 'backup.example.com', port: 443, priority: 20, weight: 10 },
+            { name: 'b.example.com', port: 8443, priority: 10, weight: 5 },
+            { name: 'a.example.com', port: 443, priority: 10, weight: 50 }
+          ];
+        }
+      });
+
+      assert.deepEqual(await selector.getCandidates(), [
+        'a.example.com', 'b.example.com:8443', 'backup.example.com'
+      ]);
+    });
+
+    await check('tries recently failed nodes last until the cooldown passes', async () => {
+      const selector = new NodeSelector({ nodes: ['a', 'b', 'c'], failureCooldownMs: 100 });
+      selector.markFailure('a', 'down');
+
+      assert.deepEqual(await selector.getCandidates(), ['b', 'c', 'a']);
+      assert.deepEqual(await selector.getCandidates({ exclude: ['b'] }), ['c', 'a', 'b']);
+      assert.ok(selector.hasAlternative('b'));
+
+      await new Promise(resolve => setTimeout(resolve, 150));
+      assert.deepEqual(await selector.getCandidates(), ['a', 'b', 'c']);
+    });
+
+    await check('skips an unreachable node on connect', async () => {
+      const dead = await startNode();
+      await dead.node.stop();
+      const live = await startNode();
+
+      const connection = await connect(`${dead.address}, ${live.address}`);
+
+      assert.equal(connection.api.nodeAddress, live.address);
+      const [deadState, liveState] = connection.nodes.getState();
+      assert.equal(deadState.healthy, false);
+      assert.equal(liveState.healthy, true);
+      await connection.disconnect();
+    });
+
+    await check('releases the token on a node whose media join fails', async () => {
+      const broken = await startNode();
+      const live = await startNode();
+      broken.node.createCall = (req, res) => res.status(503).json({ status: 'failed', result: 'Media unavailable' });
+
+      const connection = await connect([broken.address, live.address]);
+
+      assert.equal(connection.api.nodeAddress, live.address);
+      assert.ok(broken.node.requests.some(r => r.path.endsWith('/release_token')));
+      assert.equal(broken.node.tokens.size, 0, 'no ghost participant left behind');
+      assert.equal(live.node.tokens.size, 1);
+      await connection.disconnect();
+    });
+
+    await check('fails over to another node as a new participant', async () => {
+      const first = await startNode();
+      const second = await startNode();
+
+      const connection = await connect([first.address, second.address]);
+      assert.equal(connection.api.nodeAddress, first.address);
+      await connection.webrtc.waitForConnection();
+
+      await connection.failover();
+
+      assert.equal(connection.api.nodeAddress, second.address);
+      assert.equal(second.node.calls.size, 1);
+      assert.equal(connection.nodes.getState()[0].healthy, false);
+      await waitFor(() => connection.isConnected());
+      await connection.disconnect();
+    });
+  } finally {
+    for (const connection of connections) {
+      await connection.disconnect();
+    }
+    for (const node of nodes) {
+      await node.stop();
+    }
+  }
+
+  // wrtc keeps native threads alive after the peer connections close, so exit explicitly
+  process.exit(report() ? 0 : 1);
+}
+
+testPexipFailover().catch((error) => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
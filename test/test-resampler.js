@@ -0,0 +1,156 @@
+import assert from 'node:assert/strict';
+import { AudioResampler, resampleAudio } from '../src/utils/AudioResampler.js';
+import { createChecks } from './helpers.js';
+
+/**
+ * Band-limited resampling: passband gain, aliasing and imaging suppression,
+ * and seamless chunked operation: node test/test-resampler.js
+ */
+
+const AMPLITUDE = 10000;
+
+function tone(frequency, sampleRate, seconds = 1) {
+  const samples = new Int16Array(Math.round(sampleRate * seconds));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = Math.round(AMPLITUDE * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+  }
+  return samples;
+}
+
+// Amplitude of one frequency component, ignoring the first skip samples
+function amplitudeAt(samples, frequency, sampleRate, skip) {
+  let re = 0;
+  let im = 0;
+  for (let n = skip; n < samples.length; n++) {
+    re += samples[n] * Math.cos(2 * Math.PI * frequency * n / sampleRate);
+    im += samples[n] * Math.sin(2 * Math.PI * frequency * n / sampleRate);
+  }
+  return 2 * Math.hypot(re, im) / (samples.length - skip);
+}
+
+// Level of everything in the output relative to the input tone, in dB
+function levelDb(samples, skip) {
+  let sum = 0;
+  for (let n = skip; n < samples.length; n++) {
+    sum += samples[n] * samples[n];
+  }
+  const peak = Math.sqrt(sum / (samples.length - skip)) * Math.SQRT2;
+  return 20 * Math.log10(Math.max(peak, 1e-3) / AMPLITUDE);
+}
+
+// Stream samples through a resampler in chunks of the given sizes, cycling
+function streamInChunks(resampler, samples, sizes) {
+  const parts = [];
+  let total = 0;
+  for (let offset = 0, k = 0; offset < samples.length; k++) {
+    const size = sizes[k % sizes.length];
+    const part = resampler.process(samples.subarray(offset, offset + size));
+    parts.push(part);
+    total += part.length;
+    offset += size;
+  }
+  const output = new Int16Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    output.set(part, offset);
+    offset += part.length;
+  }
+  return output;
+}
+
+async function testResampler() {
+  const { check, report } = createChecks();
+
+  await check('keeps speech-band tones at full level', async () => {
+    const cases = [
+      [48000, 24000, 1000], [48000, 24000, 9000],
+      [48000, 16000, 1000], [48000, 16000, 6000],
+      [16000, 24000, 3000], [44100, 16000, 1000],
+      [48000, 44101, 1000]  // More phases than the table holds
+    ];
+    for (const [fromRate, toRate, frequency] of cases) {
+      const output = new AudioResampler(fromRate, toRate).process(tone(frequency, fromRate));
+      assert.equal(output.length, toRate, `${fromRate} -> ${toRate} length`);
+
+      const gain = amplitudeAt(output, frequency, toRate, Math.round(toRate / 10)) / AMPLITUDE;
+      const gainDb = 20 * Math.log10(gain);
+      assert.ok(Math.abs(gainDb) < 0.1, `${frequency}Hz at ${fromRate} -> ${toRate}: ${gainDb.toFixed(2)}dB`);
+    }
+  });
+
+  await check('suppresses aliasing when downsampling', async () => {
+    // Tones above the new Nyquist frequency would fold back into the speech band
+    const cases = [
+      [48000, 24000, 13000],  // Would alias to 11kHz
+      [48000, 24000, 22000],  // 2kHz
+      [48000, 16000, 10000],  // 6kHz
+      [48000, 16000, 15000],  // 1kHz
+      [44100, 16000, 12000]   // 4kHz
+    ];
+    for (const [fromRate, toRate, frequency] of cases) {
+      const output = new AudioResampler(fromRate, toRate).process(tone(frequency, fromRate));
+      const db = levelDb(output, toRate / 20);
+      assert.ok(db < -70, `${frequency}Hz at ${fromRate} -> ${toRate} leaks at ${db.toFixed(1)}dB`);
+    }
+  });
+
+  await check('suppresses images when upsampling', async () => {
+    const input = tone(6000, 16000);
+    const output = new AudioResampler(16000, 24000).process(input);
+
+    // The 6kHz tone passes; its 10kHz image must not
+    assert.ok(amplitudeAt(output, 6000, 24000, 2400) / AMPLITUDE > 0.99);
+    const imageDb = 20 * Math.log10(amplitudeAt(output, 10000, 24000, 2400) / AMPLITUDE);
+    assert.ok(imageDb < -70, `image at ${imageDb.toFixed(1)}dB`);
+  });
+
+  await check('joins 10ms frames and odd chunks without clicks', async () => {
+    const input = tone(1000, 48000, 0.5);
+    const whole = new AudioResampler(48000, 24000).process(input);
+
+    for (const sizes of [[480], [7, 333, 1, 960]]) {
+      const chunked = streamInChunks(new AudioResampler(48000, 24000), input, sizes);
+      assert.deepEqual(chunked, whole, `chunks of ${sizes.join('/')} match one call`);
+    }
+
+    // Sample-to-sample steps never exceed what the tone itself allows
+    const maxStep = 2 * Math.PI * 1000 / 24000 * AMPLITUDE * 1.01;
+    for (let i = 1; i < whole.length; i++) {
+      assert.ok(Math.abs(whole[i] - whole[i - 1]) <= maxStep, `step of ${whole[i] - whole[i - 1]} at ${i}`);
+    }
+  });
+
+  await check('returns exactly the ratio for every frame', async () => {
+    const to16k = new AudioResampler(48000, 16000);
+    for (let i = 0; i < 10; i++) {
+      assert.equal(to16k.process(new Int16Array(480)).length, 160);
+    }
+
+    // 44.1kHz frames are 441 samples; 10ms at 24kHz is 240
+    const from44k = new AudioResampler(44100, 24000);
+    let total = 0;
+    for (let i = 0; i < 100; i++) {
+      total += from44k.process(new Int16Array(441)).length;
+    }
+    assert.equal(total, 24000);
+
+    assert.equal(resampleAudio(new Int16Array(4800), 48000, 24000).length, 2400);
+    assert.equal(resampleAudio(new Int16Array(1000), 16000, 24000).length, 1500);
+  });
+
+  await check('passes equal rates through and rejects bad ones', async () => {
+    const samples = tone(1000, 16000, 0.01);
+    assert.equal(resampleAudio(samples, 16000, 16000), samples);
+    assert.equal(new AudioResampler(16000, 16000).process(samples), samples);
+    assert.throws(() => new AudioResampler(48000, 0), /Invalid sample rates/);
+    assert.throws(() => resampleAudio(samples, 44100.5, 16000), /Invalid sample rates/);
+  });
+
+  const passed = report();
+  process.exit(passed ? 0 : 1);
+}
+
+testResampler().catch((error) => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});
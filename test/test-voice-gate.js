@@ -0,0 +1,185 @@
+import assert from 'node:assert/strict';
+import { MockRealtimeServer } from './mocks/MockRealtimeServer.js';
+import { OpenAITranscriptionService } from '../src/services/transcription/OpenAITranscriptionService.js';
+import { VoiceGate } from '../src/utils/VoiceGate.js';
+import { commitTurn } from '../src/utils/TranscriptionSession.js';
+import { waitFor, createChecks } from './helpers.js';
+
+/**
+ * The local voice gate: pre-roll, hangover, suppression stats, and segment
+ * timing and manual commits through the mock Realtime server:
+ * node test/test-voice-gate.js
+ */
+
+const SAMPLE_RATE = 24000;
+const FRAME_SAMPLES = SAMPLE_RATE / 100;
+const START = Date.UTC(2026, 0, 1);
+
+// 10ms frames on a steady clock: [{ ms, amplitude }] sections of tone or quiet
+function meetingFrames(sections) {
+  const frames = [];
+  for (const { ms, amplitude } of sections) {
+    for (let f = 0; f < ms / 10; f++) {
+      const samples = new Int16Array(FRAME_SAMPLES);
+      for (let i = 0; i < FRAME_SAMPLES; i++) {
+        samples[i] = Math.round(amplitude * Math.sin(2 * Math.PI * 440 * (frames.length * FRAME_SAMPLES + i) / SAMPLE_RATE));
+      }
+      frames.push({ samples, sampleRate: SAMPLE_RATE, channelCount: 1, timestamp: START + frames.length * 10 });
+    }
+  }
+  return frames;
+}
+
+// Two remarks with a long pause between: speech at 1000-1500ms and 3500-3800ms
+const MEETING = [
+  { ms: 1000, amplitude: 20 },  // Room noise, about -64dBFS
+  { ms: 500, amplitude: 8000 },
+  { ms: 2000, amplitude: 20 },
+  { ms: 300, amplitude: 8000 },
+  { ms: 1000, amplitude: 20 }
+];
+
+function createService(wsUrl, config = {}) {
+  const service = new OpenAITranscriptionService({ apiKey: 'test-key', wsUrl, ...config });
+  const events = { completed: [], errors: [] };
+  service.on('transcriptionComplete', (transcription) => events.completed.push(transcription));
+  service.on('error', (error) => events.errors.push(error));
+  return { service, events };
+}
+
+async function connectService(server, service) {
+  const updatesBefore = server.received.filter(m => m.type === 'transcription_session.update').length;
+  await service.connect();
+  await waitFor(() => server.received.filter(m => m.type === 'transcription_session.update').length > updatesBefore);
+}
+
+async function streamThroughGate(gate, service, frames) {
+  for (const frame of frames) {
+    for (const forwarded of gate.process(frame)) {
+      await service.processAudioChunk(forwarded);
+    }
+  }
+}
+
+async function testVoiceGate() {
+  const server = new MockRealtimeServer({
+    script: [
+      { text: 'First remark.', audioMs: 1600 },
+      { text: 'Second remark.', audioMs: 1400 }
+    ]
+  });
+  const wsUrl = await server.start();
+  const { check, report } = createChecks();
+
+  try {
+    await check('forwards speech with pre-roll and hangover only', async () => {
+      let speechEnds = 0;
+      const gate = new VoiceGate({ onSpeechEnd: () => speechEnds++ });
+      const forwarded = meetingFrames(MEETING).flatMap(frame => gate.process(frame));
+      const times = forwarded.map(frame => frame.timestamp - START);
+
+      // 300ms pre-roll, the speech, 800ms hangover - twice
+      assert.equal(forwarded.length, 160 + 140);
+      assert.equal(times[0], 700);
+      assert.equal(times[159], 2290);
+      assert.equal(times[160], 3200);
+      assert.equal(times[299], 4590);
+      assert.ok(times.every((t, i) => i === 0 || t > times[i - 1]), 'frames stay in order');
+      assert.equal(speechEnds, 2);
+
+      assert.deepEqual(gate.getStats(), {
+        thresholdDb: -45,
+        isOpen: false,
+        segments: 2,
+        totalSeconds: 4.8,
+        forwardedSeconds: 3,
+        suppressedSeconds: 1.8,
+        suppressedPercent: 37.5
+      });
+    });
+
+    await check('opens at the configured threshold', async () => {
+      const quiet = meetingFrames([{ ms: 500, amplitude: 300 }]);  // About -43dBFS
+      assert.equal(quiet.flatMap(frame => new VoiceGate().process(frame)).length, quiet.length);
+
+      const strict = new VoiceGate({ thresholdDb: -30 });
+      assert.equal(quiet.flatMap(frame => strict.process(frame)).length, 0);
+      assert.equal(strict.getStats().suppressedPercent, 100);
+      assert.equal(VoiceGate.levelDb(new Int16Array(10)), -Infinity);
+    });
+
+    await check('keeps segment times on the wall clock across suppressed audio', async () => {
+      const { service, events } = createService(wsUrl);
+      await connectService(server, service);
+
+      await streamThroughGate(new VoiceGate(), service, meetingFrames(MEETING));
+      service.sendBufferedAudio();
+      await waitFor(() => events.completed.length === 2);
+
+      const [first, second] = events.completed;
+      assert.equal(first.text, 'First remark.');
+      assert.equal(first.startTime, START + 700);
+      assert.equal(first.endTime, START + 2300);
+      assert.equal(second.audioStartMs, 1600, 'the provider only saw 1.6s before the second remark');
+      assert.equal(second.startTime, START + 3200);
+      assert.equal(second.endTime, START + 4600);
+      await service.disconnect();
+    });
+
+    await check('commits each remark in manual-commit mode', async () => {
+      const { service, events } = createService(wsUrl, { vadEnabled: false });
+      await connectService(server, service);
+
+      const gate = new VoiceGate({ onSpeechEnd: () => commitTurn(service) });
+      await streamThroughGate(gate, service, meetingFrames(MEETING));
+      await waitFor(() => events.completed.length === 2);
+
+      assert.deepEqual(events.completed.map(t => t.text), ['First remark.', 'Second remark.']);
+      assert.equal(events.completed[0].endTime, START + 2300);
+      assert.equal(events.completed[1].startTime, START + 3200);
+
+      // Nothing new since the last remark - no commit the server would reject
+      assert.equal(commitTurn(service), false);
+      await new Promise(resolve => setTimeout(resolve, 200));
+      assert.equal(events.errors.length, 0);
+      await service.disconnect();
+    });
+
+    await check('ends a turn server VAD has not heard end when the gate closes', async () => {
+      // The provider waits for more silence than the 800ms hangover sends
+      const slowVad = new MockRealtimeServer({ script: [{ text: 'Last remark.', audioMs: 5000 }] });
+      const { service, events } = createService(await slowVad.start());
+      try {
+        await connectService(slowVad, service);
+
+        const gate = new VoiceGate({ onSpeechEnd: () => commitTurn(service) });
+        const frames = meetingFrames(MEETING.slice(0, 3));
+        await streamThroughGate(gate, service, frames.slice(0, 150));
+        await waitFor(() => service.isSpeechActive);  // As it would in real time, before the gate closes
+        await streamThroughGate(gate, service, frames.slice(150));
+        await waitFor(() => events.completed.length === 1);
+
+        const [last] = events.completed;
+        assert.equal(last.text, 'Last remark.');
+        assert.equal(last.startTime, START + 700);
+        assert.equal(last.endTime, START + 2300);
+        assert.equal(service.isSpeechActive, false);
+        assert.equal(commitTurn(service), false, 'no turn open, nothing to commit');
+        assert.equal(events.errors.length, 0);
+      } finally {
+        await service.disconnect();
+        await slowVad.stop();
+      }
+    });
+  } finally {
+    await server.stop();
+  }
+
+  const passed = report();
+  process.exit(passed ? 0 : 1);
+}
+
+testVoiceGate().catch((error) => {
+  console.error('Test failed:', error);
+  process.exit(1);
+});